@@ -2,9 +2,14 @@
 
 const {
   COLORS,
+  NON_INTERACTIVE_PROMPT,
   STRINGS,
   createPrompt,
+  getProviderErrorMessage,
+  getSyncBlockMessage,
   printHelp,
+  printHookResult,
+  printJsonResult,
   runConfigMenu,
   selectLanguage,
   startSpinner,
@@ -14,48 +19,50 @@ const {
   printValidationIssues,
   printValidationWarnings,
   printCommitMessage,
+  printCandidates,
+  printSecretFindings,
+  printOmittedFiles,
+  printSyncBlockReason,
 } = require('./src/ui');
-const { parseCliArgs } = require('./src/cli');
-const { loadConfig } = require('./src/config');
+const { EXIT_CODES, parseCliArgs } = require('./src/cli');
+const { installHook, runPrepareCommitMsg, uninstallHook } = require('./src/hook');
+const { serveStdio } = require('./src/server');
+const { runSplit } = require('./src/split');
+const { runAmend } = require('./src/amend');
+const { runReword } = require('./src/reword');
+const { runSquash } = require('./src/squash');
+const { pickChanges } = require('./src/picker');
 const {
   loadGlobalSettings,
   resetGlobalLanguage,
   setGlobalLanguage,
 } = require('./src/global-config');
+const { getGitRoot, getHooksDir } = require('./src/git');
+const { editInEditor } = require('./src/commit');
 const {
-  getGitRoot,
-  getBranchPointerStatus,
-  isSyncBlocked,
-  stageAllChanges,
-  getStagedSnapshot,
-  getStagedSummary,
-  collectStagedDiffContext,
-  getRecentHistory,
-  getBranchContext,
-} = require('./src/git');
-const {
-  ensureGeminiInstalled,
-  buildPrompt,
-  generateCommitMessage,
-  classifyGeminiError,
-  validateCommitMessage,
-} = require('./src/ai');
-const { editInEditor, commitWithMessage } = require('./src/commit');
+  buildPromptFromState,
+  checkBranchSync,
+  collectAnalysisState,
+  createSession,
+  generateCandidates,
+  getSecretFindings,
+  hasStagedChangesChanged,
+  refineMessage,
+  resolveSessionDeps,
+  summarizeLargeDiff,
+} = require('./src/session');
 const { notifyComplete } = require('./src/notifier');
 const { version: packageVersion } = require('./package.json');
 
-function printSyncBlockReason(sync, t, colors, consoleRef, printPointerDetailsImpl) {
-  if (sync.status === 'behind') {
-    consoleRef.error(`${colors.red}${t.syncBehind}${colors.reset}`);
-  } else if (sync.status === 'diverged') {
-    consoleRef.error(`${colors.red}${t.syncDiverged}${colors.reset}`);
-  } else {
-    consoleRef.error(`${colors.red}${t.syncDetached}${colors.reset}`);
-  }
+const SILENT_CONSOLE = {
+  log: () => {},
+  error: () => {},
+};
 
-  printPointerDetailsImpl(sync, t, colors.yellow);
-  consoleRef.error(`${colors.yellow}${t.syncHint}${colors.reset}`);
-}
+const SILENT_SPINNER = {
+  update: () => {},
+  stop: () => {},
+};
 
 function printSyncStatus(sync, t, colors, consoleRef) {
   if (!sync) {
@@ -80,126 +87,152 @@ async function run(selectedLang = null, overrides = {}) {
   const strings = overrides.STRINGS || STRINGS;
   const createPromptImpl = overrides.createPrompt || createPrompt;
   const selectLanguageImpl = overrides.selectLanguage || selectLanguage;
-  const startSpinnerImpl = overrides.startSpinner || startSpinner;
   const printConfigWarningsImpl = overrides.printConfigWarnings || printConfigWarnings;
   const printSummaryImpl = overrides.printSummary || printSummary;
   const printPointerDetailsImpl = overrides.printPointerDetails || printPointerDetails;
   const printValidationIssuesImpl = overrides.printValidationIssues || printValidationIssues;
   const printValidationWarningsImpl = overrides.printValidationWarnings || printValidationWarnings;
   const printCommitMessageImpl = overrides.printCommitMessage || printCommitMessage;
-  const loadConfigImpl = overrides.loadConfig || loadConfig;
-  const getGitRootImpl = overrides.getGitRoot || getGitRoot;
-  const getBranchPointerStatusImpl = overrides.getBranchPointerStatus || getBranchPointerStatus;
-  const isSyncBlockedImpl = overrides.isSyncBlocked || isSyncBlocked;
-  const stageAllChangesImpl = overrides.stageAllChanges || stageAllChanges;
-  const getStagedSnapshotImpl = overrides.getStagedSnapshot || getStagedSnapshot;
-  const getStagedSummaryImpl = overrides.getStagedSummary || getStagedSummary;
-  const collectStagedDiffContextImpl = overrides.collectStagedDiffContext || collectStagedDiffContext;
-  const getRecentHistoryImpl = overrides.getRecentHistory || getRecentHistory;
-  const getBranchContextImpl = overrides.getBranchContext || getBranchContext;
-  const ensureGeminiInstalledImpl = overrides.ensureGeminiInstalled || ensureGeminiInstalled;
-  const buildPromptImpl = overrides.buildPrompt || buildPrompt;
-  const generateCommitMessageImpl = overrides.generateCommitMessage || generateCommitMessage;
-  const classifyGeminiErrorImpl = overrides.classifyGeminiError || classifyGeminiError;
-  const validateCommitMessageImpl = overrides.validateCommitMessage || validateCommitMessage;
+  const printJsonResultImpl = overrides.printJsonResult || printJsonResult;
+  const printCandidatesImpl = overrides.printCandidates || printCandidates;
+  const printSecretFindingsImpl = overrides.printSecretFindings || printSecretFindings;
+  const printOmittedFilesImpl = overrides.printOmittedFiles || printOmittedFiles;
+  const sessionDeps = resolveSessionDeps(overrides);
   const editInEditorImpl = overrides.editInEditor || editInEditor;
-  const commitWithMessageImpl = overrides.commitWithMessage || commitWithMessage;
   const notifyCompleteImpl = overrides.notifyComplete || notifyComplete;
-  const consoleRef = overrides.console || console;
+  const pickChangesImpl = overrides.pickChanges || pickChanges;
+  const outputRef = overrides.console || console;
   const processRef = overrides.process || process;
   const showConfigHint = Boolean(overrides.showConfigHint);
+  const cliOptions = overrides.cliOptions || {};
+  const nonInteractive = Boolean(cliOptions.yes || cliOptions.printOnly || cliOptions.json);
+  // With --print-only, stdout carries the commit message alone so scripts can capture it.
+  // With --json, stdout carries a single JSON document and nothing else is printed.
+  let consoleRef = outputRef;
+  if (cliOptions.json) {
+    consoleRef = SILENT_CONSOLE;
+  } else if (cliOptions.printOnly) {
+    consoleRef = { log: (...args) => outputRef.error(...args), error: (...args) => outputRef.error(...args) };
+  }
+  const startSpinnerImpl = cliOptions.json
+    ? () => SILENT_SPINNER
+    : overrides.startSpinner || startSpinner;
+  const spinnerStream = cliOptions.printOnly ? process.stderr : process.stdout;
+  const report = {
+    status: null,
+    message: null,
+    valid: null,
+    blockingIssues: [],
+    warnings: [],
+    configWarnings: [],
+    summary: null,
+    sync: null,
+    attempts: 0,
+    durationMs: null,
+    committed: false,
+    error: null,
+    candidates: [],
+    secrets: [],
+    omittedFiles: [],
+  };
 
-  const promptControl = createPromptImpl();
+  const promptControl = nonInteractive ? NON_INTERACTIVE_PROMPT : createPromptImpl();
   const cwd = typeof processRef.cwd === 'function' ? processRef.cwd() : process.cwd();
   let t = strings.en;
 
-  const collectAnalysisState = async (gitRoot, config) => {
-    if (config.autoStage) {
-      await stageAllChangesImpl(gitRoot);
+  const fail = (reason, message = null, detail = null) => {
+    processRef.exitCode = nonInteractive ? EXIT_CODES[reason] : EXIT_CODES.error;
+    report.status = reason;
+    if (message) {
+      report.error = { message, detail: detail || null };
     }
-
-    const [summary, diffContext, history, branchContext, stagedSnapshot] = await Promise.all([
-      getStagedSummaryImpl(gitRoot),
-      collectStagedDiffContextImpl(gitRoot),
-      getRecentHistoryImpl(gitRoot, config.historyCount),
-      getBranchContextImpl(gitRoot),
-      getStagedSnapshotImpl(gitRoot),
-    ]);
-
-    return {
-      summary,
-      diffContext,
-      history,
-      branchContext,
-      stagedSnapshot,
-    };
-  };
-
-  const hasStagedChangesChanged = async (gitRoot, analysisState) => {
-    const currentSnapshot = await getStagedSnapshotImpl(gitRoot);
-    return currentSnapshot !== analysisState.stagedSnapshot;
   };
 
   try {
-    const lang = selectedLang || await selectLanguageImpl(promptControl.question, {
+    const lang = selectedLang || (nonInteractive ? 'en' : await selectLanguageImpl(promptControl.question, {
       consoleRef,
       showConfigHint,
-    });
+    }));
     t = strings[lang];
 
     consoleRef.log(`${colors.magenta}${t.starting}${colors.reset}`);
 
-    const step2 = startSpinnerImpl(t.step2);
+    let step2 = startSpinnerImpl(t.step2, spinnerStream);
 
     let gitRoot;
     try {
-      gitRoot = await getGitRootImpl(cwd);
+      gitRoot = await sessionDeps.getGitRoot(cwd);
     } catch (error) {
       step2.stop('❌', colors.red);
       consoleRef.error(`${colors.red}${t.errNotGit}${colors.reset}`);
-      processRef.exitCode = 1;
+      fail('error', t.errNotGit);
       return;
     }
 
+    const session = await createSession(gitRoot, t, sessionDeps);
+    // Picked changes are the whole selection; autoStage would stage everything else on top.
+    const autoStageSkipped = Boolean(cliOptions.pick && session.config.autoStage);
+    if (autoStageSkipped) {
+      session.config = { ...session.config, autoStage: false };
+    }
+    const { config, provider, validationOptions, warnings } = session;
+    report.configWarnings = warnings;
+
     try {
-      await ensureGeminiInstalledImpl(gitRoot);
+      await provider.ensureAvailable(gitRoot);
     } catch (error) {
       step2.stop('❌', colors.red);
-      consoleRef.error(`${colors.red}${t.errNotInstalled}${colors.reset}`);
-      processRef.exitCode = 1;
+      const errorMessage = getProviderErrorMessage(t, provider.name, 'unavailable');
+      consoleRef.error(`${colors.red}${errorMessage}${colors.reset}`);
+      if (provider.name !== 'gemini') {
+        consoleRef.error(`${colors.red}${error.detail || error.message}${colors.reset}`);
+      }
+      fail('providerFailed', errorMessage, error.detail || error.message);
       return;
     }
 
-    const { config, warnings } = loadConfigImpl(gitRoot, t);
-
     let preflightSync = null;
     if (config.strictBranchCheck) {
       step2.update(t.step2Sync);
-      preflightSync = await getBranchPointerStatusImpl(gitRoot, {
-        fetchBeforeSyncCheck: config.fetchBeforeSyncCheck,
-      });
+      const preflight = await checkBranchSync(session, sessionDeps);
+      preflightSync = preflight.sync;
+      report.sync = preflightSync;
 
-      if (isSyncBlockedImpl(preflightSync.status)) {
+      if (preflight.blocked) {
         step2.stop('❌', colors.red);
         printSyncBlockReason(preflightSync, t, colors, consoleRef, printPointerDetailsImpl);
-        processRef.exitCode = 1;
+        fail('syncBlocked', getSyncBlockMessage(preflightSync, t));
         return;
       }
     }
 
+    if (cliOptions.pick) {
+      step2.stop();
+      if (autoStageSkipped) {
+        consoleRef.log(`${colors.yellow}${t.pickerAutoStageSkipped}${colors.reset}`);
+      }
+      await pickChangesImpl(gitRoot, t, { question: promptControl.question, consoleRef });
+      step2 = startSpinnerImpl(t.step2UsingStaged, spinnerStream);
+    }
+
     step2.update(config.autoStage ? t.step2AutoStage : t.step2UsingStaged);
 
-    let analysisState = await collectAnalysisState(gitRoot, config);
+    let analysisState = await collectAnalysisState(session, sessionDeps);
     const { summary } = analysisState;
+    report.summary = summary;
 
     if (summary.total === 0) {
       step2.stop('⚠', colors.yellow);
       consoleRef.log(`${colors.yellow}${t.noChanges}${colors.reset}`);
+      report.status = 'noChanges';
+      if (nonInteractive) {
+        processRef.exitCode = EXIT_CODES.noChanges;
+      }
       return;
     }
 
     step2.stop();
-    printConfigWarningsImpl(warnings, t);
+    printConfigWarningsImpl(warnings, t, consoleRef);
 
     if (config.strictBranchCheck) {
       printSyncStatus(preflightSync, t, colors, consoleRef);
@@ -211,202 +244,416 @@ async function run(selectedLang = null, overrides = {}) {
       ? `${colors.yellow}${t.autoStageNotice}${colors.reset}`
       : `${colors.green}${t.stagedOnlyNotice}${colors.reset}`);
 
-    printSummaryImpl(summary, t);
+    printSummaryImpl(summary, t, consoleRef);
 
-    consoleRef.log(`${colors.cyan}${t.step3}${colors.reset}`);
-    const userContext = await promptControl.question('> ');
+    const reportOmittedFiles = (state) => {
+      report.omittedFiles = state.diffContext.omitted || [];
+      printOmittedFilesImpl(report.omittedFiles, t, consoleRef);
+    };
 
-    const buildPromptFromState = (state) => buildPromptImpl({
-      t,
-      history: state.history,
-      userContext,
-      diff: state.diffContext.diff,
-      diffTruncated: state.diffContext.truncated,
-      branchContext: state.branchContext,
-      files: state.diffContext.files,
-    });
+    reportOmittedFiles(analysisState);
 
-    const generateCandidate = async (prompt) => {
+    // Returns true when the findings must stop the run because blockOnSecrets is on.
+    const reportSecrets = (state) => {
+      const findings = getSecretFindings(state);
+      report.secrets = findings;
+      if (findings.length === 0) {
+        return false;
+      }
+
+      printSecretFindingsImpl(findings, t, consoleRef);
+      if (!config.blockOnSecrets) {
+        return false;
+      }
+
+      consoleRef.error(`${colors.red}${t.secretsBlocked}${colors.reset}`);
+      return true;
+    };
+
+    if (reportSecrets(analysisState)) {
+      fail('secretsBlocked', t.secretsBlocked);
+      return;
+    }
+
+    let userContext = cliOptions.context;
+    if (userContext === undefined && !nonInteractive) {
+      consoleRef.log(`${colors.cyan}${t.step3}${colors.reset}`);
+      userContext = await promptControl.question('> ');
+    }
+
+    // Every generated message stays in the pool, so regenerating never loses an earlier candidate.
+    const candidates = report.candidates;
+
+    const applyToReport = (result) => {
+      Object.assign(report, {
+        message: result.message,
+        valid: result.valid,
+        blockingIssues: result.blockingIssues,
+        warnings: result.warnings,
+        attempts: result.attempts,
+      });
+    };
+
+    const selectCandidate = (index) => {
+      applyToReport(candidates[index]);
+      return index;
+    };
+
+    const addCandidates = (results) => {
+      const indexes = results.map((result) => {
+        const existing = candidates.findIndex((candidate) => candidate.message === result.message);
+        if (existing !== -1) {
+          return existing;
+        }
+
+        candidates.push(result);
+        return candidates.length - 1;
+      });
+
+      const firstValid = indexes.find((index) => candidates[index].valid);
+      return firstValid !== undefined ? firstValid : indexes[0];
+    };
+
+    const showResult = (result) => {
+      if (!cliOptions.printOnly) {
+        printCommitMessageImpl(result.message, consoleRef);
+      }
+      if (result.warnings.length > 0) {
+        consoleRef.log(`${colors.yellow}${t.validationWarnings}${colors.reset}`);
+        printValidationWarningsImpl(result.warnings, t, consoleRef);
+      }
+      if (!result.valid) {
+        consoleRef.log(`${colors.yellow}${t.validationFailed}${colors.reset}`);
+        printValidationIssuesImpl(result.blockingIssues, t, consoleRef);
+        if (!nonInteractive) {
+          consoleRef.log(`${colors.yellow}${t.validationNeedsAction}${colors.reset}`);
+        }
+      }
+    };
+
+    const showCandidate = (selectedIndex) => {
+      if (candidates.length > 1) {
+        printCandidatesImpl(candidates, selectedIndex, t, consoleRef);
+      }
+      showResult(candidates[selectedIndex]);
+    };
+
+    const reportProviderError = (spinner, error) => {
+      spinner.stop('❌', colors.red);
+      const errorType = provider.classifyError(error);
+      const errorMessage = getProviderErrorMessage(t, provider.name, errorType);
+      consoleRef.error(`${colors.red}${errorMessage}${colors.reset}`);
+      const errorDetail = error.detail || error.stderr;
+      if (errorType !== 'auth' && errorDetail) {
+        consoleRef.error(`${colors.red}${errorDetail.trim()}${colors.reset}`);
+      }
+
+      fail('providerFailed', errorMessage, errorType !== 'auth' && errorDetail ? errorDetail.trim() : null);
+    };
+
+    const generateCandidate = async (state) => {
       consoleRef.log('');
-      const step4 = startSpinnerImpl(t.step4);
+      const step4 = startSpinnerImpl(t.step4, spinnerStream);
       const startTime = Date.now();
 
+      // Large-diff summaries are provider calls too, so their failures are reported the same way.
       try {
-        const result = await generateCommitMessageImpl({
-          cwd: gitRoot,
-          prompt,
-          maxAttempts: 2,
+        const summarized = await summarizeLargeDiff(session, state, sessionDeps, (done, total) => {
+          step4.update(t.summarizingDiff(done, total));
         });
+        if (summarized) {
+          step4.update(t.step4);
+        }
+      } catch (error) {
+        reportProviderError(step4, error);
+        return null;
+      }
 
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      let prompt;
+      try {
+        prompt = buildPromptFromState(session, state, userContext, sessionDeps);
+      } catch (error) {
+        step4.stop('❌', colors.red);
+        throw error;
+      }
+
+      try {
+        const { candidates: results, failed } = await generateCandidates(session, prompt, sessionDeps);
+
+        const durationMs = Date.now() - startTime;
+        const duration = (durationMs / 1000).toFixed(2);
+        report.durationMs = durationMs;
         step4.update(`${t.analysisDone} ${duration}s`);
         step4.stop();
         notifyCompleteImpl(config);
 
-        if (result.attempts > 1) {
-          consoleRef.log(`${colors.yellow}${t.validationRetrying}${colors.reset}`);
+        if (failed > 0) {
+          consoleRef.log(`${colors.yellow}${t.candidatesPartialFailure(failed, failed + results.length)}${colors.reset}`);
         }
 
-        printCommitMessageImpl(result.message);
-        if (result.warnings.length > 0) {
-          consoleRef.log(`${colors.yellow}${t.validationWarnings}${colors.reset}`);
-          printValidationWarningsImpl(result.warnings, t);
-        }
-        if (!result.valid) {
-          consoleRef.log(`${colors.yellow}${t.validationFailed}${colors.reset}`);
-          printValidationIssuesImpl(result.blockingIssues, t);
-          consoleRef.log(`${colors.yellow}${t.validationNeedsAction}${colors.reset}`);
+        if (results.some((result) => result.attempts > 1)) {
+          consoleRef.log(`${colors.yellow}${t.validationRetrying}${colors.reset}`);
         }
 
-        return result;
+        const selectedIndex = selectCandidate(addCandidates(results));
+        showCandidate(selectedIndex);
+
+        return candidates[selectedIndex];
       } catch (error) {
-        step4.stop('❌', colors.red);
-        const errorType = classifyGeminiErrorImpl(error);
-        if (errorType === 'auth') {
-          consoleRef.error(`${colors.red}${t.errNotAuthenticated}${colors.reset}`);
-        } else {
-          consoleRef.error(`${colors.red}${t.errGeminiFailed}${colors.reset}`);
-          if (error.stderr) {
-            consoleRef.error(`${colors.red}${error.stderr.trim()}${colors.reset}`);
-          }
+        reportProviderError(step4, error);
+        return null;
+      }
+    };
+
+    const refineCurrent = async (message, instruction) => {
+      const prompt = buildPromptFromState(session, analysisState, userContext, sessionDeps);
+      consoleRef.log('');
+      const spinner = startSpinnerImpl(t.refining, spinnerStream);
+      const startTime = Date.now();
+
+      try {
+        const refined = await refineMessage(session, prompt, message, instruction, sessionDeps);
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        spinner.update(`${t.analysisDone} ${duration}s`);
+        spinner.stop();
+        notifyCompleteImpl(config);
+
+        if (refined.attempts > 1) {
+          consoleRef.log(`${colors.yellow}${t.validationRetrying}${colors.reset}`);
         }
 
-        processRef.exitCode = 1;
+        return refined;
+      } catch (error) {
+        reportProviderError(spinner, error);
         return null;
       }
     };
 
-    let generated = await generateCandidate(buildPromptFromState(analysisState));
+    // Each refinement pushes the message it replaced, so the user can step back through revisions.
+    const revisions = [];
+
+    const ensureCommitAllowed = async () => {
+      const syncBeforeCommit = await checkBranchSync(session, sessionDeps);
+      if (syncBeforeCommit.blocked) {
+        consoleRef.log(`${colors.red}${t.syncBlockedAtCommit}${colors.reset}`);
+        printSyncBlockReason(syncBeforeCommit.sync, t, colors, consoleRef, printPointerDetailsImpl);
+        report.sync = syncBeforeCommit.sync;
+        return { reason: 'syncBlocked', message: getSyncBlockMessage(syncBeforeCommit.sync, t) };
+      }
+
+      if (await hasStagedChangesChanged(session, analysisState, sessionDeps)) {
+        consoleRef.log(`${colors.red}${t.stagedChangedAtCommit}${colors.reset}`);
+        consoleRef.log(`${colors.yellow}${t.stagedChangedHint}${colors.reset}`);
+        consoleRef.log(`${colors.yellow}${t.stagedChangedNeedsRegenerate}${colors.reset}`);
+        return { reason: 'error', message: t.stagedChangedAtCommit };
+      }
+
+      return null;
+    };
+
+    let generated = await generateCandidate(analysisState);
     if (!generated) {
       return;
     }
 
+    if (nonInteractive) {
+      if (!generated.valid) {
+        fail('validationFailed');
+        return;
+      }
+
+      if (!cliOptions.yes) {
+        report.status = 'generated';
+        if (cliOptions.printOnly && !cliOptions.json) {
+          outputRef.log(generated.message);
+        }
+        return;
+      }
+
+      const blocked = await ensureCommitAllowed();
+      if (blocked) {
+        fail(blocked.reason, blocked.message);
+        return;
+      }
+
+      await sessionDeps.commitWithMessage(gitRoot, generated.message, { keepStdout: Boolean(cliOptions.json) });
+      report.status = 'committed';
+      report.committed = true;
+      consoleRef.log(`${colors.green}${t.success}${colors.reset}`);
+      return;
+    }
+
+    // Returns true once the edited message is committed; otherwise the menu continues.
+    const editAndCommit = async (initialContent, editorOptions = {}) => {
+      const editResult = await editInEditorImpl(initialContent, promptControl, editorOptions);
+
+      if (editResult.status === 'unchanged') {
+        consoleRef.log(`${colors.yellow}${t.editAborted}${colors.reset}`);
+        return false;
+      }
+
+      if (editResult.status === 'editor-failed') {
+        consoleRef.log(`${colors.red}${t.editFailed}${colors.reset}`);
+        if (editResult.error) {
+          consoleRef.log(`${colors.yellow}${editResult.error}${colors.reset}`);
+        }
+        return false;
+      }
+
+      const editedValidation = sessionDeps.validateCommitMessage(editResult.message, validationOptions);
+      if (!editedValidation.valid) {
+        consoleRef.log(`${colors.yellow}${t.validationFailed}${colors.reset}`);
+        printValidationIssuesImpl(editedValidation.blockingIssues, t, consoleRef);
+        consoleRef.log(`${colors.yellow}${t.validationNeedsAction}${colors.reset}`);
+        return false;
+      }
+
+      if (editedValidation.warnings.length > 0) {
+        consoleRef.log(`${colors.yellow}${t.validationWarnings}${colors.reset}`);
+        printValidationWarningsImpl(editedValidation.warnings, t, consoleRef);
+      }
+
+      if (await ensureCommitAllowed()) {
+        return false;
+      }
+
+      await sessionDeps.commitWithMessage(gitRoot, editedValidation.message);
+      consoleRef.log(`${colors.green}${t.successEdited}${colors.reset}`);
+      return true;
+    };
+
     while (true) {
+      // The first four actions keep their numbers; optional ones are numbered after them.
+      const menu = [
+        ['commit', t.menuCommit],
+        ['regenerate', t.menuRegen],
+        ['edit', t.menuEdit],
+        ['cancel', t.menuCancel],
+        ...(candidates.length > 1
+          ? [['pick', t.menuPickCandidate], ['combine', t.menuCombineCandidates]]
+          : []),
+        ['refine', t.menuRefine],
+        ...(revisions.length > 0 ? [['back', t.menuRefineBack]] : []),
+      ];
+
       consoleRef.log(`${colors.cyan}${t.menuTitle}${colors.reset}`);
-      consoleRef.log(`1) ${t.menuCommit}`);
-      consoleRef.log(`2) ${t.menuRegen}`);
-      consoleRef.log(`3) ${t.menuEdit}`);
-      consoleRef.log(`4) ${t.menuCancel}`);
+      menu.forEach(([, label], index) => {
+        consoleRef.log(`${index + 1}) ${label}`);
+      });
 
       const choice = await promptControl.question(t.selection);
+      const action = /^\d+$/.test(choice) && menu[Number(choice) - 1] ? menu[Number(choice) - 1][0] : null;
 
-      switch (choice) {
-        case '1': {
+      switch (action) {
+        case 'commit': {
           if (!generated.valid) {
             consoleRef.log(`${colors.red}${t.validationNeedsAction}${colors.reset}`);
-            printValidationIssuesImpl(generated.blockingIssues, t);
+            printValidationIssuesImpl(generated.blockingIssues, t, consoleRef);
             break;
           }
 
-          if (config.strictBranchCheck) {
-            const syncBeforeCommit = await getBranchPointerStatusImpl(gitRoot, {
-              fetchBeforeSyncCheck: config.fetchBeforeSyncCheck,
-            });
-            if (isSyncBlockedImpl(syncBeforeCommit.status)) {
-              consoleRef.log(`${colors.red}${t.syncBlockedAtCommit}${colors.reset}`);
-              printSyncBlockReason(syncBeforeCommit, t, colors, consoleRef, printPointerDetailsImpl);
-              break;
-            }
-          }
-
-          if (await hasStagedChangesChanged(gitRoot, analysisState)) {
-            consoleRef.log(`${colors.red}${t.stagedChangedAtCommit}${colors.reset}`);
-            consoleRef.log(`${colors.yellow}${t.stagedChangedHint}${colors.reset}`);
-            consoleRef.log(`${colors.yellow}${t.stagedChangedNeedsRegenerate}${colors.reset}`);
+          if (await ensureCommitAllowed()) {
             break;
           }
 
-          await commitWithMessageImpl(gitRoot, generated.message);
+          await sessionDeps.commitWithMessage(gitRoot, generated.message);
           consoleRef.log(`${colors.green}${t.success}${colors.reset}`);
           return;
         }
 
-        case '2':
+        case 'regenerate':
           consoleRef.log(`${colors.yellow}${t.regenerating}${colors.reset}`);
           {
-            if (config.strictBranchCheck) {
-              const syncBeforeRegenerate = await getBranchPointerStatusImpl(gitRoot, {
-                fetchBeforeSyncCheck: config.fetchBeforeSyncCheck,
-              });
-              if (isSyncBlockedImpl(syncBeforeRegenerate.status)) {
-                consoleRef.log(`${colors.red}${t.syncBlockedAtRegenerate}${colors.reset}`);
-                printSyncBlockReason(syncBeforeRegenerate, t, colors, consoleRef, printPointerDetailsImpl);
-                break;
-              }
+            const syncBeforeRegenerate = await checkBranchSync(session, sessionDeps);
+            if (syncBeforeRegenerate.blocked) {
+              consoleRef.log(`${colors.red}${t.syncBlockedAtRegenerate}${colors.reset}`);
+              printSyncBlockReason(syncBeforeRegenerate.sync, t, colors, consoleRef, printPointerDetailsImpl);
+              break;
             }
 
-            const refreshedState = await collectAnalysisState(gitRoot, config);
+            const refreshedState = await collectAnalysisState(session, sessionDeps);
             if (refreshedState.summary.total === 0) {
               consoleRef.log(`${colors.yellow}${t.noChanges}${colors.reset}`);
               break;
             }
 
-            const regenerated = await generateCandidate(buildPromptFromState(refreshedState));
+            if (reportSecrets(refreshedState)) {
+              break;
+            }
+
+            const regenerated = await generateCandidate(refreshedState);
             if (!regenerated) {
               return;
             }
 
             analysisState = refreshedState;
-            printSummaryImpl(refreshedState.summary, t);
+            printSummaryImpl(refreshedState.summary, t, consoleRef);
+            reportOmittedFiles(refreshedState);
             generated = regenerated;
+            revisions.length = 0;
           }
           break;
 
-        case '3': {
-          const editResult = await editInEditorImpl(generated.message, promptControl);
-
-          if (editResult.status === 'unchanged') {
-            consoleRef.log(`${colors.yellow}${t.editAborted}${colors.reset}`);
-            break;
+        case 'edit':
+          if (await editAndCommit(generated.message)) {
+            return;
           }
+          break;
 
-          if (editResult.status === 'editor-failed') {
-            consoleRef.log(`${colors.red}${t.editFailed}${colors.reset}`);
-            if (editResult.error) {
-              consoleRef.log(`${colors.yellow}${editResult.error}${colors.reset}`);
-            }
-            break;
-          }
+        case 'cancel':
+          consoleRef.log(`${colors.red}${t.cancelled}${colors.reset}`);
+          return;
 
-          const editedValidation = validateCommitMessageImpl(editResult.message);
-          if (!editedValidation.valid) {
-            consoleRef.log(`${colors.yellow}${t.validationFailed}${colors.reset}`);
-            printValidationIssuesImpl(editedValidation.blockingIssues, t);
-            consoleRef.log(`${colors.yellow}${t.validationNeedsAction}${colors.reset}`);
+        case 'pick': {
+          const answer = (await promptControl.question(t.candidatePrompt)).trim();
+          const index = /^\d+$/.test(answer) ? Number(answer) - 1 : -1;
+          if (index < 0 || index >= candidates.length) {
+            consoleRef.log(`${colors.red}${t.candidateInvalidChoice(candidates.length)}${colors.reset}`);
             break;
           }
 
-          if (editedValidation.warnings.length > 0) {
-            consoleRef.log(`${colors.yellow}${t.validationWarnings}${colors.reset}`);
-            printValidationWarningsImpl(editedValidation.warnings, t);
-          }
+          generated = candidates[selectCandidate(index)];
+          revisions.length = 0;
+          showCandidate(index);
+          break;
+        }
 
-          if (config.strictBranchCheck) {
-            const syncBeforeCommit = await getBranchPointerStatusImpl(gitRoot, {
-              fetchBeforeSyncCheck: config.fetchBeforeSyncCheck,
-            });
-            if (isSyncBlockedImpl(syncBeforeCommit.status)) {
-              consoleRef.log(`${colors.red}${t.syncBlockedAtCommit}${colors.reset}`);
-              printSyncBlockReason(syncBeforeCommit, t, colors, consoleRef, printPointerDetailsImpl);
-              break;
-            }
+        case 'combine': {
+          const combined = `${candidates.map((candidate) => candidate.message).join('\n\n')}\n\n${t.combineInstructions}\n`;
+          if (await editAndCommit(combined, { stripComments: true })) {
+            return;
           }
+          break;
+        }
 
-          if (await hasStagedChangesChanged(gitRoot, analysisState)) {
-            consoleRef.log(`${colors.red}${t.stagedChangedAtCommit}${colors.reset}`);
-            consoleRef.log(`${colors.yellow}${t.stagedChangedHint}${colors.reset}`);
-            consoleRef.log(`${colors.yellow}${t.stagedChangedNeedsRegenerate}${colors.reset}`);
+        case 'refine': {
+          consoleRef.log(`${colors.cyan}${t.refineInstruction}${colors.reset}`);
+          const instruction = (await promptControl.question('> ')).trim();
+          if (!instruction) {
+            consoleRef.log(`${colors.yellow}${t.refineEmpty}${colors.reset}`);
             break;
           }
 
-          await commitWithMessageImpl(gitRoot, editedValidation.message);
-          consoleRef.log(`${colors.green}${t.successEdited}${colors.reset}`);
-          return;
+          const refined = await refineCurrent(generated.message, instruction);
+          if (!refined) {
+            return;
+          }
+
+          revisions.push(generated);
+          generated = refined;
+          applyToReport(generated);
+          consoleRef.log(`${colors.cyan}${t.refineRevision(revisions.length + 1)}${colors.reset}`);
+          showResult(generated);
+          break;
         }
 
-        case '4':
-          consoleRef.log(`${colors.red}${t.cancelled}${colors.reset}`);
-          return;
+        case 'back':
+          generated = revisions.pop();
+          applyToReport(generated);
+          consoleRef.log(`${colors.cyan}${t.refineRevision(revisions.length + 1)}${colors.reset}`);
+          showResult(generated);
+          break;
 
         default:
           consoleRef.log(`${colors.red}${t.invalid}${colors.reset}`);
@@ -415,8 +662,13 @@ async function run(selectedLang = null, overrides = {}) {
   } catch (error) {
     consoleRef.error(`${colors.red}${t.error}${colors.reset} ${error.message}`);
     processRef.exitCode = 1;
+    report.status = 'error';
+    report.error = { message: error.message, detail: error.stderr ? error.stderr.trim() : null };
   } finally {
     promptControl.close();
+    if (cliOptions.json) {
+      printJsonResultImpl(report, t, outputRef);
+    }
   }
 }
 
@@ -429,8 +681,21 @@ async function execute(argv = process.argv.slice(2), overrides = {}) {
   const loadGlobalSettingsImpl = overrides.loadGlobalSettings || loadGlobalSettings;
   const setGlobalLanguageImpl = overrides.setGlobalLanguage || setGlobalLanguage;
   const resetGlobalLanguageImpl = overrides.resetGlobalLanguage || resetGlobalLanguage;
+  const getGitRootImpl = overrides.getGitRoot || getGitRoot;
+  const getHooksDirImpl = overrides.getHooksDir || getHooksDir;
+  const installHookImpl = overrides.installHook || installHook;
+  const uninstallHookImpl = overrides.uninstallHook || uninstallHook;
+  const runPrepareCommitMsgImpl = overrides.runPrepareCommitMsg || runPrepareCommitMsg;
+  const printHookResultImpl = overrides.printHookResult || printHookResult;
+  const printSecretFindingsImpl = overrides.printSecretFindings || printSecretFindings;
+  const serveStdioImpl = overrides.serveStdio || serveStdio;
+  const runSplitImpl = overrides.runSplit || runSplit;
+  const runAmendImpl = overrides.runAmend || runAmend;
+  const runRewordImpl = overrides.runReword || runReword;
+  const runSquashImpl = overrides.runSquash || runSquash;
   const consoleRef = overrides.console || console;
   const processRef = overrides.process || process;
+  const cwd = typeof processRef.cwd === 'function' ? processRef.cwd() : process.cwd();
 
   const parsedArgs = parseCliArgsImpl(argv);
   if (parsedArgs.command === 'invalid') {
@@ -474,11 +739,99 @@ async function execute(argv = process.argv.slice(2), overrides = {}) {
     return;
   }
 
+  if (parsedArgs.command === 'hook' && parsedArgs.action === 'run') {
+    // Only blockOnSecrets stops the commit. Other failures are reported and git continues with
+    // the original message.
+    const globalSettings = loadGlobalSettingsImpl({ homeDir: overrides.homeDir });
+    try {
+      const result = await runPrepareCommitMsgImpl({
+        messageFile: parsedArgs.messageFile,
+        source: parsedArgs.source,
+        cwd,
+      }, {
+        ...overrides,
+        loadGlobalSettings: () => globalSettings,
+      });
+
+      if (result.status === 'blocked') {
+        const t = STRINGS[globalSettings.settings.language] || STRINGS.en;
+        printSecretFindingsImpl(result.secrets, t, consoleRef);
+        consoleRef.error(`${COLORS.red}${t.secretsBlocked}${COLORS.reset}`);
+        processRef.exitCode = EXIT_CODES.secretsBlocked;
+      }
+    } catch (error) {
+      consoleRef.error(`gcg: ${error.detail || error.message}`);
+    }
+
+    return;
+  }
+
+  if (parsedArgs.command === 'hook') {
+    try {
+      const gitRoot = await getGitRootImpl(cwd);
+      const hooksDir = await getHooksDirImpl(gitRoot);
+      const result = parsedArgs.action === 'install'
+        ? installHookImpl(hooksDir)
+        : uninstallHookImpl(hooksDir);
+      printHookResultImpl(result, consoleRef);
+      if (result.status === 'conflict' || result.status === 'foreign') {
+        processRef.exitCode = 1;
+      }
+    } catch (error) {
+      consoleRef.error(`Error: ${error.message}`);
+      processRef.exitCode = 1;
+    }
+
+    return;
+  }
+
+  if (parsedArgs.command === 'serve') {
+    const globalSettings = loadGlobalSettingsImpl({ homeDir: overrides.homeDir });
+
+    // stdout belongs to the protocol, so startup failures go to stderr only.
+    try {
+      await serveStdioImpl({
+        input: overrides.stdin || process.stdin,
+        output: overrides.stdout || process.stdout,
+        cwd,
+        lang: parsedArgs.lang || globalSettings.settings.language || 'en',
+      }, overrides);
+    } catch (error) {
+      consoleRef.error(`Error: ${error.message}`);
+      processRef.exitCode = 1;
+    }
+
+    return;
+  }
+
+  const historyCommands = {
+    split: runSplitImpl,
+    amend: runAmendImpl,
+    reword: runRewordImpl,
+    squash: runSquashImpl,
+  };
+  if (historyCommands[parsedArgs.command]) {
+    const globalSettings = loadGlobalSettingsImpl({ homeDir: overrides.homeDir });
+    const selectedLang = parsedArgs.options.lang || globalSettings.settings.language || null;
+
+    await historyCommands[parsedArgs.command]({
+      cwd,
+      lang: selectedLang,
+      range: parsedArgs.range,
+      base: parsedArgs.base,
+      options: parsedArgs.options,
+      showConfigHint: !selectedLang,
+    }, overrides);
+    return;
+  }
+
+  const cliOptions = parsedArgs.options || {};
   const globalSettings = loadGlobalSettingsImpl({ homeDir: overrides.homeDir });
-  const selectedLang = globalSettings.settings.language || null;
+  const selectedLang = cliOptions.lang || globalSettings.settings.language || null;
 
   await run(selectedLang, {
     ...overrides,
+    cliOptions,
     showConfigHint: !selectedLang,
   });
 }
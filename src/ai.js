@@ -1,7 +1,10 @@
-const { spawn } = require('child_process');
 const path = require('path');
+const { createProvider } = require('./providers');
+const { buildConventionalFormatGuide, checkConventionalHeader } = require('./conventional');
+const { DEFAULT_RULES, buildRulesGuide, evaluateRules } = require('./rules');
+const { buildCommitlintGuide, evaluateCommitlintRules } = require('./commitlint');
+const { DEFAULT_PROMPT_TEMPLATE, renderPromptTemplate } = require('./prompt-template');
 
-const DEFAULT_GEMINI_MODEL = 'flash';
 const TITLE_MAX_LENGTH = 50;
 const META_PREFIX_PATTERNS = [
   /^here(?:'s| is) (?:your |the )?commit message:?/i,
@@ -11,67 +14,6 @@ const META_PREFIX_PATTERNS = [
   /^커밋 메시지[:.]?/i,
 ];
 
-function runGemini(prompt, cwd, model = DEFAULT_GEMINI_MODEL) {
-  return new Promise((resolve, reject) => {
-    const child = spawn('gemini', ['-p', '-', '-m', model, '-e', ''], {
-      cwd,
-      stdio: ['pipe', 'pipe', 'pipe'],
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', (chunk) => {
-      stdout += chunk.toString();
-    });
-
-    child.stderr.on('data', (chunk) => {
-      stderr += chunk.toString();
-    });
-
-    child.on('error', (error) => {
-      reject(error);
-    });
-
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve(stdout.trim());
-        return;
-      }
-
-      const error = new Error(`gemini exited with code ${code}`);
-      error.code = code;
-      error.stderr = stderr;
-      error.stdout = stdout;
-      reject(error);
-    });
-
-    child.stdin.write(prompt);
-    child.stdin.end();
-  });
-}
-
-function ensureGeminiInstalled(cwd) {
-  return new Promise((resolve, reject) => {
-    const child = spawn('gemini', ['--version'], {
-      cwd,
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
-
-    child.on('error', (error) => {
-      reject(error);
-    });
-
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`gemini --version failed with code ${code}`));
-      }
-    });
-  });
-}
-
 function buildPromptFileList(files) {
   if (!files || files.length === 0) {
     return '- None';
@@ -92,42 +34,109 @@ function buildPromptFileList(files) {
     .join('\n');
 }
 
-function buildPrompt({ t, history, userContext, diff, diffTruncated, branchContext, files }) {
-  const branchName = branchContext.branch || 'None';
-  const branchIssues = branchContext.issueHints.length > 0
-    ? branchContext.issueHints.join(', ')
-    : 'None';
-  const fileList = buildPromptFileList(files);
-
-  return `Generate a detailed git commit message in ${t.promptLang} based on the staged changes.
-Match the project style from recent history if possible.
+function createValidationOptions(config = {}, commitlintRules = null) {
+  const conventional = config.conventional || {};
 
-[STYLE HISTORY]
-${history || 'None'}
-
-[BRANCH CONTEXT]
-branch: ${branchName}
-issue hints: ${branchIssues}
+  return {
+    convention: config.convention || 'none',
+    types: conventional.types || [],
+    scopes: conventional.scopes || [],
+    rules: { ...DEFAULT_RULES, ...config.rules },
+    commitlintRules,
+  };
+}
 
-[USER CONTEXT]
-${userContext || 'None'}
+function getTitleMaxLength(rules) {
+  const rule = rules.titleMaxLength;
+  return rule && rule.level !== 'off' ? rule.value : TITLE_MAX_LENGTH;
+}
 
-[FILES]
-${fileList}
+function buildTitleFormat(validationOptions) {
+  const titleRule = validationOptions.rules.titleMaxLength;
+  const titleMaxLength = getTitleMaxLength(validationOptions.rules);
+  const lengthGuide = titleRule && titleRule.level === 'error'
+    ? `within ${titleMaxLength} chars`
+    : `preferably within ${titleMaxLength} chars`;
+
+  const titleFormat = validationOptions.convention === 'conventional'
+    ? `${buildConventionalFormatGuide(validationOptions)}
+   - Keep the whole header concise (${lengthGuide}).`
+    : `TITLE: A concise summary (${lengthGuide}).`;
+
+  const rulesGuide = [
+    ...buildRulesGuide(validationOptions.rules),
+    ...buildCommitlintGuide(validationOptions.commitlintRules || {}),
+  ];
+  if (rulesGuide.length === 0) {
+    return titleFormat;
+  }
 
-[DIFF]
-${diff || 'No textual diff available.'}
+  return `${titleFormat}
+${rulesGuide.map((line) => `   - ${line}`).join('\n')}`;
+}
 
-[NOTES]
-- The branch name and issue hints are reference material only. Use them only when they clearly match the staged changes.
-- ${diffTruncated ? 'The diff was truncated at a file boundary when possible for prompt safety.' : 'The diff includes all staged file patches.'}
+function buildPrompt({
+  t,
+  history,
+  userContext,
+  diff,
+  diffTruncated,
+  diffSummarized = false,
+  omittedFiles = [],
+  hasRenames = false,
+  previousMessage = null,
+  originalMessage = null,
+  squashedSubjects = null,
+  branchContext,
+  files,
+  validationOptions = createValidationOptions(),
+  template = DEFAULT_PROMPT_TEMPLATE,
+}) {
+  const branchIssues = branchContext.issueHints.length > 0
+    ? branchContext.issueHints.join(', ')
+    : 'None';
+  let diffNote = 'The diff includes all staged file patches.';
+  if (diffSummarized) {
+    diffNote = 'The full diff was too large for one prompt. [DIFF] holds the stat lines for every staged file, then a summary of each part of the diff in order. Base the message on the summaries.';
+  } else if (diffTruncated) {
+    diffNote = 'Some patches were trimmed or omitted to fit the prompt. The stat lines at the top of the diff list every staged file with its line counts and mark those patches.';
+  }
+  const diffNotes = [diffNote];
+  if (omittedFiles.some((entry) => entry.reason === 'ignored')) {
+    diffNotes.push('Files marked "ignored" in the stat lines match the repository ignore list. Mention them briefly at most.');
+  }
+  if (hasRenames) {
+    diffNotes.push('Stat lines marked "renamed from" or "copied from" are moves or copies, not a deletion plus a new file. Describe them as renames or copies.');
+  }
+  if (previousMessage) {
+    diffNotes.push(`This message replaces the one of the commit being amended. The diff is that whole commit, including newly staged changes. Keep what is still accurate in its current message and describe the whole diff:
+${previousMessage.split('\n').map((line) => `  > ${line}`).join('\n')}`);
+  }
+  if (originalMessage) {
+    diffNotes.push(`This message replaces the one of an existing commit whose content stays the same. The diff is exactly that commit. Its current message is below; keep what is accurate and describe the whole diff:
+${originalMessage.split('\n').map((line) => `  > ${line}`).join('\n')}`);
+  }
+  if (squashedSubjects) {
+    diffNotes.push(`This commit combines several commits into one, as a squash or merge does. The diff is their combined change. Write one message that summarizes it instead of listing each commit. Their subjects, newest first:
+${squashedSubjects.split('\n').map((line) => `  > ${line}`).join('\n')}`);
+  }
 
-[FORMAT]
-1. TITLE: A concise summary (preferably within ${TITLE_MAX_LENGTH} chars).
+  return renderPromptTemplate(template || DEFAULT_PROMPT_TEMPLATE, {
+    language: t.promptLang,
+    history: history || 'None',
+    branch: branchContext.branch || 'None',
+    issueHints: branchIssues,
+    userContext: userContext || 'None',
+    files: buildPromptFileList(files),
+    diff: diff || 'No textual diff available.',
+    notes: `- The branch name and issue hints are reference material only. Use them only when they clearly match the staged changes.
+${diffNotes.map((note) => `- ${note}`).join('\n')}`,
+    format: `1. ${buildTitleFormat(validationOptions)}
 2. BODY: Optional. If you include a body, use a blank line after the title.
    - When useful, describe changes by filename only (exclude directory paths).
    - Example: "${t.promptExample}"
-3. Output ONLY the commit message without markdown backticks, quotes, or explanatory prefixes.`;
+3. Output ONLY the commit message without markdown backticks, quotes, or explanatory prefixes.`,
+  });
 }
 
 function normalizeCommitMessage(message) {
@@ -144,7 +153,7 @@ function normalizeCommitMessage(message) {
   return normalized;
 }
 
-function validateCommitMessage(message) {
+function validateCommitMessage(message, validationOptions = createValidationOptions()) {
   const normalized = normalizeCommitMessage(message);
   const blockingIssues = [];
   const warnings = [];
@@ -159,10 +168,6 @@ function validateCommitMessage(message) {
     blockingIssues.push({ code: 'missing-title' });
   }
 
-  if (title && title.length > TITLE_MAX_LENGTH) {
-    warnings.push({ code: 'title-too-long', max: TITLE_MAX_LENGTH });
-  }
-
   if (normalized.includes('```')) {
     blockingIssues.push({ code: 'code-fence' });
   }
@@ -171,6 +176,20 @@ function validateCommitMessage(message) {
     blockingIssues.push({ code: 'meta-prefix' });
   }
 
+  if (title && validationOptions.convention === 'conventional') {
+    blockingIssues.push(...checkConventionalHeader(title, validationOptions));
+  }
+
+  const ruleResult = evaluateRules(normalized, validationOptions.rules);
+  blockingIssues.push(...ruleResult.errors);
+  warnings.push(...ruleResult.warnings);
+
+  if (title && validationOptions.commitlintRules) {
+    const commitlintResult = evaluateCommitlintRules(normalized, validationOptions.commitlintRules);
+    blockingIssues.push(...commitlintResult.errors);
+    warnings.push(...commitlintResult.warnings);
+  }
+
   return {
     message: normalized,
     valid: blockingIssues.length === 0,
@@ -180,7 +199,9 @@ function validateCommitMessage(message) {
 }
 
 function buildRetryPrompt(prompt, issues) {
-  const validationSummary = issues.map((issue) => issue.code).join(', ');
+  const validationSummary = issues
+    .map((issue) => (issue.detail ? `${issue.code} (${issue.detail})` : issue.code))
+    .join(', ');
   return `${prompt}
 
 [VALIDATION FEEDBACK]
@@ -188,19 +209,65 @@ The previous response was not usable as a commit message because of: ${validatio
 Retry and return only the commit message itself.`;
 }
 
+// Extra candidates get a nudge toward different wording so they are not all the same message.
+function buildCandidatePrompt(prompt, index) {
+  if (index === 0) {
+    return prompt;
+  }
+
+  return `${prompt}
+
+[ALTERNATIVE ${index}]
+Other candidates are written for the same changes. Describe the changes just as accurately, but choose a different wording or emphasis than the most obvious message.`;
+}
+
+function buildRefinePrompt(prompt, message, instruction) {
+  return `${prompt}
+
+[CURRENT MESSAGE]
+${message}
+
+[REFINEMENT]
+Rewrite the current message following this instruction: ${instruction}
+Keep it accurate to the changes above and return only the commit message itself.`;
+}
+
+function buildDiffSummaryPrompt(chunk, index, total) {
+  return `Summarize part ${index + 1} of ${total} of a staged git diff. The summary will be used to write the commit message.
+- Write 2 to 6 short bullet points in English.
+- Say what changed and why it matters, and name the files involved.
+- Output only the bullet points.
+
+[DIFF PART ${index + 1}/${total}]
+${chunk}`;
+}
+
+async function summarizeDiffChunk({
+  cwd,
+  prompt,
+  model,
+  timeoutMs,
+  provider = createProvider(),
+}) {
+  const summary = await provider.generate(prompt, { cwd, model, timeoutMs });
+  return normalizeCommitMessage(summary);
+}
+
 async function generateCommitMessage({
   cwd,
   prompt,
   maxAttempts,
-  model = DEFAULT_GEMINI_MODEL,
-  runGeminiImpl = runGemini,
+  model,
+  timeoutMs,
+  validationOptions = createValidationOptions(),
+  provider = createProvider(),
 }) {
   let currentPrompt = prompt;
   let lastResult = null;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-    const rawMessage = await runGeminiImpl(currentPrompt, cwd, model);
-    const validation = validateCommitMessage(rawMessage);
+    const rawMessage = await provider.generate(currentPrompt, { cwd, model, timeoutMs });
+    const validation = validateCommitMessage(rawMessage, validationOptions);
     lastResult = {
       message: validation.message,
       valid: validation.valid,
@@ -219,28 +286,17 @@ async function generateCommitMessage({
   return lastResult;
 }
 
-function classifyGeminiError(error) {
-  const combined = `${error.message || ''}\n${error.stderr || ''}`.toLowerCase();
-  if (
-    combined.includes('auth') ||
-    combined.includes('login') ||
-    combined.includes('unauthorized') ||
-    combined.includes('permission')
-  ) {
-    return 'auth';
-  }
-
-  return 'generic';
-}
-
 module.exports = {
-  DEFAULT_GEMINI_MODEL,
   TITLE_MAX_LENGTH,
+  buildCandidatePrompt,
+  buildDiffSummaryPrompt,
   buildPrompt,
   buildPromptFileList,
-  classifyGeminiError,
-  ensureGeminiInstalled,
+  buildRefinePrompt,
+  buildTitleFormat,
+  createValidationOptions,
   generateCommitMessage,
   normalizeCommitMessage,
+  summarizeDiffChunk,
   validateCommitMessage,
 };
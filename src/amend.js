@@ -0,0 +1,165 @@
+const {
+  COLORS,
+  printCommitMessage,
+  printConfigWarnings,
+  printSecretFindings,
+  printSummary,
+  printSyncBlockReason,
+} = require('./ui');
+const { getAmendTarget } = require('./git');
+const {
+  collectAnalysisState,
+  getSecretFindings,
+  hasStagedChangesChanged,
+  resolveSessionDeps,
+} = require('./session');
+const { askUserContext, chooseHistoryMessage, openHistorySession, runHistoryCommand } = require('./history-command');
+
+function resolveAmendDeps(overrides = {}) {
+  return {
+    ...resolveSessionDeps(overrides),
+    getAmendTarget: overrides.getAmendTarget || getAmendTarget,
+  };
+}
+
+// HEAD is published when its upstream already contains it, that is, no local commit is ahead.
+function isHeadPushed(sync) {
+  return Boolean(sync.upstream) && sync.ahead === 0;
+}
+
+// Unlike a normal commit, amending always needs the pointer status: strictBranchCheck only
+// decides whether behind, diverged, and detached branches are blocked too.
+async function checkAmendSafety(session, deps) {
+  const sync = await deps.getBranchPointerStatus(session.gitRoot, {
+    fetchBeforeSyncCheck: session.config.fetchBeforeSyncCheck,
+  });
+
+  return {
+    sync,
+    blocked: Boolean(session.config.strictBranchCheck && deps.isSyncBlocked(sync.status)),
+    pushed: isHeadPushed(sync),
+  };
+}
+
+async function runAmend({ cwd, lang = null, options = {}, showConfigHint = false }, overrides = {}) {
+  const deps = resolveAmendDeps(overrides);
+
+  await runHistoryCommand({ lang, options, showConfigHint, startingKey: 'amendStarting' }, overrides, async (context) => {
+    const { t, consoleRef, setup, fail } = context;
+
+    // Prints why amending must stop and returns true, or returns false when it may go ahead.
+    const reportUnsafe = (safety) => {
+      if (safety.blocked) {
+        printSyncBlockReason(safety.sync, t, COLORS, consoleRef);
+        return true;
+      }
+
+      if (safety.pushed && !options.force) {
+        consoleRef.error(`${COLORS.red}${t.amendPushed(safety.sync.upstream)}${COLORS.reset}`);
+        consoleRef.error(`${COLORS.yellow}${t.amendPushedHint}${COLORS.reset}`);
+        return true;
+      }
+
+      return false;
+    };
+
+    const session = await openHistorySession(context, deps, cwd);
+    if (!session) {
+      return;
+    }
+
+    const { gitRoot, config } = session;
+    const target = await deps.getAmendTarget(gitRoot);
+    if (!target) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.amendNoCommit}${COLORS.reset}`);
+      fail('noChanges');
+      return;
+    }
+    session.diffBase = target.base;
+    session.previousMessage = target.message;
+
+    setup.update(t.step2Sync);
+    const preflight = await checkAmendSafety(session, deps);
+    if (preflight.blocked || (preflight.pushed && !options.force)) {
+      setup.stop('❌', COLORS.red);
+      reportUnsafe(preflight);
+      fail('syncBlocked');
+      return;
+    }
+
+    setup.update(config.autoStage ? t.step2AutoStage : t.step2UsingStaged);
+    const analysisState = await collectAnalysisState(session, deps);
+    const { summary } = analysisState;
+    if (summary.total === 0) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.amendNoChanges}${COLORS.reset}`);
+      fail('noChanges');
+      return;
+    }
+
+    setup.stop();
+    printConfigWarnings(session.warnings, t, consoleRef);
+    if (preflight.pushed) {
+      consoleRef.log(`${COLORS.yellow}${t.amendForced(preflight.sync.upstream)}${COLORS.reset}`);
+    }
+    printSummary(summary, t, consoleRef);
+
+    const secrets = getSecretFindings(analysisState);
+    if (secrets.length > 0) {
+      printSecretFindings(secrets, t, consoleRef);
+      if (config.blockOnSecrets) {
+        consoleRef.error(`${COLORS.red}${t.secretsBlocked}${COLORS.reset}`);
+        fail('secretsBlocked');
+        return;
+      }
+    }
+
+    consoleRef.log(`${COLORS.cyan}${t.amendCurrentMessage}${COLORS.reset}`);
+    printCommitMessage(target.message, consoleRef);
+
+    const userContext = await askUserContext(context);
+    const chosen = await chooseHistoryMessage(context, session, deps, analysisState, userContext, {
+      primaryLabel: t.amendMenuAmend,
+    });
+    if (!chosen) {
+      return;
+    }
+
+    const safetyBeforeAmend = await checkAmendSafety(session, deps);
+    if (reportUnsafe(safetyBeforeAmend)) {
+      consoleRef.log(`${COLORS.red}${t.syncBlockedAtCommit}${COLORS.reset}`);
+      fail('syncBlocked');
+      return;
+    }
+
+    const currentTarget = await deps.getAmendTarget(gitRoot);
+    if (!currentTarget || currentTarget.head !== target.head) {
+      consoleRef.log(`${COLORS.red}${t.amendHeadMoved}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    if (await hasStagedChangesChanged(session, analysisState, deps)) {
+      consoleRef.log(`${COLORS.red}${t.stagedChangedAtCommit}${COLORS.reset}`);
+      consoleRef.log(`${COLORS.yellow}${t.stagedChangedHint}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    try {
+      await deps.commitWithMessage(gitRoot, chosen.message, { amend: true });
+    } catch (error) {
+      consoleRef.error(`${COLORS.red}${t.error}${COLORS.reset} ${error.message}`);
+      fail('error');
+      return;
+    }
+
+    consoleRef.log(`${COLORS.green}${chosen.edited ? t.amendDoneEdited : t.amendDone}${COLORS.reset}`);
+  });
+}
+
+module.exports = {
+  isHeadPushed,
+  runAmend,
+};
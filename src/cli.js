@@ -1,3 +1,182 @@
+const LANGUAGES = ['en', 'ko'];
+
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  noChanges: 2,
+  validationFailed: 3,
+  syncBlocked: 4,
+  providerFailed: 5,
+  secretsBlocked: 6,
+};
+
+function invalid(error) {
+  return { command: 'invalid', error };
+}
+
+function parseRunOptions(argv) {
+  const options = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const separator = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = separator === -1 ? arg : arg.slice(0, separator);
+    const inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+
+    if ((flag === '--yes' || flag === '-y') && inlineValue === undefined) {
+      options.yes = true;
+      continue;
+    }
+
+    if (flag === '--print-only' && inlineValue === undefined) {
+      options.printOnly = true;
+      continue;
+    }
+
+    if (flag === '--json' && inlineValue === undefined) {
+      options.json = true;
+      continue;
+    }
+
+    if (flag === '--pick' && inlineValue === undefined) {
+      options.pick = true;
+      continue;
+    }
+
+    if (flag === '--context' || flag === '--lang') {
+      const value = inlineValue !== undefined ? inlineValue : argv[index + 1];
+      if (value === undefined) {
+        return invalid(`Missing value for ${flag}`);
+      }
+
+      if (inlineValue === undefined) {
+        index += 1;
+      }
+
+      if (flag === '--lang') {
+        if (!LANGUAGES.includes(value)) {
+          return invalid(`Unsupported language: ${value}. Use ${LANGUAGES.join(' or ')}.`);
+        }
+
+        options.lang = value;
+      } else {
+        options.context = value;
+      }
+      continue;
+    }
+
+    return invalid(`Unknown option: ${arg}`);
+  }
+
+  if (options.yes && options.printOnly) {
+    return invalid('--yes and --print-only cannot be used together');
+  }
+
+  // Picking asks questions, so it needs the interactive flow.
+  if (options.pick && (options.yes || options.printOnly || options.json)) {
+    return invalid('--pick cannot be used with --yes, --print-only, or --json');
+  }
+
+  return { command: 'run', options };
+}
+
+function parseHookArgs(args) {
+  const [action, ...rest] = args;
+
+  if ((action === 'install' || action === 'uninstall') && rest.length === 0) {
+    return { command: 'hook', action };
+  }
+
+  // Entry point called by the installed prepare-commit-msg hook: <message-file> [source] [sha].
+  if (action === 'run' && rest.length >= 1 && rest.length <= 3) {
+    return {
+      command: 'hook',
+      action,
+      messageFile: rest[0],
+      source: rest[1] || null,
+    };
+  }
+
+  return invalid(`Unknown hook command: ${['hook', ...args].join(' ')}`);
+}
+
+function parseServeArgs(args) {
+  const parsed = parseRunOptions(args.filter((arg) => arg !== '--stdio'));
+  if (parsed.command === 'invalid') {
+    return parsed;
+  }
+
+  // stdio is the only transport today; requiring the flag keeps room for others.
+  const extra = Object.keys(parsed.options).find((key) => key !== 'lang');
+  if (!args.includes('--stdio') || extra) {
+    return invalid(`Unknown serve command: ${['serve', ...args].join(' ')}. Use gcg serve --stdio [--lang en|ko].`);
+  }
+
+  return { command: 'serve', transport: 'stdio', lang: parsed.options.lang || null };
+}
+
+function parseSplitArgs(args) {
+  const parsed = parseRunOptions(args);
+  if (parsed.command === 'invalid') {
+    return parsed;
+  }
+
+  const unsupported = Object.keys(parsed.options).find((key) => !['yes', 'context', 'lang'].includes(key));
+  if (unsupported) {
+    return invalid(`Unknown split command: ${['split', ...args].join(' ')}. Use gcg split [--yes] [--context <text>] [--lang en|ko].`);
+  }
+
+  return { command: 'split', options: parsed.options };
+}
+
+function parseAmendArgs(args) {
+  // --force only means something to amend, so it is taken out before the shared run options.
+  const parsed = parseRunOptions(args.filter((arg) => arg !== '--force'));
+  if (parsed.command === 'invalid') {
+    return parsed;
+  }
+
+  const unsupported = Object.keys(parsed.options).find((key) => !['yes', 'context', 'lang'].includes(key));
+  if (unsupported) {
+    return invalid(`Unknown amend command: ${['amend', ...args].join(' ')}. Use gcg amend [--yes] [--force] [--context <text>] [--lang en|ko].`);
+  }
+
+  const options = args.includes('--force') ? { ...parsed.options, force: true } : parsed.options;
+  return { command: 'amend', options };
+}
+
+function parseRewordArgs(args) {
+  // The range comes first; without one, the commits not yet on the upstream are reworded.
+  const hasRange = args.length > 0 && !args[0].startsWith('-');
+  const parsed = parseRunOptions(hasRange ? args.slice(1) : args);
+  if (parsed.command === 'invalid') {
+    return parsed;
+  }
+
+  const unsupported = Object.keys(parsed.options).find((key) => !['yes', 'context', 'lang'].includes(key));
+  if (unsupported) {
+    return invalid(`Unknown reword command: ${['reword', ...args].join(' ')}. Use gcg reword [<range>] [--yes] [--context <text>] [--lang en|ko].`);
+  }
+
+  return { command: 'reword', range: hasRange ? args[0] : null, options: parsed.options };
+}
+
+function parseSquashArgs(args) {
+  // Like reword, the base comes first and defaults to the upstream.
+  const hasBase = args.length > 0 && !args[0].startsWith('-');
+  const parsed = parseRunOptions(hasBase ? args.slice(1) : args);
+  if (parsed.command === 'invalid') {
+    return parsed;
+  }
+
+  const unsupported = Object.keys(parsed.options).find((key) => !['yes', 'context', 'lang'].includes(key));
+  if (unsupported) {
+    return invalid(`Unknown squash command: ${['squash', ...args].join(' ')}. Use gcg squash [<base>] [--yes] [--context <text>] [--lang en|ko].`);
+  }
+
+  return { command: 'squash', base: hasBase ? args[0] : null, options: parsed.options };
+}
+
 function parseCliArgs(argv = []) {
   if (!argv || argv.length === 0) {
     return { command: 'run' };
@@ -15,12 +194,38 @@ function parseCliArgs(argv = []) {
     return { command: 'config' };
   }
 
-  return {
-    command: 'invalid',
-    error: `Unknown command: ${argv.join(' ')}`,
-  };
+  if (argv[0] === 'hook') {
+    return parseHookArgs(argv.slice(1));
+  }
+
+  if (argv[0] === 'serve') {
+    return parseServeArgs(argv.slice(1));
+  }
+
+  if (argv[0] === 'split') {
+    return parseSplitArgs(argv.slice(1));
+  }
+
+  if (argv[0] === 'amend') {
+    return parseAmendArgs(argv.slice(1));
+  }
+
+  if (argv[0] === 'reword') {
+    return parseRewordArgs(argv.slice(1));
+  }
+
+  if (argv[0] === 'squash') {
+    return parseSquashArgs(argv.slice(1));
+  }
+
+  if (argv[0].startsWith('-')) {
+    return parseRunOptions(argv);
+  }
+
+  return invalid(`Unknown command: ${argv.join(' ')}`);
 }
 
 module.exports = {
+  EXIT_CODES,
   parseCliArgs,
 };
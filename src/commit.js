@@ -139,7 +139,19 @@ function cleanupTempWorkspace(workspace) {
   }
 }
 
-async function editInEditor(initialContent, promptControl) {
+// Marks the instruction lines gcg adds to a message it opens in the editor. Only these lines are
+// removed, so issue references like `#123` and markdown headings in the message survive.
+const GCG_COMMENT_PREFIX = '# gcg:';
+
+function stripCommentLines(content) {
+  return content
+    .split('\n')
+    .filter((line) => !line.startsWith(GCG_COMMENT_PREFIX))
+    .join('\n');
+}
+
+async function editInEditor(initialContent, promptControl, options = {}) {
+  const clean = (content) => (options.stripComments ? stripCommentLines(content) : content).trim();
   const workspace = createTempWorkspace('gcg-edit-', initialContent);
   const editorCommand = process.env.EDITOR || (os.platform() === 'win32' ? 'notepad' : 'vi');
   let editorLaunch;
@@ -187,7 +199,7 @@ async function editInEditor(initialContent, promptControl) {
       let editedContent = '';
 
       try {
-        editedContent = fs.readFileSync(workspace.filePath, 'utf8').trim();
+        editedContent = clean(fs.readFileSync(workspace.filePath, 'utf8'));
       } catch (error) {
         finish({ status: 'editor-failed', error: error.message });
         return;
@@ -203,7 +215,7 @@ async function editInEditor(initialContent, promptControl) {
         return;
       }
 
-      if (editedContent === initialContent.trim()) {
+      if (editedContent === clean(initialContent)) {
         finish({ status: 'unchanged', message: editedContent });
         return;
       }
@@ -213,13 +225,15 @@ async function editInEditor(initialContent, promptControl) {
   });
 }
 
-async function commitWithMessage(cwd, message) {
+// options.amend replaces HEAD with the staged content and this message. options.keepStdout
+// is for callers whose stdout carries JSON: git gets no stdin and prints to stderr instead.
+async function commitWithMessage(cwd, message, options = {}) {
   const workspace = createTempWorkspace('gcg-msg-', message);
 
   try {
-    const result = spawnSync('git', ['commit', '-F', workspace.filePath], {
+    const result = spawnSync('git', ['commit', ...(options.amend ? ['--amend'] : []), '-F', workspace.filePath], {
       cwd,
-      stdio: 'inherit',
+      stdio: options.keepStdout ? ['ignore', 2, 2] : 'inherit',
     });
 
     if (result.status !== 0) {
@@ -237,4 +251,5 @@ module.exports = {
   createTempWorkspace,
   editInEditor,
   parseEditorCommand,
+  stripCommentLines,
 };
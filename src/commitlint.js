@@ -0,0 +1,437 @@
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { pathToFileURL } = require('url');
+const { parseConventionalHeader } = require('./conventional');
+
+const CONFIG_FILES = [
+  '.commitlintrc',
+  '.commitlintrc.json',
+  '.commitlintrc.yaml',
+  '.commitlintrc.yml',
+  '.commitlintrc.js',
+  '.commitlintrc.cjs',
+  '.commitlintrc.mjs',
+  '.commitlintrc.ts',
+  '.commitlintrc.cts',
+  '.commitlintrc.mts',
+  'commitlint.config.js',
+  'commitlint.config.cjs',
+  'commitlint.config.mjs',
+  'commitlint.config.ts',
+  'commitlint.config.cts',
+  'commitlint.config.mts',
+];
+
+// Mirrors @commitlint/config-conventional so the common preset works without installing it.
+const BUILTIN_PRESETS = {
+  '@commitlint/config-conventional': {
+    rules: {
+      'body-leading-blank': [1, 'always'],
+      'body-max-line-length': [2, 'always', 100],
+      'footer-leading-blank': [1, 'always'],
+      'footer-max-line-length': [2, 'always', 100],
+      'header-max-length': [2, 'always', 100],
+      'header-trim': [2, 'always'],
+      'subject-case': [2, 'never', ['sentence-case', 'start-case', 'pascal-case', 'upper-case']],
+      'subject-empty': [2, 'never'],
+      'subject-full-stop': [2, 'never', '.'],
+      'type-case': [2, 'always', 'lower-case'],
+      'type-empty': [2, 'never'],
+      'type-enum': [2, 'always', ['build', 'chore', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'revert', 'style', 'test']],
+    },
+  },
+};
+
+function splitWords(value) {
+  return value
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function upperFirst(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function toCase(value, targetCase) {
+  const words = splitWords(value);
+
+  switch (targetCase) {
+    case 'lower-case':
+    case 'lowercase':
+      return value.toLowerCase();
+    case 'upper-case':
+    case 'uppercase':
+      return value.toUpperCase();
+    case 'sentence-case':
+    case 'sentencecase':
+      return upperFirst(value);
+    case 'start-case':
+      return words.map(upperFirst).join(' ');
+    case 'camel-case':
+      return words.map((word, index) => (index === 0 ? word.toLowerCase() : upperFirst(word.toLowerCase()))).join('');
+    case 'pascal-case':
+      return words.map((word) => upperFirst(word.toLowerCase())).join('');
+    case 'kebab-case':
+      return words.map((word) => word.toLowerCase()).join('-');
+    case 'snake-case':
+      return words.map((word) => word.toLowerCase()).join('_');
+    default:
+      return null;
+  }
+}
+
+function isCase(value, targetCase) {
+  const stripped = value.replace(/`.*?`|".*?"|'.*?'/g, '').trim();
+  if (!stripped) {
+    return true;
+  }
+
+  return toCase(stripped, targetCase) === stripped;
+}
+
+const FOOTER_LINE_PATTERN = /^(?:BREAKING[ -]CHANGE|[\w-]+)(?:: | #)/;
+
+function parseCommitForLint(message) {
+  const lines = (message || '').split('\n');
+  const header = lines[0] || '';
+  const conventional = parseConventionalHeader(header.trim());
+
+  let end = lines.length;
+  while (end > 1 && !lines[end - 1].trim()) {
+    end -= 1;
+  }
+
+  let footerStart = end;
+  while (footerStart > 1 && FOOTER_LINE_PATTERN.test(lines[footerStart - 1])) {
+    footerStart -= 1;
+  }
+
+  const body = lines.slice(1, footerStart).join('\n').trim();
+  const footer = lines.slice(footerStart, end).join('\n');
+
+  return {
+    header,
+    type: conventional ? conventional.type : null,
+    scopes: conventional ? conventional.scopes.filter(Boolean) : [],
+    subject: conventional ? conventional.subject : null,
+    body: body || null,
+    footer: footer || null,
+    bodyLeadingBlank: !body || !lines[1].trim(),
+    footerLeadingBlank: !footer || !lines[footerStart - 1].trim(),
+  };
+}
+
+function maxLineLength(text) {
+  return text ? Math.max(...text.split('\n').map((line) => line.length)) : 0;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Each check answers "does the message satisfy the rule when applied with `always`?".
+const RULE_CHECKS = {
+  'header-max-length': (commit, value) => commit.header.length <= value,
+  'header-min-length': (commit, value) => commit.header.length >= value,
+  'header-full-stop': (commit, value) => commit.header.endsWith(value),
+  'header-trim': (commit) => commit.header === commit.header.trim(),
+  'header-case': (commit, value) => toList(value).some((targetCase) => isCase(commit.header, targetCase)),
+  'type-enum': (commit, value) => !commit.type || toList(value).includes(commit.type),
+  'type-case': (commit, value) => !commit.type || toList(value).some((targetCase) => isCase(commit.type, targetCase)),
+  'type-empty': (commit) => !commit.type,
+  'type-max-length': (commit, value) => !commit.type || commit.type.length <= value,
+  'scope-enum': (commit, value) => commit.scopes.every((scope) => toList(value).includes(scope)),
+  'scope-case': (commit, value) => commit.scopes.every((scope) => toList(value).some((targetCase) => isCase(scope, targetCase))),
+  'scope-empty': (commit) => commit.scopes.length === 0,
+  'subject-case': (commit, value) => !commit.subject || toList(value).some((targetCase) => isCase(commit.subject, targetCase)),
+  'subject-empty': (commit) => !commit.subject,
+  'subject-full-stop': (commit, value) => !commit.subject || commit.subject.endsWith(value),
+  'subject-max-length': (commit, value) => !commit.subject || commit.subject.length <= value,
+  'body-leading-blank': (commit) => commit.bodyLeadingBlank,
+  'body-max-line-length': (commit, value) => maxLineLength(commit.body) <= value,
+  'body-empty': (commit) => !commit.body,
+  'footer-leading-blank': (commit) => commit.footerLeadingBlank,
+  'footer-max-line-length': (commit, value) => maxLineLength(commit.footer) <= value,
+  'footer-empty': (commit) => !commit.footer,
+};
+
+// Rules whose `always` check passes vacuously on missing parts must not flip under `never`.
+const NEVER_SKIPS_EMPTY = {
+  'type-enum': (commit) => !commit.type,
+  'type-case': (commit) => !commit.type,
+  'scope-enum': (commit) => commit.scopes.length === 0,
+  'scope-case': (commit) => commit.scopes.length === 0,
+  'subject-case': (commit) => !commit.subject,
+  'subject-full-stop': (commit) => !commit.subject,
+};
+
+const SUPPORTED_RULES = Object.keys(RULE_CHECKS);
+
+function formatRuleValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+
+  return String(value);
+}
+
+function describeRule(name, when, value) {
+  const negated = when === 'never' ? 'not ' : '';
+  const formatted = value === undefined ? '' : formatRuleValue(value);
+
+  switch (name) {
+    case 'header-max-length':
+    case 'type-max-length':
+    case 'subject-max-length':
+      return `${name.split('-')[0]} must ${negated}be at most ${formatted} characters`;
+    case 'body-max-line-length':
+    case 'footer-max-line-length':
+      return `${name.split('-')[0]} lines must ${negated}be at most ${formatted} characters`;
+    case 'header-min-length':
+      return `header must ${negated}be at least ${formatted} characters`;
+    case 'type-enum':
+    case 'scope-enum':
+      return `${name.split('-')[0]} must ${negated}be one of: ${formatted}`;
+    case 'header-case':
+    case 'type-case':
+    case 'scope-case':
+    case 'subject-case':
+      return `${name.split('-')[0]} must ${negated}be in ${formatted}`;
+    case 'header-full-stop':
+    case 'subject-full-stop':
+      return `${name.split('-')[0]} must ${negated}end with "${formatted}"`;
+    case 'header-trim':
+      return `header must ${negated}be free of leading and trailing whitespace`;
+    case 'body-leading-blank':
+    case 'footer-leading-blank':
+      return `${name.split('-')[0]} must ${negated}start after a blank line`;
+    default:
+      return `${name.split('-')[0]} must ${negated}be empty`;
+  }
+}
+
+function normalizeRuleEntry(entry) {
+  if (!Array.isArray(entry) || entry.length === 0) {
+    return null;
+  }
+
+  const [level, when = 'always', value] = entry;
+  if (![0, 1, 2].includes(level) || !['always', 'never'].includes(when)) {
+    return null;
+  }
+
+  return { level, when, value };
+}
+
+function evaluateCommitlintRules(message, rules = {}) {
+  const commit = parseCommitForLint(message);
+  const errors = [];
+  const warnings = [];
+
+  for (const name of Object.keys(rules)) {
+    const rule = rules[name];
+    if (!rule || rule.level === 0 || !RULE_CHECKS[name]) {
+      continue;
+    }
+
+    if (rule.when === 'never' && NEVER_SKIPS_EMPTY[name] && NEVER_SKIPS_EMPTY[name](commit)) {
+      continue;
+    }
+
+    const satisfiesAlways = RULE_CHECKS[name](commit, rule.value);
+    const passed = rule.when === 'never' ? !satisfiesAlways : satisfiesAlways;
+    if (passed) {
+      continue;
+    }
+
+    const issue = {
+      code: 'commitlint',
+      rule: name,
+      detail: describeRule(name, rule.when, rule.value),
+    };
+    (rule.level === 2 ? errors : warnings).push(issue);
+  }
+
+  return { errors, warnings };
+}
+
+function buildCommitlintGuide(rules = {}) {
+  return Object.keys(rules)
+    .filter((name) => rules[name].level > 0 && RULE_CHECKS[name])
+    .map((name) => `commitlint ${name}: ${describeRule(name, rules[name].when, rules[name].value)}.`);
+}
+
+function findCommitlintConfig(gitRoot, fsImpl = fs) {
+  for (const fileName of CONFIG_FILES) {
+    const filePath = path.join(gitRoot, fileName);
+    if (fsImpl.existsSync(filePath)) {
+      return { filePath, source: 'file' };
+    }
+  }
+
+  const packagePath = path.join(gitRoot, 'package.json');
+  if (fsImpl.existsSync(packagePath)) {
+    try {
+      const packageJson = JSON.parse(fsImpl.readFileSync(packagePath, 'utf8'));
+      if (packageJson && packageJson.commitlint && typeof packageJson.commitlint === 'object') {
+        return { filePath: packagePath, source: 'package', config: packageJson.commitlint };
+      }
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+function unsupportedFormat(format) {
+  const error = new Error(`Unsupported commitlint config format: ${format}`);
+  error.code = 'unsupportedFormat';
+  error.format = format;
+  return error;
+}
+
+// import() reads both CommonJS and ES modules, including `export default`. A .js file with ESM
+// syntax outside a "type": "module" package, as the commitlint docs write it, fails to parse as
+// CommonJS on older Node versions and is retried as an ES module from its source.
+async function importConfigModule(filePath, fsImpl = fs) {
+  let loaded;
+  try {
+    loaded = await import(pathToFileURL(filePath).href);
+  } catch (error) {
+    if (!(error instanceof SyntaxError) || path.extname(filePath) !== '.js') {
+      throw error;
+    }
+    const source = fsImpl.readFileSync(filePath, 'utf8');
+    loaded = await import(`data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`);
+  }
+
+  const config = loaded && loaded.default !== undefined ? loaded.default : loaded;
+  return config && config.default ? config.default : config;
+}
+
+async function readCommitlintConfig(found, fsImpl = fs) {
+  if (found.source === 'package') {
+    return found.config;
+  }
+
+  const extension = path.extname(found.filePath);
+  if (/^\.[cm]?ts$/.test(extension)) {
+    // Node imports TypeScript only where it can strip types; elsewhere say why instead of a
+    // generic load failure.
+    try {
+      return await importConfigModule(found.filePath, fsImpl);
+    } catch (error) {
+      throw unsupportedFormat('typescript');
+    }
+  }
+
+  if (/^\.[cm]?js$/.test(extension)) {
+    return importConfigModule(found.filePath, fsImpl);
+  }
+
+  if (extension === '.yaml' || extension === '.yml') {
+    throw unsupportedFormat('yaml');
+  }
+
+  const content = fsImpl.readFileSync(found.filePath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    // .commitlintrc may hold JSON or YAML; a brace marks it as broken JSON.
+    if (extension === '' && !content.trim().startsWith('{')) {
+      throw unsupportedFormat('yaml');
+    }
+    throw error;
+  }
+}
+
+async function resolveCommitlintRules(rawConfig, baseDir, warnings, t, seen = new Set()) {
+  if (!rawConfig || typeof rawConfig !== 'object') {
+    return {};
+  }
+
+  let rules = {};
+  const presets = rawConfig.extends ? toList(rawConfig.extends) : [];
+
+  for (const preset of presets) {
+    if (seen.has(preset)) {
+      continue;
+    }
+    seen.add(preset);
+
+    if (BUILTIN_PRESETS[preset]) {
+      rules = { ...rules, ...BUILTIN_PRESETS[preset].rules };
+      continue;
+    }
+
+    try {
+      const requireFromRepo = createRequire(path.join(baseDir, 'noop.js'));
+      const presetPath = requireFromRepo.resolve(preset);
+      const presetConfig = await importConfigModule(presetPath);
+      rules = { ...rules, ...(await resolveCommitlintRules(presetConfig, path.dirname(presetPath), warnings, t, seen)) };
+    } catch (error) {
+      warnings.push(t.commitlintPresetSkipped(preset));
+    }
+  }
+
+  return { ...rules, ...(rawConfig.rules || {}) };
+}
+
+async function loadCommitlintConfig(gitRoot, t, options = {}) {
+  const fsImpl = options.fsImpl || fs;
+  const found = findCommitlintConfig(gitRoot, fsImpl);
+  if (!found) {
+    return { rules: null, warnings: [], configPath: null };
+  }
+
+  const warnings = [];
+  let rawConfig;
+  try {
+    rawConfig = await readCommitlintConfig(found, fsImpl);
+  } catch (error) {
+    const formats = {
+      yaml: t.commitlintYamlUnsupported,
+      typescript: t.commitlintTypeScriptUnsupported,
+    };
+    const warning = error.code === 'unsupportedFormat' ? formats[error.format] : t.commitlintLoadFailed;
+    return {
+      rules: null,
+      warnings: [warning(found.filePath)],
+      configPath: found.filePath,
+    };
+  }
+
+  const rawRules = await resolveCommitlintRules(rawConfig, gitRoot, warnings, t);
+  const rules = {};
+  const unsupported = [];
+
+  for (const name of Object.keys(rawRules)) {
+    const rule = normalizeRuleEntry(rawRules[name]);
+    if (!rule || !RULE_CHECKS[name]) {
+      unsupported.push(name);
+      continue;
+    }
+
+    rules[name] = rule;
+  }
+
+  if (unsupported.length > 0) {
+    warnings.push(t.commitlintRulesSkipped(unsupported.join(', ')));
+  }
+
+  return { rules, warnings, configPath: found.filePath };
+}
+
+module.exports = {
+  BUILTIN_PRESETS,
+  SUPPORTED_RULES,
+  buildCommitlintGuide,
+  evaluateCommitlintRules,
+  findCommitlintConfig,
+  loadCommitlintConfig,
+  parseCommitForLint,
+  toCase,
+};
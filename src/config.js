@@ -1,5 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_PROVIDER, PROVIDER_NAMES } = require('./providers');
+const { DEFAULT_CONVENTIONAL_TYPES } = require('./conventional');
+const { RULE_NAMES, isValidRule } = require('./rules');
+
+const MIN_GENERATION_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS_LIMIT = 5;
+const MAX_CANDIDATES = 5;
+const CONVENTIONS = ['none', 'conventional'];
 
 const DEFAULT_CONFIG = {
   autoStage: false,
@@ -7,11 +15,300 @@ const DEFAULT_CONFIG = {
   notifyOnComplete: true,
   strictBranchCheck: true,
   fetchBeforeSyncCheck: false,
+  provider: DEFAULT_PROVIDER,
+  model: null,
+  generationTimeoutMs: 120000,
+  maxAttempts: 2,
+  candidates: 1,
+  http: {},
+  command: {},
+  convention: 'none',
+  conventional: {
+    types: DEFAULT_CONVENTIONAL_TYPES,
+    scopes: [],
+  },
+  rules: {},
+  commitlint: true,
+  secretScan: true,
+  blockOnSecrets: false,
+  secretPatterns: [],
+  ignore: [],
+  summarizeLargeDiffs: false,
+  hookMergeMessages: false,
 };
 
 const KNOWN_KEYS = new Set(Object.keys(DEFAULT_CONFIG));
 
+// A repo config can point http.baseUrl anywhere, so it may only name variables set aside for gcg.
+const API_KEY_ENV_PATTERN = /^GCG_[A-Z0-9_]+$/;
+
+function normalizeHttpConfig(value, t) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {
+      value: {},
+      warning: t.configInvalidValue('http', JSON.stringify(DEFAULT_CONFIG.http)),
+    };
+  }
+
+  const normalized = {};
+  const warnings = [];
+
+  for (const subKey of Object.keys(value)) {
+    const fullKey = `http.${subKey}`;
+    const subValue = value[subKey];
+
+    if (!['baseUrl', 'model', 'apiKeyEnv'].includes(subKey)) {
+      warnings.push(t.configUnknownKey(fullKey));
+      continue;
+    }
+
+    if (typeof subValue !== 'string' || !subValue.trim()) {
+      warnings.push(t.configInvalidValue(fullKey, 'null'));
+      continue;
+    }
+
+    if (subKey === 'baseUrl' && !/^https?:\/\/\S+$/i.test(subValue.trim())) {
+      warnings.push(t.configInvalidValue(fullKey, 'null'));
+      continue;
+    }
+
+    if (subKey === 'apiKeyEnv' && !API_KEY_ENV_PATTERN.test(subValue.trim())) {
+      warnings.push(t.configApiKeyEnvPrefix(fullKey));
+      continue;
+    }
+
+    normalized[subKey] = subValue.trim();
+  }
+
+  return { value: normalized, warnings };
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+function normalizeCommandConfig(value, t) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {
+      value: {},
+      warning: t.configInvalidValue('command', JSON.stringify(DEFAULT_CONFIG.command)),
+    };
+  }
+
+  const normalized = {};
+  const warnings = [];
+
+  for (const subKey of Object.keys(value)) {
+    const fullKey = `command.${subKey}`;
+    const subValue = value[subKey];
+
+    if (subKey === 'executable' || subKey === 'model') {
+      if (typeof subValue !== 'string' || !subValue.trim()) {
+        warnings.push(t.configInvalidValue(fullKey, 'null'));
+        continue;
+      }
+
+      normalized[subKey] = subValue.trim();
+      continue;
+    }
+
+    if (subKey === 'args' || subKey === 'checkArgs') {
+      if (!isStringArray(subValue)) {
+        warnings.push(t.configInvalidValue(fullKey, subKey === 'args' ? '[]' : 'null'));
+        continue;
+      }
+
+      normalized[subKey] = [...subValue];
+      continue;
+    }
+
+    warnings.push(t.configUnknownKey(fullKey));
+  }
+
+  return { value: normalized, warnings };
+}
+
+function normalizeConventionalConfig(value, t) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {
+      value: { ...DEFAULT_CONFIG.conventional },
+      warning: t.configInvalidValue('conventional', JSON.stringify(DEFAULT_CONFIG.conventional)),
+    };
+  }
+
+  const normalized = { ...DEFAULT_CONFIG.conventional };
+  const warnings = [];
+
+  for (const subKey of Object.keys(value)) {
+    const fullKey = `conventional.${subKey}`;
+    const subValue = value[subKey];
+
+    if (subKey !== 'types' && subKey !== 'scopes') {
+      warnings.push(t.configUnknownKey(fullKey));
+      continue;
+    }
+
+    const isValidList = isStringArray(subValue)
+      && subValue.every((item) => item.trim() && !/[\s(),:!]/.test(item));
+    if (!isValidList || (subKey === 'types' && subValue.length === 0)) {
+      warnings.push(t.configInvalidValue(fullKey, JSON.stringify(DEFAULT_CONFIG.conventional[subKey])));
+      continue;
+    }
+
+    normalized[subKey] = [...subValue];
+  }
+
+  return { value: normalized, warnings };
+}
+
+function normalizeRulesConfig(value, t) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {
+      value: {},
+      warning: t.configInvalidValue('rules', JSON.stringify(DEFAULT_CONFIG.rules)),
+    };
+  }
+
+  const normalized = {};
+  const warnings = [];
+
+  for (const name of Object.keys(value)) {
+    const fullKey = `rules.${name}`;
+
+    if (!RULE_NAMES.includes(name)) {
+      warnings.push(t.configUnknownKey(fullKey));
+      continue;
+    }
+
+    if (!isValidRule(name, value[name])) {
+      warnings.push(t.configInvalidRule(fullKey));
+      continue;
+    }
+
+    normalized[name] = { level: value[name].level, value: value[name].value };
+  }
+
+  return { value: normalized, warnings };
+}
+
+function normalizeSecretPatterns(value, t) {
+  if (!isStringArray(value)) {
+    return {
+      value: [],
+      warning: t.configInvalidValue('secretPatterns', JSON.stringify(DEFAULT_CONFIG.secretPatterns)),
+    };
+  }
+
+  const normalized = [];
+  const warnings = [];
+
+  for (const pattern of value) {
+    try {
+      new RegExp(pattern, 'g');
+      normalized.push(pattern);
+    } catch (error) {
+      warnings.push(t.configInvalidSecretPattern(pattern));
+    }
+  }
+
+  return { value: normalized, warnings };
+}
+
 function normalizeConfigValue(key, value, t) {
+  if (key === 'rules') {
+    return normalizeRulesConfig(value, t);
+  }
+
+  if (key === 'convention') {
+    if (!CONVENTIONS.includes(value)) {
+      return {
+        value: DEFAULT_CONFIG.convention,
+        warning: t.configInvalidValue(key, JSON.stringify(DEFAULT_CONFIG.convention)),
+      };
+    }
+
+    return { value };
+  }
+
+  if (key === 'conventional') {
+    return normalizeConventionalConfig(value, t);
+  }
+
+  if (key === 'http') {
+    return normalizeHttpConfig(value, t);
+  }
+
+  if (key === 'command') {
+    return normalizeCommandConfig(value, t);
+  }
+
+  if (key === 'secretPatterns') {
+    return normalizeSecretPatterns(value, t);
+  }
+
+  if (key === 'ignore') {
+    if (!isStringArray(value) || value.some((pattern) => !pattern.trim())) {
+      return {
+        value: DEFAULT_CONFIG.ignore,
+        warning: t.configInvalidValue(key, JSON.stringify(DEFAULT_CONFIG.ignore)),
+      };
+    }
+
+    return { value: [...value] };
+  }
+
+  if (key === 'provider') {
+    if (typeof value !== 'string' || !PROVIDER_NAMES.includes(value)) {
+      return {
+        value: DEFAULT_CONFIG.provider,
+        warning: t.configInvalidValue(key, JSON.stringify(DEFAULT_CONFIG.provider)),
+      };
+    }
+
+    return { value };
+  }
+
+  if (key === 'model') {
+    if (value !== null && (typeof value !== 'string' || !value.trim())) {
+      return {
+        value: DEFAULT_CONFIG.model,
+        warning: t.configInvalidValue(key, JSON.stringify(DEFAULT_CONFIG.model)),
+      };
+    }
+
+    return { value: value === null ? null : value.trim() };
+  }
+
+  if (key === 'generationTimeoutMs') {
+    if (!Number.isInteger(value)) {
+      return {
+        value: DEFAULT_CONFIG.generationTimeoutMs,
+        warning: t.configInvalidValue(key, JSON.stringify(DEFAULT_CONFIG.generationTimeoutMs)),
+      };
+    }
+
+    if (value < MIN_GENERATION_TIMEOUT_MS) {
+      return {
+        value: MIN_GENERATION_TIMEOUT_MS,
+        warning: t.configMinClamp(key, MIN_GENERATION_TIMEOUT_MS),
+      };
+    }
+
+    return { value };
+  }
+
+  if (key === 'maxAttempts' || key === 'candidates') {
+    const max = key === 'maxAttempts' ? MAX_ATTEMPTS_LIMIT : MAX_CANDIDATES;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      return {
+        value: DEFAULT_CONFIG[key],
+        warning: t.configRangeValue(key, 1, max, JSON.stringify(DEFAULT_CONFIG[key])),
+      };
+    }
+
+    return { value };
+  }
+
   if (key === 'historyCount') {
     if (!Number.isInteger(value)) {
       return {
@@ -64,6 +361,9 @@ function normalizeConfigObject(rawConfig, t) {
     if (normalized.warning) {
       warnings.push(normalized.warning);
     }
+    if (normalized.warnings) {
+      warnings.push(...normalized.warnings);
+    }
   }
 
   return { config, warnings };
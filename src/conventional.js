@@ -0,0 +1,103 @@
+const DEFAULT_CONVENTIONAL_TYPES = [
+  'feat',
+  'fix',
+  'docs',
+  'style',
+  'refactor',
+  'perf',
+  'test',
+  'build',
+  'ci',
+  'chore',
+  'revert',
+];
+
+const HEADER_PATTERN = /^(?<type>[^\s():!]+)(?:\((?<scope>[^()]*)\))?(?<breaking>!)?: (?<subject>.*)$/;
+
+function parseConventionalHeader(title) {
+  const match = (title || '').match(HEADER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const { type, scope, breaking, subject } = match.groups;
+  return {
+    type,
+    scopes: scope === undefined ? [] : scope.split(',').map((item) => item.trim()),
+    hasScope: scope !== undefined,
+    breaking: Boolean(breaking),
+    subject: subject.trim(),
+  };
+}
+
+function checkConventionalHeader(title, options = {}) {
+  const types = options.types && options.types.length > 0 ? options.types : DEFAULT_CONVENTIONAL_TYPES;
+  const scopes = options.scopes || [];
+  const header = parseConventionalHeader(title);
+
+  if (!header) {
+    return [{
+      code: 'conventional-format',
+      detail: 'the title must look like "type(scope)!: subject"',
+    }];
+  }
+
+  const issues = [];
+
+  if (!types.includes(header.type)) {
+    issues.push({
+      code: 'conventional-type',
+      type: header.type,
+      allowed: types,
+      detail: `type "${header.type}" is not one of: ${types.join(', ')}`,
+    });
+  }
+
+  if (header.hasScope && header.scopes.some((scope) => !scope)) {
+    issues.push({
+      code: 'conventional-scope-empty',
+      detail: 'remove the empty parentheses or fill in a scope',
+    });
+  } else if (scopes.length > 0) {
+    const unknownScopes = header.scopes.filter((scope) => !scopes.includes(scope));
+    if (unknownScopes.length > 0) {
+      issues.push({
+        code: 'conventional-scope',
+        scope: unknownScopes.join(', '),
+        allowed: scopes,
+        detail: `scope "${unknownScopes.join(', ')}" is not one of: ${scopes.join(', ')}`,
+      });
+    }
+  }
+
+  if (!header.subject) {
+    issues.push({
+      code: 'conventional-subject-empty',
+      detail: 'the subject after ": " must not be empty',
+    });
+  }
+
+  return issues;
+}
+
+function buildConventionalFormatGuide(options = {}) {
+  const types = options.types && options.types.length > 0 ? options.types : DEFAULT_CONVENTIONAL_TYPES;
+  const scopes = options.scopes || [];
+  const scopeRule = scopes.length > 0
+    ? `Scope is optional; if used it must be one of: ${scopes.join(', ')}.`
+    : 'Scope is optional and should name the affected area in lowercase.';
+
+  return [
+    'TITLE: Use a Conventional Commits header: type(scope)!: subject',
+    `   - Allowed types: ${types.join(', ')}.`,
+    `   - ${scopeRule}`,
+    '   - Add "!" before the colon only for breaking changes.',
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONVENTIONAL_TYPES,
+  buildConventionalFormatGuide,
+  checkConventionalHeader,
+  parseConventionalHeader,
+};
@@ -0,0 +1,258 @@
+// Splits the prompt's diff budget across staged files instead of cutting at the first file
+// that overflows. Files keep a stat line as far as the stat section's own cap allows; patches
+// are ranked and trimmed per file.
+
+const FILE_CATEGORIES = ['source', 'test', 'docs', 'generated'];
+
+// The stat section lists at most this many files and takes at most this share of the budget.
+const MAX_STAT_FILES = 200;
+const MAX_STAT_SHARE = 0.5;
+
+// Share of the budget a file may claim relative to the others, by category.
+const CATEGORY_WEIGHTS = {
+  source: 8,
+  test: 4,
+  docs: 2,
+  generated: 1,
+};
+
+const GENERATED_PATTERNS = [
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|pnpm-lock\.yaml|go\.sum)$/,
+  /\.lock$/,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /(^|\/)(dist|build|vendor|generated)\//,
+  /(^|\/)__snapshots__\//,
+  /\.snap$/,
+  /\.(pb|generated|g)\.[^/]+$/,
+];
+
+const TEST_PATTERNS = [
+  /(^|\/)(tests?|__tests__|specs?)\//,
+  /[._-](test|spec)\.[^/]+$/,
+  /(^|\/)test_[^/]+\.py$/,
+];
+
+const DOC_PATTERNS = [
+  /\.(md|mdx|markdown|rst|adoc|txt)$/i,
+  /(^|\/)docs?\//,
+  /(^|\/)(LICENSE|CHANGELOG|AUTHORS)(\.[^/]*)?$/i,
+];
+
+function classifyDiffFile(file) {
+  if (GENERATED_PATTERNS.some((pattern) => pattern.test(file))) {
+    return 'generated';
+  }
+
+  if (TEST_PATTERNS.some((pattern) => pattern.test(file))) {
+    return 'test';
+  }
+
+  if (DOC_PATTERNS.some((pattern) => pattern.test(file))) {
+    return 'docs';
+  }
+
+  return 'source';
+}
+
+// Source before tests before docs before generated files, and small patches before large ones.
+function rankDiffFiles(entries) {
+  return [...entries].sort((left, right) => (
+    FILE_CATEGORIES.indexOf(classifyDiffFile(left.file)) - FILE_CATEGORIES.indexOf(classifyDiffFile(right.file))
+    || left.diff.length - right.diff.length
+    || left.file.localeCompare(right.file)
+  ));
+}
+
+// Weighted max-min fair share: a patch smaller than its share is kept whole and the rest of
+// its share goes back to the pool, so large patches split whatever small ones leave.
+function allocateDiffBudget(entries, budget) {
+  const allocations = new Map();
+  const weightOf = (entry) => CATEGORY_WEIGHTS[classifyDiffFile(entry.file)];
+  const byDemand = [...entries].sort((left, right) => (
+    left.diff.length / weightOf(left) - right.diff.length / weightOf(right)
+  ));
+  let remaining = budget;
+  let remainingWeight = byDemand.reduce((sum, entry) => sum + weightOf(entry), 0);
+
+  for (const entry of byDemand) {
+    const share = Math.floor((remaining * weightOf(entry)) / remainingWeight);
+    const allocation = Math.min(entry.diff.length, share);
+    allocations.set(entry.file, allocation);
+    remaining -= allocation;
+    remainingWeight -= weightOf(entry);
+  }
+
+  return allocations;
+}
+
+function trimmedMarker(lineCount) {
+  return `... (patch trimmed, ${lineCount} more lines omitted)\n`;
+}
+
+// Keeps the file header and whole hunks while they fit, then cuts the next hunk at a line
+// boundary. Returns status 'omitted' when not even the header and one changed line fit.
+function trimFileDiff(fileDiff, maxChars) {
+  if (fileDiff.length <= maxChars) {
+    return { diff: fileDiff, status: 'full' };
+  }
+
+  const firstHunk = fileDiff.search(/^@@/m);
+  if (firstHunk === -1) {
+    return { diff: '', status: 'omitted' };
+  }
+
+  const header = fileDiff.slice(0, firstHunk);
+  const lines = fileDiff.slice(firstHunk).split('\n').filter(Boolean);
+  const totalLines = lines.length;
+  // Reserve room for the marker with the widest possible count.
+  const limit = maxChars - trimmedMarker(totalLines).length;
+  let kept = header;
+  let keptLines = 0;
+  let keptChanges = 0;
+
+  for (const line of lines) {
+    if (kept.length + line.length + 1 > limit) {
+      break;
+    }
+
+    kept += `${line}\n`;
+    keptLines += 1;
+    if (!line.startsWith('@@')) {
+      keptChanges += 1;
+    }
+  }
+
+  if (keptChanges === 0) {
+    return { diff: '', status: 'omitted' };
+  }
+
+  // Drop a trailing hunk header whose lines did not fit.
+  if (lines[keptLines - 1].startsWith('@@')) {
+    kept = kept.slice(0, kept.length - lines[keptLines - 1].length - 1);
+    keptLines -= 1;
+  }
+
+  return { diff: `${kept}${trimmedMarker(totalLines - keptLines)}`, status: 'trimmed' };
+}
+
+// Renames, copies, and mode changes are spelled out so the prompt can describe them as such
+// instead of as a deletion plus an addition.
+function describeChange(entry) {
+  switch (entry.status) {
+    case 'A':
+      return 'new file';
+    case 'D':
+      return 'deleted';
+    case 'R':
+      return `renamed from ${entry.oldFile}`;
+    case 'C':
+      return `copied from ${entry.oldFile}`;
+    case 'T':
+      return 'type changed';
+    default:
+      return null;
+  }
+}
+
+function formatStatLine(entry, status) {
+  const counts = entry.binary ? 'binary' : `+${entry.added} -${entry.deleted}`;
+  const patchNotes = {
+    ignored: 'ignored, patch omitted',
+    omitted: 'patch omitted',
+    trimmed: 'patch trimmed',
+  };
+  const notes = [
+    describeChange(entry),
+    entry.modeChange ? `mode ${entry.modeChange.from} -> ${entry.modeChange.to}` : null,
+    patchNotes[status],
+  ].filter(Boolean);
+
+  return `${entry.file} | ${counts}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+// Measured with the longest note a stat line can end up with.
+function statLineLength(entry) {
+  return formatStatLine(entry, 'ignored').length + 1;
+}
+
+function formatMoreFilesLine(entries) {
+  const added = entries.reduce((sum, entry) => sum + entry.added, 0);
+  const deleted = entries.reduce((sum, entry) => sum + entry.deleted, 0);
+
+  return `... and ${entries.length} more files | +${added} -${deleted} (not listed)`;
+}
+
+// Picks the files that get a stat line: source before tests, docs, and generated files, then
+// the largest changes, up to MAX_STAT_FILES lines and MAX_STAT_SHARE of the budget. The rest
+// are counted on one line.
+function selectStatEntries(entries, maxChars) {
+  const ranked = [...entries].sort((left, right) => (
+    FILE_CATEGORIES.indexOf(classifyDiffFile(left.file)) - FILE_CATEGORIES.indexOf(classifyDiffFile(right.file))
+    || (right.added + right.deleted) - (left.added + left.deleted)
+    || left.file.localeCompare(right.file)
+  ));
+  // Room for the summary line is kept even when every file ends up listed.
+  const limit = Math.floor(maxChars * MAX_STAT_SHARE) - formatMoreFilesLine(entries).length - 1;
+  const listed = new Set();
+  let length = 0;
+
+  for (const entry of ranked) {
+    const lineLength = statLineLength(entry);
+    if (listed.size === MAX_STAT_FILES || length + lineLength > limit) {
+      break;
+    }
+
+    listed.add(entry);
+    length += lineLength;
+  }
+
+  return listed;
+}
+
+// entries: [{ status, oldFile, file, diff, added, deleted, binary, modeChange, ignored }], in git order.
+// Returns the prompt diff (stat lines, then ranked patches), the stat lines alone, and each
+// file that lost patch text. Files without a stat line get no patch either.
+function buildBudgetedDiff(entries, maxChars) {
+  const listed = selectStatEntries(entries, maxChars);
+  const unlisted = entries.filter((entry) => !listed.has(entry));
+  const statLength = [...listed].reduce((sum, entry) => sum + statLineLength(entry), 0)
+    + (unlisted.length > 0 ? formatMoreFilesLine(unlisted).length + 1 : 0);
+  const patched = entries.filter((entry) => listed.has(entry) && !entry.ignored && entry.diff);
+  const allocations = allocateDiffBudget(patched, Math.max(0, maxChars - statLength - 2));
+  const statuses = new Map(entries
+    .filter((entry) => entry.ignored || !listed.has(entry))
+    .map((entry) => [entry.file, entry.ignored ? 'ignored' : 'omitted']));
+  const patches = [];
+
+  for (const entry of rankDiffFiles(patched)) {
+    const trimmed = trimFileDiff(entry.diff, allocations.get(entry.file));
+    statuses.set(entry.file, trimmed.status);
+    if (trimmed.diff) {
+      patches.push(trimmed.diff);
+    }
+  }
+
+  const stat = [
+    ...entries.filter((entry) => listed.has(entry)).map((entry) => formatStatLine(entry, statuses.get(entry.file))),
+    ...(unlisted.length > 0 ? [formatMoreFilesLine(unlisted)] : []),
+  ].join('\n');
+  const omitted = entries
+    .filter((entry) => statuses.has(entry.file) && statuses.get(entry.file) !== 'full')
+    .map((entry) => ({ file: entry.file, reason: statuses.get(entry.file) }));
+
+  return {
+    diff: [stat, patches.join('')].filter(Boolean).join('\n\n').trim(),
+    stat,
+    truncated: omitted.some((entry) => entry.reason !== 'ignored'),
+    omitted,
+  };
+}
+
+module.exports = {
+  allocateDiffBudget,
+  buildBudgetedDiff,
+  classifyDiffFile,
+  rankDiffFiles,
+  trimFileDiff,
+};
@@ -1,4 +1,7 @@
+const fs = require('fs');
+const path = require('path');
 const { spawn } = require('child_process');
+const { buildBudgetedDiff } = require('./diff-budget');
 
 const MAX_PROMPT_DIFF_CHARS = 12000;
 
@@ -24,37 +27,11 @@ function splitDiffSections(diffText) {
   return sections;
 }
 
-function truncateDiffAtBoundary(diffText, maxChars) {
-  if (!diffText || diffText.length <= maxChars) {
-    return { diff: (diffText || '').trim(), truncated: false };
-  }
-
-  const sections = splitDiffSections(diffText);
-  let truncatedDiff = '';
-
-  for (const section of sections) {
-    if ((truncatedDiff + section).length <= maxChars) {
-      truncatedDiff += section;
-      continue;
-    }
-
-    if (!truncatedDiff) {
-      truncatedDiff = section.slice(0, maxChars);
-    }
-
-    return {
-      diff: truncatedDiff.trim(),
-      truncated: true,
-    };
-  }
-
-  return { diff: truncatedDiff.trim(), truncated: true };
-}
-
 function runGit(args, cwd, options = {}) {
   return new Promise((resolve, reject) => {
     const child = spawn('git', args, {
       cwd,
+      env: options.env ? { ...process.env, ...options.env } : process.env,
       stdio: ['pipe', 'pipe', 'pipe'],
     });
 
@@ -99,6 +76,12 @@ async function getGitRoot(cwd) {
   return result.stdout.trim();
 }
 
+async function getHooksDir(cwd) {
+  // --git-path honors core.hooksPath and linked worktrees.
+  const result = await runGit(['rev-parse', '--git-path', 'hooks'], cwd);
+  return path.resolve(cwd, result.stdout.trim());
+}
+
 async function stageAllChanges(cwd) {
   await runGit(['add', '-A'], cwd);
 }
@@ -157,47 +140,169 @@ function isSyncBlocked(status) {
   return status === 'behind' || status === 'diverged' || status === 'detached';
 }
 
-async function getStagedSummary(cwd) {
-  const result = await runGit(['diff', '--cached', '--name-status'], cwd);
-  const lines = result.stdout.split('\n').filter(Boolean);
+// The raw and numstat records that readStagedChanges captures, before the patch, are the
+// analysis snapshot.
+const STAGED_HEADER_ARGS = ['diff', '--cached', '--raw', '--numstat', '-z', '--no-abbrev'];
 
-  let added = 0;
-  let modified = 0;
-  let deleted = 0;
+// The index is compared with HEAD unless a base commit or tree is given, as when amending.
+function getStagedDiffArgs(base, patch) {
+  return [...STAGED_HEADER_ARGS, ...(patch ? ['--patch'] : []), ...(base ? [base, '--'] : [])];
+}
 
-  for (const line of lines) {
-    const status = line.trim().charAt(0);
-    if (status === 'A') {
-      added += 1;
-    } else if (status === 'D') {
-      deleted += 1;
-    } else {
-      modified += 1;
-    }
+async function getStagedSnapshot(cwd, base = null) {
+  const result = await runGit(getStagedDiffArgs(base, false), cwd);
+  return result.stdout;
+}
+
+// The commit `git commit --amend` would replace: its id, what its amended content is diffed
+// against (the parent, or the empty tree for a root commit), and its current message.
+// null on an unborn branch.
+async function getAmendTarget(cwd) {
+  let head;
+  try {
+    head = (await runGit(['rev-parse', '--verify', '-q', 'HEAD'], cwd)).stdout.trim();
+  } catch (error) {
+    return null;
   }
 
-  return {
-    added,
-    modified,
-    deleted,
-    total: lines.length,
-  };
+  return { head, base: await getDiffBase(cwd, head), message: await getCommitMessage(cwd, head) };
 }
 
-async function getStagedSnapshot(cwd) {
-  const result = await runGit(['diff', '--cached', '--raw', '--no-abbrev'], cwd);
-  return result.stdout;
+// The parent a commit's changes are diffed against; the empty tree for a root commit.
+async function getDiffBase(cwd, commit) {
+  try {
+    return (await runGit(['rev-parse', '--verify', '-q', `${commit}^`], cwd)).stdout.trim();
+  } catch (error) {
+    return (await runGit(['hash-object', '-t', 'tree', '--stdin'], cwd)).stdout.trim();
+  }
+}
+
+async function getCommitMessage(cwd, commit) {
+  return (await runGit(['log', '-1', '--format=%B', commit], cwd)).stdout.trim();
+}
+
+// Full commit id of a revision, or null when it does not name a commit.
+async function resolveCommit(cwd, revision) {
+  try {
+    return (await runGit(['rev-parse', '--verify', '-q', `${revision}^{commit}`], cwd)).stdout.trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Commits in a rev-list range, oldest first, each with its parent ids.
+async function listCommits(cwd, range) {
+  const result = await runGit(['rev-list', '--reverse', '--parents', range, '--'], cwd);
+  return result.stdout
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [commit, ...parents] = line.split(' ');
+      return { commit, parents };
+    });
+}
+
+// Untracked files do not count; they are never touched by a history rewrite.
+async function isWorktreeClean(cwd) {
+  const result = await runGit(['status', '--porcelain', '--untracked-files=no'], cwd);
+  return result.stdout.trim() === '';
+}
+
+// Recreates a linear run of commits, oldest first, with new messages. Each commit keeps its
+// tree, author, and author date, so the index and working tree stay as they are. HEAD moves to
+// the new tip only if it still points at the last old commit. Returns the new tip.
+async function rewriteCommitMessages(cwd, entries) {
+  let parent = entries[0].parent;
+
+  for (const { commit, message } of entries) {
+    const info = await runGit(['log', '-1', '--format=%T%x00%an%x00%ae%x00%ad', '--date=raw', commit], cwd);
+    const [tree, name, email, date] = info.stdout.trim().split('\u0000');
+    const result = await runGit(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-F', '-'], cwd, {
+      input: `${message}\n`,
+      env: { GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: email, GIT_AUTHOR_DATE: date },
+    });
+    parent = result.stdout.trim();
+  }
+
+  await runGit(['update-ref', '-m', 'gcg reword', 'HEAD', parent, entries[entries.length - 1].commit], cwd);
+  return parent;
 }
 
-async function getRecentHistory(cwd, count) {
+// rev limits the history to what is reachable from it, such as the parent of a reworded commit.
+async function getRecentHistory(cwd, count, rev = 'HEAD') {
   try {
-    const result = await runGit(['log', '-n', String(count), '--pretty=format:%s'], cwd);
+    const result = await runGit(['log', '-n', String(count), '--pretty=format:%s', rev, '--'], cwd);
     return result.stdout.trim();
   } catch (error) {
     return '';
   }
 }
 
+// The characters git tries, in order, when core.commentChar is auto.
+const AUTO_COMMENT_CHARS = '#;@!$%^&|:';
+
+// Follows the comment prefix on the line `git commit -v` puts above the diff.
+const COMMIT_SCISSORS = '------------------------ >8 ------------------------';
+
+// The prefix git strips comment lines by. With core.commentChar=auto git picks it per message,
+// so it is read from the message itself: the scissors line, or else the last line, which is
+// always one of git's own comments.
+async function getCommentChar(cwd, message = '') {
+  let value;
+  try {
+    value = (await runGit(['config', '--get', 'core.commentChar'], cwd)).stdout.replace(/\n$/, '');
+  } catch (error) {
+    return '#';
+  }
+
+  if (value === 'auto') {
+    const lines = message.split('\n');
+    const commentLine = lines.find((line) => line.slice(1) === ` ${COMMIT_SCISSORS}`)
+      || lines.reverse().find((line) => line.trim());
+    return commentLine && AUTO_COMMENT_CHARS.includes(commentLine[0]) ? commentLine[0] : '#';
+  }
+
+  return value || '#';
+}
+
+// Caps the subjects a squash or merge prompt lists, so a long-lived branch does not crowd out
+// the diff.
+const MAX_SQUASHED_SUBJECTS = 50;
+
+// Subjects of the commits a squash or merge folds into one, newest first.
+async function getSquashedSubjects(cwd, range) {
+  return getRecentHistory(cwd, MAX_SQUASHED_SUBJECTS, range);
+}
+
+async function getMergeBase(cwd, first, second) {
+  try {
+    return (await runGit(['merge-base', first, second], cwd)).stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The tip being brought in by a merge or `git merge --squash` that is waiting to be committed:
+// MERGE_HEAD for a merge, or the newest commit listed in SQUASH_MSG for a squash. null when
+// neither is in progress.
+async function getMergeSource(cwd) {
+  const mergeHead = await resolveCommit(cwd, 'MERGE_HEAD');
+  if (mergeHead) {
+    return mergeHead;
+  }
+
+  const squashPath = (await runGit(['rev-parse', '--git-path', 'SQUASH_MSG'], cwd)).stdout.trim();
+  let squashMessage;
+  try {
+    squashMessage = fs.readFileSync(path.resolve(cwd, squashPath), 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  const match = squashMessage.match(/^commit ([0-9a-f]+)$/m);
+  return match ? resolveCommit(cwd, match[1]) : null;
+}
+
 function extractIssueHints(branchName) {
   if (!branchName || branchName === 'HEAD') {
     return [];
@@ -251,63 +356,329 @@ async function getBranchContext(cwd) {
   }
 }
 
-async function listStagedFiles(cwd) {
-  const result = await runGit(['diff', '--cached', '--name-only', '-z'], cwd);
-  return result.stdout.split('\u0000').filter(Boolean);
+// With -z each raw record is ":<old mode> <new mode> <old sha> <new sha> <status>" followed by
+// its path, or by the old and new paths for a rename or copy. A numstat record is
+// "<added>\t<deleted>\t<path>", or "<added>\t<deleted>\t" followed by the old and new paths.
+function parseStagedHeader(headerText) {
+  const tokens = headerText.split('\u0000');
+  const records = [];
+  const lineStats = new Map();
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+
+    if (token.startsWith(':')) {
+      const [oldMode, newMode, , , statusField] = token.slice(1).split(' ');
+      const status = statusField.charAt(0);
+      if (status === 'R' || status === 'C') {
+        records.push({ status, oldFile: tokens[index + 1], file: tokens[index + 2], oldMode, newMode });
+        index += 2;
+      } else {
+        records.push({ status, oldFile: null, file: tokens[index + 1], oldMode, newMode });
+        index += 1;
+      }
+      continue;
+    }
+
+    const numstat = token.match(/^(-|\d+)\t(-|\d+)\t([\s\S]*)$/);
+    if (!numstat) {
+      continue;
+    }
+
+    let file = numstat[3];
+    if (!file) {
+      file = tokens[index + 2];
+      index += 2;
+    }
+
+    const binary = numstat[1] === '-';
+    lineStats.set(file, {
+      added: binary ? 0 : Number(numstat[1]),
+      deleted: binary ? 0 : Number(numstat[2]),
+      binary,
+    });
+  }
+
+  return { records, lineStats };
+}
+
+// A permission change such as 100644 -> 100755 on a file that kept its type.
+function getModeChange(record) {
+  const { status, oldMode, newMode } = record;
+  if (status === 'A' || status === 'D' || status === 'T' || oldMode === newMode) {
+    return null;
+  }
+
+  return { from: oldMode, to: newMode };
 }
 
-async function getStagedDiffForFiles(cwd, files) {
-  if (!files || files.length === 0) {
-    return '';
+// Sections each raw status takes in the patch: a typechange is printed as a deletion plus an
+// addition, and unmerged paths get none.
+function countDiffSections(status) {
+  if (status === 'U') {
+    return 0;
   }
 
-  const result = await runGit(['diff', '--cached', '--', ...files], cwd);
-  return result.stdout;
+  return status === 'T' ? 2 : 1;
 }
 
-async function collectStagedDiffContext(cwd) {
-  const files = await listStagedFiles(cwd);
-  let diff = '';
-  let truncated = false;
+// With --raw --numstat -z --patch, git prints every raw record, every numstat record, an empty
+// field, and then the "diff --git" sections of each raw record in the same order.
+function parseStagedChanges(output) {
+  const separator = output.indexOf('\u0000\u0000');
+  const snapshot = separator === -1 ? output : output.slice(0, separator + 1);
+  const sections = separator === -1 ? [] : splitDiffSections(output.slice(separator + 2));
+  const { records, lineStats } = parseStagedHeader(snapshot);
+  let nextSection = 0;
 
-  for (const file of files) {
-    const fileDiff = await getStagedDiffForFiles(cwd, [file]);
-    if (!fileDiff) {
-      continue;
-    }
+  const changes = records.map((record) => {
+    const count = countDiffSections(record.status);
+    const diff = sections.slice(nextSection, nextSection + count).join('');
+    nextSection += count;
 
-    if ((diff + fileDiff).length <= MAX_PROMPT_DIFF_CHARS) {
-      diff += fileDiff;
-      continue;
-    }
+    return {
+      status: record.status,
+      oldFile: record.oldFile,
+      file: record.file,
+      modeChange: getModeChange(record),
+      diff,
+      ...(lineStats.get(record.file) || { added: 0, deleted: 0, binary: false }),
+    };
+  });
 
-    if (!diff) {
-      diff = fileDiff.slice(0, MAX_PROMPT_DIFF_CHARS);
-    }
+  return { snapshot, changes };
+}
+
+async function readStagedChanges(cwd, base = null) {
+  const result = await runGit(getStagedDiffArgs(base, true), cwd);
+  return parseStagedChanges(result.stdout);
+}
+
+const SUMMARY_STATUS_KEYS = {
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'typeChanged',
+};
+
+// Counts per kind of change plus one row per file. Statuses without their own count
+// (modified, unmerged) fall under "modified"; modeChanged and binary overlap the others.
+function summarizeStagedChanges(changes) {
+  const summary = {
+    added: 0,
+    modified: 0,
+    deleted: 0,
+    renamed: 0,
+    copied: 0,
+    typeChanged: 0,
+    modeChanged: 0,
+    binary: 0,
+    insertions: 0,
+    deletions: 0,
+    total: changes.length,
+    files: [],
+  };
 
-    truncated = true;
-    break;
+  for (const change of changes) {
+    summary[SUMMARY_STATUS_KEYS[change.status] || 'modified'] += 1;
+    summary.modeChanged += change.modeChange ? 1 : 0;
+    summary.binary += change.binary ? 1 : 0;
+    summary.insertions += change.added;
+    summary.deletions += change.deleted;
+    summary.files.push({
+      status: change.status,
+      file: change.file,
+      oldFile: change.oldFile,
+      added: change.added,
+      deleted: change.deleted,
+      binary: change.binary,
+      modeChange: change.modeChange,
+    });
   }
 
+  return summary;
+}
+
+// options.redact(fileDiff, file) masks secrets before a patch can enter the prompt; ignored
+// files are still scanned. options.isIgnored(file) keeps a file's stat line but drops its patch.
+// Every other patch competes for MAX_PROMPT_DIFF_CHARS through buildBudgetedDiff.
+function buildStagedDiffContext(changes, options = {}) {
+  const { redact, isIgnored } = options;
+  const secrets = [];
+
+  const entries = changes.map((change) => {
+    const ignored = Boolean(isIgnored && isIgnored(change.file));
+    let fileDiff = change.diff;
+    if (redact && fileDiff) {
+      const redacted = redact(fileDiff, change.file);
+      fileDiff = redacted.diff;
+      secrets.push(...redacted.findings);
+    }
+
+    return {
+      status: change.status,
+      oldFile: change.oldFile,
+      file: change.file,
+      diff: ignored ? '' : fileDiff,
+      ignored,
+      added: change.added,
+      deleted: change.deleted,
+      binary: change.binary,
+      modeChange: change.modeChange,
+    };
+  });
+
+  const { diff, stat, truncated, omitted } = buildBudgetedDiff(entries, MAX_PROMPT_DIFF_CHARS);
+
   return {
-    files,
-    diff: diff.trim(),
+    files: changes.map((change) => change.file),
+    diff,
+    stat,
+    // Every patch that is not ignored, untrimmed, for large-diff summarization.
+    fullDiff: entries.map((entry) => entry.diff).join(''),
     truncated,
+    omitted,
+    secrets,
+  };
+}
+
+// Reads the staged summary, snapshot, and prompt diff from a single git process.
+// options.base diffs the index against that commit instead of HEAD.
+async function collectStagedChanges(cwd, options = {}) {
+  const { snapshot, changes } = await readStagedChanges(cwd, options.base);
+
+  return {
+    summary: summarizeStagedChanges(changes),
+    snapshot,
+    diffContext: buildStagedDiffContext(changes, options),
   };
 }
 
+// Reads a commit's changes against its parent in the same shape as collectStagedChanges.
+// The snapshot is the commit id, which already identifies its content.
+async function collectCommitChanges(cwd, commit, options = {}) {
+  const base = await getDiffBase(cwd, commit);
+  const result = await runGit(['diff', '--raw', '--numstat', '-z', '--no-abbrev', '--patch', base, commit, '--'], cwd);
+  const { changes } = parseStagedChanges(result.stdout);
+
+  return {
+    summary: summarizeStagedChanges(changes),
+    snapshot: commit,
+    diffContext: buildStagedDiffContext(changes, options),
+  };
+}
+
+// Working-tree changes that are not staged yet: tracked files with their patch against the
+// index, in the same shape as parseStagedChanges, and untracked files that are not ignored.
+async function collectUnstagedChanges(cwd) {
+  const [diffResult, untrackedResult] = await Promise.all([
+    runGit(['diff', '--raw', '--numstat', '-z', '--no-abbrev', '--patch'], cwd),
+    runGit(['ls-files', '--others', '--exclude-standard', '-z'], cwd),
+  ]);
+
+  return {
+    changes: parseStagedChanges(diffResult.stdout).changes,
+    untracked: untrackedResult.stdout.split('\u0000').filter(Boolean),
+  };
+}
+
+// Stages whole paths, including deletions and untracked files.
+async function stagePaths(cwd, files) {
+  await runGit([
+    '--literal-pathspecs',
+    'add',
+    '-A',
+    '--pathspec-from-file=-',
+    '--pathspec-file-nul',
+  ], cwd, { input: files.map((file) => `${file}\u0000`).join('') });
+}
+
+// Applies a patch made of file headers and a subset of their hunks from the unstaged diff.
+async function stagePatch(cwd, patch) {
+  await runGit(['apply', '--cached'], cwd, { input: patch });
+}
+
+// HEAD and the index as a tree, so a multi-step index rewrite can be rolled back.
+// head is null on an unborn branch.
+async function saveIndexState(cwd) {
+  let head = null;
+  try {
+    head = (await runGit(['rev-parse', '--verify', '-q', 'HEAD'], cwd)).stdout.trim();
+  } catch (error) {
+    head = null;
+  }
+
+  const tree = (await runGit(['write-tree'], cwd)).stdout.trim();
+  return { head, tree };
+}
+
+// Moves HEAD back without touching the working tree, then restores the saved index.
+async function restoreIndexState(cwd, state) {
+  if (state.head) {
+    await runGit(['reset', '--soft', state.head], cwd);
+  } else {
+    await runGit(['update-ref', '-d', 'HEAD'], cwd);
+  }
+
+  await runGit(['read-tree', state.tree], cwd);
+}
+
+async function resetIndexToHead(cwd) {
+  try {
+    await runGit(['rev-parse', '--verify', '-q', 'HEAD'], cwd);
+  } catch (error) {
+    await runGit(['read-tree', '--empty'], cwd);
+    return;
+  }
+
+  await runGit(['read-tree', 'HEAD'], cwd);
+}
+
+// Copies the given paths from a saved tree into the index; a path missing from the tree is
+// removed from the index. The working tree is left alone.
+async function stageFromTree(cwd, tree, files) {
+  await runGit([
+    '--literal-pathspecs',
+    'restore',
+    '--staged',
+    `--source=${tree}`,
+    '--pathspec-from-file=-',
+    '--pathspec-file-nul',
+  ], cwd, { input: files.map((file) => `${file}\u0000`).join('') });
+}
+
 module.exports = {
+  COMMIT_SCISSORS,
   MAX_PROMPT_DIFF_CHARS,
-  collectStagedDiffContext,
+  collectStagedChanges,
+  collectCommitChanges,
+  collectUnstagedChanges,
   extractIssueHints,
+  getAmendTarget,
   getBranchContext,
   getBranchPointerStatus,
+  getCommentChar,
+  getCommitMessage,
   getGitRoot,
+  getHooksDir,
+  getMergeBase,
+  getMergeSource,
   getRecentHistory,
+  getSquashedSubjects,
   getStagedSnapshot,
-  getStagedSummary,
   isSyncBlocked,
+  isWorktreeClean,
+  listCommits,
+  parseStagedChanges,
+  resetIndexToHead,
+  resolveCommit,
+  restoreIndexState,
+  rewriteCommitMessages,
+  saveIndexState,
   stageAllChanges,
+  stageFromTree,
+  stagePatch,
+  stagePaths,
   splitDiffSections,
-  truncateDiffAtBoundary,
 };
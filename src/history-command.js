@@ -0,0 +1,228 @@
+const {
+  COLORS,
+  NON_INTERACTIVE_PROMPT,
+  STRINGS,
+  createPrompt,
+  getProviderErrorMessage,
+  printCommitMessage,
+  printValidationIssues,
+  printValidationWarnings,
+  selectLanguage,
+  startSpinner,
+} = require('./ui');
+const { EXIT_CODES } = require('./cli');
+const { editInEditor } = require('./commit');
+const {
+  buildPromptFromState,
+  createSession,
+  generateCandidates,
+  summarizeLargeDiff,
+} = require('./session');
+
+// The frame shared by gcg amend, reword, and squash: language selection, the starting line and
+// setup spinner, exit codes, and cleanup. body(context) does the command's own work; context
+// carries the strings, console, prompt, spinner factory, editor, and fail(reason).
+async function runHistoryCommand({ lang = null, options = {}, showConfigHint = false, startingKey }, overrides, body) {
+  const consoleRef = overrides.console || console;
+  const processRef = overrides.process || process;
+  const selectLanguageImpl = overrides.selectLanguage || selectLanguage;
+  const promptControl = options.yes ? NON_INTERACTIVE_PROMPT : (overrides.createPrompt || createPrompt)();
+  const context = {
+    t: STRINGS.en,
+    options,
+    consoleRef,
+    promptControl,
+    startSpinner: overrides.startSpinner || startSpinner,
+    editInEditor: overrides.editInEditor || editInEditor,
+    // Interactive runs only report failure; --yes runs report why.
+    fail: (reason) => {
+      processRef.exitCode = options.yes ? EXIT_CODES[reason] : EXIT_CODES.error;
+    },
+  };
+
+  try {
+    const selectedLang = lang || (options.yes ? 'en' : await selectLanguageImpl(promptControl.question, {
+      consoleRef,
+      showConfigHint,
+    }));
+    context.t = STRINGS[selectedLang];
+
+    consoleRef.log(`${COLORS.magenta}${context.t[startingKey]}${COLORS.reset}`);
+    context.setup = context.startSpinner(context.t.step2);
+    // Stops the setup spinner with a reason and the exit code it maps to.
+    context.stopSetup = (message, reason) => {
+      context.setup.stop('❌', COLORS.red);
+      consoleRef.error(`${COLORS.red}${message}${COLORS.reset}`);
+      context.fail(reason);
+    };
+
+    await body(context);
+  } catch (error) {
+    consoleRef.error(`${COLORS.red}${context.t.error}${COLORS.reset} ${error.message}`);
+    processRef.exitCode = EXIT_CODES.error;
+  } finally {
+    promptControl.close();
+  }
+}
+
+// Finds the repository, loads its session, and checks the provider. Returns null after
+// reporting the failure.
+async function openHistorySession(context, deps, cwd) {
+  const { t, consoleRef } = context;
+
+  let gitRoot;
+  try {
+    gitRoot = await deps.getGitRoot(cwd);
+  } catch (error) {
+    context.stopSetup(t.errNotGit, 'error');
+    return null;
+  }
+
+  const session = await createSession(gitRoot, t, deps);
+  try {
+    await session.provider.ensureAvailable(gitRoot);
+  } catch (error) {
+    context.stopSetup(getProviderErrorMessage(t, session.provider.name, 'unavailable'), 'providerFailed');
+    if (session.provider.name !== 'gemini') {
+      consoleRef.error(`${COLORS.red}${error.detail || error.message}${COLORS.reset}`);
+    }
+    return null;
+  }
+
+  return session;
+}
+
+// --context wins; otherwise interactive runs ask and --yes runs go without.
+async function askUserContext(context) {
+  const { t, options, consoleRef, promptControl } = context;
+  if (options.context !== undefined || options.yes) {
+    return options.context;
+  }
+
+  consoleRef.log(`${COLORS.cyan}${t.step3}${COLORS.reset}`);
+  return promptControl.question('> ');
+}
+
+// Generates and prints one message for the analysis state. Returns null after reporting a
+// provider failure.
+async function generateHistoryMessage(context, session, deps, state, userContext) {
+  const { t, consoleRef } = context;
+  const { provider } = session;
+  consoleRef.log('');
+  const spinner = context.startSpinner(t.step4);
+
+  try {
+    await summarizeLargeDiff(session, state, deps, (done, total) => {
+      spinner.update(t.summarizingDiff(done, total));
+    });
+    const prompt = buildPromptFromState(session, state, userContext, deps);
+    const { candidates } = await generateCandidates(session, prompt, deps);
+    spinner.stop();
+
+    const result = candidates.find((candidate) => candidate.valid) || candidates[0];
+    printCommitMessage(result.message, consoleRef);
+    if (!result.valid) {
+      consoleRef.log(`${COLORS.yellow}${t.validationFailed}${COLORS.reset}`);
+      printValidationIssues(result.blockingIssues, t, consoleRef);
+    } else if (result.warnings.length > 0) {
+      consoleRef.log(`${COLORS.yellow}${t.validationWarnings}${COLORS.reset}`);
+      printValidationWarnings(result.warnings, t, consoleRef);
+    }
+    return result;
+  } catch (error) {
+    spinner.stop('❌', COLORS.red);
+    const errorType = provider.classifyError(error);
+    consoleRef.error(`${COLORS.red}${getProviderErrorMessage(t, provider.name, errorType)}${COLORS.reset}`);
+    const errorDetail = error.detail || error.stderr;
+    if (errorType !== 'auth' && errorDetail) {
+      consoleRef.error(`${COLORS.red}${errorDetail.trim()}${COLORS.reset}`);
+    }
+    context.fail('providerFailed');
+    return null;
+  }
+}
+
+// Generates a message and lets the user take it, regenerate, edit, or cancel. extraActions are
+// [action, label, message] entries listed before Cancel that settle on a fixed message. --yes
+// takes a valid message as it is. Returns { message, edited }, or null when the command must
+// stop: after a reported failure, or when the user cancels.
+async function chooseHistoryMessage(context, session, deps, state, userContext, { primaryLabel, extraActions = [] }) {
+  const { t, options, consoleRef, promptControl } = context;
+  let result = await generateHistoryMessage(context, session, deps, state, userContext);
+  if (!result) {
+    return null;
+  }
+
+  if (options.yes) {
+    if (!result.valid) {
+      context.fail('validationFailed');
+      return null;
+    }
+    return { message: result.message, edited: false };
+  }
+
+  const menu = [
+    ['use', primaryLabel],
+    ['regenerate', t.menuRegen],
+    ['edit', t.menuEdit],
+    ...extraActions.map(([action, label]) => [action, label]),
+    ['cancel', t.menuCancel],
+  ];
+
+  while (true) {
+    consoleRef.log(`${COLORS.cyan}${t.menuTitle}${COLORS.reset}`);
+    menu.forEach(([, label], index) => {
+      consoleRef.log(`${index + 1}) ${label}`);
+    });
+
+    const choice = await promptControl.question(t.selection);
+    const action = /^\d+$/.test(choice) && menu[Number(choice) - 1] ? menu[Number(choice) - 1][0] : null;
+    const extraAction = extraActions.find(([name]) => name === action);
+
+    if (action === 'use' && result.valid) {
+      return { message: result.message, edited: false };
+    }
+
+    if (action === 'use') {
+      consoleRef.log(`${COLORS.yellow}${t.validationNeedsAction}${COLORS.reset}`);
+    } else if (action === 'regenerate') {
+      consoleRef.log(`${COLORS.cyan}${t.regenerating}${COLORS.reset}`);
+      result = await generateHistoryMessage(context, session, deps, state, userContext);
+      if (!result) {
+        return null;
+      }
+    } else if (action === 'edit') {
+      const editResult = await context.editInEditor(result.message, promptControl);
+      if (editResult.status === 'editor-failed') {
+        consoleRef.log(`${COLORS.red}${t.editFailed}${COLORS.reset}`);
+        if (editResult.error) {
+          consoleRef.log(`${COLORS.yellow}${editResult.error}${COLORS.reset}`);
+        }
+      } else if (editResult.status !== 'saved') {
+        consoleRef.log(`${COLORS.yellow}${t.editAborted}${COLORS.reset}`);
+      } else {
+        const validation = deps.validateCommitMessage(editResult.message, session.validationOptions);
+        if (validation.valid) {
+          return { message: validation.message, edited: true };
+        }
+
+        consoleRef.log(`${COLORS.yellow}${t.validationFailed}${COLORS.reset}`);
+        printValidationIssues(validation.blockingIssues, t, consoleRef);
+      }
+    } else if (extraAction) {
+      return { message: extraAction[2], edited: false };
+    } else if (action === 'cancel') {
+      consoleRef.log(`${COLORS.red}${t.cancelled}${COLORS.reset}`);
+      return null;
+    } else {
+      consoleRef.log(`${COLORS.red}${t.invalid}${COLORS.reset}`);
+    }
+  }
+}
+
+module.exports = {
+  askUserContext,
+  chooseHistoryMessage,
+  openHistorySession,
+  runHistoryCommand,
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { STRINGS, formatSecretFinding, formatValidationEntry } = require('./ui');
+const { EXIT_CODES } = require('./cli');
+const { loadGlobalSettings } = require('./global-config');
+const {
+  COMMIT_SCISSORS,
+  getCommentChar,
+  getMergeSource,
+  getSquashedSubjects,
+} = require('./git');
+const {
+  buildPromptFromState,
+  collectAnalysisState,
+  createSession,
+  generateCandidates,
+  getSecretFindings,
+  resolveSessionDeps,
+  summarizeLargeDiff,
+} = require('./session');
+
+const HOOK_NAME = 'prepare-commit-msg';
+const HOOK_MARKER = '# Installed by gcg (gemini-commit-generator).';
+const CHAINED_HOOK_SUFFIX = '.pre-gcg';
+
+// Sources git passes when the message already comes from somewhere else:
+// -m/-F, a commit template, or -c/-C/--amend.
+const SKIPPED_SOURCES = ['message', 'template', 'commit'];
+
+// Merges and `git merge --squash` arrive with git's default message. gcg replaces it only when
+// hookMergeMessages is on, and keeps it below as comments.
+const MERGE_SOURCES = ['merge', 'squash'];
+
+function buildHookScript() {
+  return `#!/bin/sh
+${HOOK_MARKER}
+# Pre-fills the commit message with gcg. Remove it with \`gcg hook uninstall\`.
+
+chained_hook="$(dirname "$0")/${HOOK_NAME}${CHAINED_HOOK_SUFFIX}"
+if [ -x "$chained_hook" ]; then
+  "$chained_hook" "$@" || exit $?
+fi
+
+if command -v gcg >/dev/null 2>&1; then
+  gcg hook run "$@" </dev/null
+  status=$?
+  # Only blockOnSecrets stops the commit; any other failure leaves git's message as it is.
+  if [ "$status" -eq ${EXIT_CODES.secretsBlocked} ]; then
+    exit "$status"
+  fi
+fi
+`;
+}
+
+function isGcgHook(content) {
+  return content.includes(HOOK_MARKER);
+}
+
+function installHook(hooksDir, fsImpl = fs) {
+  const hookPath = path.join(hooksDir, HOOK_NAME);
+  const chainedPath = `${hookPath}${CHAINED_HOOK_SUFFIX}`;
+  let status = 'installed';
+
+  fsImpl.mkdirSync(hooksDir, { recursive: true });
+
+  if (fsImpl.existsSync(hookPath)) {
+    if (isGcgHook(fsImpl.readFileSync(hookPath, 'utf8'))) {
+      status = 'updated';
+    } else if (fsImpl.existsSync(chainedPath)) {
+      return { status: 'conflict', hookPath, chainedPath };
+    } else {
+      fsImpl.renameSync(hookPath, chainedPath);
+      status = 'chained';
+    }
+  }
+
+  fsImpl.writeFileSync(hookPath, buildHookScript());
+  fsImpl.chmodSync(hookPath, 0o755);
+
+  return { status, hookPath, chainedPath };
+}
+
+function uninstallHook(hooksDir, fsImpl = fs) {
+  const hookPath = path.join(hooksDir, HOOK_NAME);
+  const chainedPath = `${hookPath}${CHAINED_HOOK_SUFFIX}`;
+
+  if (!fsImpl.existsSync(hookPath)) {
+    return { status: 'not-installed', hookPath, chainedPath };
+  }
+
+  if (!isGcgHook(fsImpl.readFileSync(hookPath, 'utf8'))) {
+    return { status: 'foreign', hookPath, chainedPath };
+  }
+
+  fsImpl.unlinkSync(hookPath);
+
+  if (fsImpl.existsSync(chainedPath)) {
+    fsImpl.renameSync(chainedPath, hookPath);
+    return { status: 'restored', hookPath, chainedPath };
+  }
+
+  return { status: 'removed', hookPath, chainedPath };
+}
+
+// Splits a message file at the scissors line `git commit -v` writes; git drops everything
+// below it, including the diff.
+function splitAtScissors(content, commentChar) {
+  const lines = content.split('\n');
+  const scissors = lines.indexOf(`${commentChar} ${COMMIT_SCISSORS}`);
+
+  return scissors === -1
+    ? { message: lines, rest: [] }
+    : { message: lines.slice(0, scissors), rest: lines.slice(scissors) };
+}
+
+function hasMessageContent(content, commentChar) {
+  return splitAtScissors(content, commentChar).message
+    .some((line) => line.trim() && !line.startsWith(commentChar));
+}
+
+function commentOut(content, commentChar) {
+  const { message, rest } = splitAtScissors(content, commentChar);
+
+  return [
+    ...message.map((line) => (!line || line.startsWith(commentChar) ? line : `${commentChar} ${line}`)),
+    ...rest,
+  ].join('\n');
+}
+
+// gcg's own notes are written with `#`; they must use the prefix git strips.
+function useCommentChar(text, commentChar) {
+  return commentChar === '#' ? text : text.replace(/^#/gm, commentChar);
+}
+
+function formatIssueComments(issues, t) {
+  if (issues.length === 0) {
+    return '';
+  }
+
+  const lines = issues.map((issue) => `# gcg: ${formatValidationEntry(t.validationIssue, issue)}`);
+
+  return `\n${t.hookValidationFailed}\n${lines.join('\n')}\n`;
+}
+
+function formatSecretComments(findings, t) {
+  if (findings.length === 0) {
+    return '';
+  }
+
+  const lines = findings.map((finding) => `# gcg:   ${formatSecretFinding(finding)}`);
+
+  return `\n${t.hookSecretsFound}\n${lines.join('\n')}\n`;
+}
+
+// With config.candidates above 1, the messages not written are offered as comments to copy from.
+function formatCandidateComments(candidates, t) {
+  if (candidates.length === 0) {
+    return '';
+  }
+
+  const lines = candidates.flatMap((candidate, index) => [
+    ...(index > 0 ? ['# gcg:'] : []),
+    ...candidate.message.split('\n').map((line) => `# gcg:   ${line}`.trimEnd()),
+  ]);
+
+  return `\n${t.hookOtherCandidates}\n${lines.join('\n')}\n`;
+}
+
+function resolveHookDeps(overrides = {}) {
+  return {
+    ...resolveSessionDeps(overrides),
+    fsImpl: overrides.fsImpl || fs,
+    getCommentChar: overrides.getCommentChar || getCommentChar,
+    loadGlobalSettings: overrides.loadGlobalSettings || loadGlobalSettings,
+    getMergeSource: overrides.getMergeSource || getMergeSource,
+    getSquashedSubjects: overrides.getSquashedSubjects || getSquashedSubjects,
+  };
+}
+
+// Goes through src/session.js like gcg itself, so the hook gets the same budgeted diff, rename
+// notes, large-diff summaries, and candidates. It never stages: git already chose the content.
+async function runPrepareCommitMsg({ messageFile, source, cwd }, overrides = {}) {
+  const deps = resolveHookDeps(overrides);
+
+  if (source && SKIPPED_SOURCES.includes(source)) {
+    return { status: 'skipped', reason: source };
+  }
+
+  const readMessageFile = async () => {
+    const content = deps.fsImpl.readFileSync(messageFile, 'utf8');
+    return { content, commentChar: await deps.getCommentChar(cwd, content) };
+  };
+
+  // A merge message is only read once hookMergeMessages says it will be replaced.
+  const isMerge = MERGE_SOURCES.includes(source);
+  const messageFileState = isMerge ? null : await readMessageFile();
+  if (messageFileState && hasMessageContent(messageFileState.content, messageFileState.commentChar)) {
+    return { status: 'skipped', reason: 'message' };
+  }
+
+  const gitRoot = await deps.getGitRoot(cwd);
+  const globalSettings = deps.loadGlobalSettings();
+  const t = STRINGS[globalSettings.settings.language] || STRINGS.en;
+  const session = await createSession(gitRoot, t, deps);
+  session.config = { ...session.config, autoStage: false };
+  if (isMerge && !session.config.hookMergeMessages) {
+    return { status: 'skipped', reason: source };
+  }
+
+  if (isMerge) {
+    const mergeSource = await deps.getMergeSource(gitRoot);
+    session.squashedSubjects = mergeSource ? await deps.getSquashedSubjects(gitRoot, `HEAD..${mergeSource}`) : null;
+  }
+
+  const state = await collectAnalysisState(session, deps);
+  if (state.summary.total === 0) {
+    return { status: 'skipped', reason: 'no-changes' };
+  }
+
+  const secrets = getSecretFindings(state);
+  if (secrets.length > 0 && session.config.blockOnSecrets) {
+    return { status: 'blocked', reason: 'secrets', secrets };
+  }
+
+  await session.provider.ensureAvailable(gitRoot);
+  await summarizeLargeDiff(session, state, deps);
+  const prompt = buildPromptFromState(session, state, '', deps);
+  const { candidates } = await generateCandidates(session, prompt, deps);
+  const result = candidates.find((candidate) => candidate.valid) || candidates[0];
+
+  const issueComments = result.valid ? '' : formatIssueComments(result.blockingIssues, t);
+  const candidateComments = formatCandidateComments(candidates.filter((candidate) => candidate !== result), t);
+  const secretComments = formatSecretComments(secrets, t);
+  const { content: existing, commentChar } = messageFileState || await readMessageFile();
+  const notes = useCommentChar(`${issueComments}${candidateComments}${secretComments}`, commentChar);
+  const kept = isMerge ? commentOut(existing, commentChar) : existing;
+  deps.fsImpl.writeFileSync(messageFile, `${result.message}\n${notes}${kept}`);
+
+  return { status: 'written', valid: result.valid };
+}
+
+module.exports = {
+  CHAINED_HOOK_SUFFIX,
+  HOOK_MARKER,
+  HOOK_NAME,
+  buildHookScript,
+  installHook,
+  runPrepareCommitMsg,
+  uninstallHook,
+};
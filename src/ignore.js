@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILE_NAME = '.gcgignore';
+
+function escapeRegExp(value) {
+  return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExpSource(glob) {
+  let source = '';
+
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+
+    if (char === '*' && glob[index + 1] === '*') {
+      if (glob[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+      continue;
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+// Follows .gitignore matching without negation: a pattern with no slash matches a name at any
+// depth, a leading or inner slash anchors it to the repository root, and a trailing slash
+// matches directories only. A matched directory matches everything below it.
+function compileIgnorePattern(pattern) {
+  let glob = pattern.trim();
+  const directoryOnly = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const suffix = directoryOnly ? '/.+$' : '(?:/.*)?$';
+  return new RegExp(`${prefix}${globToRegExpSource(glob)}${suffix}`);
+}
+
+function createIgnoreMatcher(patterns = []) {
+  const compiled = patterns
+    .filter((pattern) => pattern.trim())
+    .map(compileIgnorePattern);
+
+  if (compiled.length === 0) {
+    return null;
+  }
+
+  return (file) => compiled.some((pattern) => pattern.test(file));
+}
+
+function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+function loadIgnoreFile(gitRoot, t) {
+  const ignorePath = path.join(gitRoot, IGNORE_FILE_NAME);
+
+  if (!fs.existsSync(ignorePath)) {
+    return { patterns: [], warnings: [], ignorePath };
+  }
+
+  try {
+    return { patterns: parseIgnoreFile(fs.readFileSync(ignorePath, 'utf8')), warnings: [], ignorePath };
+  } catch (error) {
+    return { patterns: [], warnings: [t.ignoreFileUnreadable(ignorePath)], ignorePath };
+  }
+}
+
+module.exports = {
+  IGNORE_FILE_NAME,
+  createIgnoreMatcher,
+  loadIgnoreFile,
+  parseIgnoreFile,
+};
@@ -0,0 +1,186 @@
+const { collectUnstagedChanges, stagePatch, stagePaths } = require('./git');
+const { COLORS, printPicker, printPickerDiff } = require('./ui');
+
+// Splits one file's patch into its header and hunks. A patch without hunks (binary, mode only,
+// or an empty file) has none, and the file can only be staged whole.
+function splitHunks(fileDiff) {
+  const firstHunk = fileDiff.search(/^@@/m);
+  if (firstHunk === -1 || /^Binary files .* differ$/m.test(fileDiff)) {
+    return { header: fileDiff, hunks: [] };
+  }
+
+  return {
+    header: fileDiff.slice(0, firstHunk),
+    hunks: fileDiff.slice(firstHunk).split(/^(?=@@)/m),
+  };
+}
+
+function buildPickerItems({ changes, untracked }) {
+  const tracked = changes
+    .filter((change) => change.status !== 'U')
+    .map((change) => {
+      // A typechange patch is a deletion plus an addition, which git apply cannot take in part.
+      const { header, hunks } = change.status === 'T' ? { header: change.diff, hunks: [] } : splitHunks(change.diff);
+      return {
+        file: change.file,
+        untracked: false,
+        header,
+        hunks: hunks.map((text) => ({ text, selected: false })),
+        selected: false,
+      };
+    });
+
+  return [
+    ...tracked,
+    ...untracked.map((file) => ({ file, untracked: true, header: '', hunks: [], selected: false })),
+  ];
+}
+
+// 'all', 'some', or 'none' of a file's changes are selected.
+function getSelectionState(item) {
+  if (item.hunks.length === 0) {
+    return item.selected ? 'all' : 'none';
+  }
+
+  const count = item.hunks.filter((hunk) => hunk.selected).length;
+  if (count === 0) {
+    return 'none';
+  }
+
+  return count === item.hunks.length ? 'all' : 'some';
+}
+
+function setFileSelected(item, selected) {
+  item.selected = selected;
+  item.hunks.forEach((hunk) => {
+    hunk.selected = selected;
+  });
+}
+
+// Accepts "2" for a file, "2.3" for one of its hunks, and "1-3" for a range of files.
+// Returns null when any token does not name an existing file or hunk.
+function parseTargets(input, items) {
+  const targets = [];
+
+  for (const token of input.split(/[\s,]+/).filter(Boolean)) {
+    const range = token.match(/^(\d+)-(\d+)$/);
+    const single = token.match(/^(\d+)(?:\.(\d+))?$/);
+
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2]);
+      if (from < 1 || to > items.length || from > to) {
+        return null;
+      }
+      for (let index = from; index <= to; index += 1) {
+        targets.push({ item: index - 1, hunk: null });
+      }
+    } else if (single) {
+      const item = Number(single[1]) - 1;
+      const hunk = single[2] === undefined ? null : Number(single[2]) - 1;
+      if (!items[item] || (hunk !== null && !items[item].hunks[hunk])) {
+        return null;
+      }
+      targets.push({ item, hunk });
+    } else {
+      return null;
+    }
+  }
+
+  return targets.length > 0 ? targets : null;
+}
+
+function toggleTargets(items, targets) {
+  for (const target of targets) {
+    const item = items[target.item];
+    if (target.hunk === null) {
+      setFileSelected(item, getSelectionState(item) !== 'all');
+    } else {
+      item.hunks[target.hunk].selected = !item.hunks[target.hunk].selected;
+    }
+  }
+}
+
+// Whole files are staged by path; a file with only some hunks selected is staged by applying
+// a patch of its header and those hunks to the index.
+function buildStagingPlan(items) {
+  const paths = [];
+  let patch = '';
+  let fileCount = 0;
+
+  for (const item of items) {
+    const state = getSelectionState(item);
+    if (state === 'all') {
+      paths.push(item.file);
+    } else if (state === 'some') {
+      patch += item.header + item.hunks.filter((hunk) => hunk.selected).map((hunk) => hunk.text).join('');
+    }
+    fileCount += state === 'none' ? 0 : 1;
+  }
+
+  return { paths, patch, fileCount };
+}
+
+// Lets the user choose unstaged files and hunks and stages them. Returns the number of files
+// that were staged in whole or in part; 0 when the user staged nothing.
+async function pickChanges(gitRoot, t, { question, consoleRef = console }, deps = {}) {
+  const collectUnstagedChangesImpl = deps.collectUnstagedChanges || collectUnstagedChanges;
+  const stagePathsImpl = deps.stagePaths || stagePaths;
+  const stagePatchImpl = deps.stagePatch || stagePatch;
+
+  const items = buildPickerItems(await collectUnstagedChangesImpl(gitRoot));
+  if (items.length === 0) {
+    consoleRef.log(`${COLORS.yellow}${t.pickerNothing}${COLORS.reset}`);
+    return 0;
+  }
+
+  while (true) {
+    printPicker(items.map((item) => ({ ...item, state: getSelectionState(item) })), t, consoleRef);
+    consoleRef.log(`${COLORS.cyan}${t.pickerHelp}${COLORS.reset}`);
+    const input = (await question(t.pickerPrompt)).trim();
+    const plan = input === '' ? buildStagingPlan(items) : null;
+
+    if (input === 'q' || (plan && plan.fileCount === 0)) {
+      consoleRef.log(`${COLORS.yellow}${t.pickerSkipped}${COLORS.reset}`);
+      return 0;
+    }
+
+    if (plan) {
+      if (plan.paths.length > 0) {
+        await stagePathsImpl(gitRoot, plan.paths);
+      }
+      if (plan.patch) {
+        await stagePatchImpl(gitRoot, plan.patch);
+      }
+      consoleRef.log(`${COLORS.green}${t.pickerStaged(plan.fileCount)}${COLORS.reset}`);
+      return plan.fileCount;
+    }
+
+    if (input === 'a' || input === 'n') {
+      items.forEach((item) => setFileSelected(item, input === 'a'));
+      continue;
+    }
+
+    const view = input.match(/^v\s+(.+)$/);
+    const targets = parseTargets(view ? view[1] : input, items);
+    if (!targets) {
+      consoleRef.log(`${COLORS.red}${t.pickerInvalid}${COLORS.reset}`);
+      continue;
+    }
+
+    if (view) {
+      targets.forEach((target) => printPickerDiff(items[target.item], target.hunk, t, consoleRef));
+    } else {
+      toggleTargets(items, targets);
+    }
+  }
+}
+
+module.exports = {
+  buildPickerItems,
+  buildStagingPlan,
+  parseTargets,
+  pickChanges,
+  splitHunks,
+  toggleTargets,
+};
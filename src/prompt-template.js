@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_TEMPLATE_PATH = path.join('.gcg', 'prompt.md');
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+const PROMPT_PLACEHOLDERS = [
+  'language',
+  'history',
+  'branch',
+  'issueHints',
+  'userContext',
+  'files',
+  'diff',
+  'notes',
+  'format',
+];
+
+const DEFAULT_PROMPT_TEMPLATE = `Generate a detailed git commit message in {{language}} based on the staged changes.
+Match the project style from recent history if possible.
+
+[STYLE HISTORY]
+{{history}}
+
+[BRANCH CONTEXT]
+branch: {{branch}}
+issue hints: {{issueHints}}
+
+[USER CONTEXT]
+{{userContext}}
+
+[FILES]
+{{files}}
+
+[DIFF]
+{{diff}}
+
+[NOTES]
+{{notes}}
+
+[FORMAT]
+{{format}}`;
+
+function findUnknownPlaceholders(template) {
+  const unknown = new Set();
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PROMPT_PLACEHOLDERS.includes(match[1])) {
+      unknown.add(match[1]);
+    }
+  }
+
+  return [...unknown];
+}
+
+function renderPromptTemplate(template, sections) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(sections, name) ? sections[name] : placeholder
+  ));
+}
+
+function loadPromptTemplate(gitRoot, t) {
+  const templatePath = path.join(gitRoot, PROMPT_TEMPLATE_PATH);
+
+  if (!fs.existsSync(templatePath)) {
+    return { template: null, warnings: [], templatePath };
+  }
+
+  let template;
+  try {
+    template = fs.readFileSync(templatePath, 'utf8').trim();
+  } catch (error) {
+    return { template: null, warnings: [t.promptTemplateUnreadable(templatePath)], templatePath };
+  }
+
+  if (!template) {
+    return { template: null, warnings: [t.promptTemplateEmpty(templatePath)], templatePath };
+  }
+
+  const unknown = findUnknownPlaceholders(template);
+  if (unknown.length > 0) {
+    return {
+      template: null,
+      warnings: unknown.map((name) => t.promptTemplateUnknownPlaceholder(`{{${name}}}`, templatePath)),
+      templatePath,
+    };
+  }
+
+  return { template, warnings: [], templatePath };
+}
+
+module.exports = {
+  DEFAULT_PROMPT_TEMPLATE,
+  PROMPT_PLACEHOLDERS,
+  PROMPT_TEMPLATE_PATH,
+  findUnknownPlaceholders,
+  loadPromptTemplate,
+  renderPromptTemplate,
+};
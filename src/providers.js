@@ -0,0 +1,441 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROVIDER = 'gemini';
+const DEFAULT_GEMINI_MODEL = 'flash';
+const DEFAULT_HTTP_BASE_URLS = {
+  ollama: 'http://localhost:11434',
+  openai: null,
+};
+const HTTP_ERROR_DETAIL_MAX_CHARS = 500;
+
+function createTimeoutError(target, timeoutMs) {
+  const seconds = Math.round(timeoutMs / 1000);
+  const error = new Error(`${target} timed out after ${timeoutMs}ms`);
+  error.code = 'ETIMEDOUT';
+  error.timedOut = true;
+  error.detail = `${target} did not respond within ${seconds}s and was stopped.`;
+  return error;
+}
+
+function runCommand(command, args, prompt, cwd, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    let timer = null;
+
+    const settle = (callback, value) => {
+      if (settled) {
+        return;
+      }
+
+      settled = true;
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    if (options.timeoutMs) {
+      timer = setTimeout(() => {
+        child.kill();
+        settle(reject, createTimeoutError(command, options.timeoutMs));
+      }, options.timeoutMs);
+    }
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on('error', (error) => {
+      settle(reject, error);
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        settle(resolve, stdout.trim());
+        return;
+      }
+
+      const error = new Error(`${command} exited with code ${code}`);
+      error.code = code;
+      error.stderr = stderr;
+      error.stdout = stdout;
+      settle(reject, error);
+    });
+
+    // A tool that exits before reading stdin must surface its exit code, not EPIPE.
+    child.stdin.on('error', () => {});
+    child.stdin.write(prompt);
+    child.stdin.end();
+  });
+}
+
+function ensureCommandAvailable(command, args, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    child.on('error', (error) => {
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${[command, ...args].join(' ')} failed with code ${code}`));
+      }
+    });
+  });
+}
+
+function runGemini(prompt, cwd, model = DEFAULT_GEMINI_MODEL, options = {}) {
+  return runCommand('gemini', ['-p', '-', '-m', model, '-e', ''], prompt, cwd, options);
+}
+
+function ensureGeminiInstalled(cwd) {
+  return ensureCommandAvailable('gemini', ['--version'], cwd);
+}
+
+function classifyCliError(error) {
+  if (error.timedOut) {
+    return 'timeout';
+  }
+
+  const combined = `${error.message || ''}\n${error.stderr || ''}`.toLowerCase();
+  if (
+    combined.includes('auth') ||
+    combined.includes('login') ||
+    combined.includes('unauthorized') ||
+    combined.includes('permission')
+  ) {
+    return 'auth';
+  }
+
+  return 'generic';
+}
+
+function createGeminiProvider(config = {}, deps = {}) {
+  const defaultModel = config.model || DEFAULT_GEMINI_MODEL;
+
+  return {
+    name: 'gemini',
+    defaultModel,
+    supportsParallel: true,
+    ensureAvailable: (cwd) => ensureGeminiInstalled(cwd),
+    generate: (prompt, { cwd, model, timeoutMs } = {}) => {
+      const runGeminiImpl = deps.runGemini || runGemini;
+      return runGeminiImpl(prompt, cwd, model || defaultModel, { timeoutMs });
+    },
+    classifyError: classifyCliError,
+  };
+}
+
+function resolveExecutable(executable, options = {}) {
+  const env = options.env || process.env;
+  const platform = options.platform || process.platform;
+  const existsSync = options.existsSync || fs.existsSync;
+  const extensions = platform === 'win32'
+    ? ['', ...(env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').filter(Boolean)]
+    : [''];
+
+  const candidatesFor = (basePath) => extensions.map((extension) => `${basePath}${extension}`);
+
+  if (path.isAbsolute(executable) || executable.includes('/') || executable.includes('\\')) {
+    return candidatesFor(path.resolve(options.cwd || process.cwd(), executable)).find((candidate) => existsSync(candidate)) || null;
+  }
+
+  const searchPath = env.PATH || env.Path || '';
+  for (const directory of searchPath.split(path.delimiter).filter(Boolean)) {
+    const match = candidatesFor(path.join(directory, executable)).find((candidate) => existsSync(candidate));
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+function expandCommandArgs(args, model) {
+  return args.map((arg) => arg.split('{model}').join(model || ''));
+}
+
+function createCommandProvider(config = {}, deps = {}) {
+  const commandConfig = config.command || {};
+  const args = commandConfig.args || [];
+  const defaultModel = config.model || commandConfig.model || null;
+  const usesModel = args.some((arg) => arg.includes('{model}'));
+
+  return {
+    name: 'command',
+    defaultModel,
+    // An arbitrary local tool may not tolerate concurrent runs.
+    supportsParallel: false,
+    async ensureAvailable(cwd) {
+      if (!commandConfig.executable) {
+        throw new Error('command.executable is required for the command provider');
+      }
+
+      if (usesModel && !defaultModel) {
+        throw new Error('model or command.model is required when command.args uses {model}');
+      }
+
+      if (commandConfig.checkArgs) {
+        await ensureCommandAvailable(commandConfig.executable, commandConfig.checkArgs, cwd);
+        return;
+      }
+
+      const resolveExecutableImpl = deps.resolveExecutable || resolveExecutable;
+      if (!resolveExecutableImpl(commandConfig.executable, { cwd })) {
+        throw new Error(`${commandConfig.executable} was not found on PATH`);
+      }
+    },
+    generate: (prompt, { cwd, model, timeoutMs } = {}) => {
+      const runCommandImpl = deps.runCommand || runCommand;
+      return runCommandImpl(commandConfig.executable, expandCommandArgs(args, model || defaultModel), prompt, cwd, {
+        timeoutMs,
+      });
+    },
+    classifyError: classifyCliError,
+  };
+}
+
+function trimTrailingSlash(value) {
+  return value.replace(/\/+$/, '');
+}
+
+function buildHttpEndpoints(api, baseUrl) {
+  const base = trimTrailingSlash(baseUrl);
+  if (api === 'ollama') {
+    return {
+      health: `${base}/api/tags`,
+      generate: `${base}/api/generate`,
+    };
+  }
+
+  const versionedBase = /\/v1$/.test(base) ? base : `${base}/v1`;
+  return {
+    health: `${versionedBase}/models`,
+    generate: `${versionedBase}/chat/completions`,
+  };
+}
+
+function buildHttpRequestBody(api, prompt, model) {
+  if (api === 'ollama') {
+    return {
+      model,
+      prompt,
+      stream: false,
+    };
+  }
+
+  return {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    stream: false,
+  };
+}
+
+function extractHttpResponseText(api, payload) {
+  if (api === 'ollama') {
+    return payload && typeof payload.response === 'string' ? payload.response : '';
+  }
+
+  const choice = payload && Array.isArray(payload.choices) ? payload.choices[0] : null;
+  return choice && choice.message && typeof choice.message.content === 'string'
+    ? choice.message.content
+    : '';
+}
+
+function describeHttpStatus(status) {
+  if (status === 401 || status === 403) {
+    return 'the server rejected the credentials';
+  }
+
+  if (status === 429) {
+    return 'the server is rate limiting requests';
+  }
+
+  if (status >= 500) {
+    return 'the server failed while handling the request';
+  }
+
+  return 'the server rejected the request';
+}
+
+function createHttpStatusError(url, response, bodyText) {
+  const error = new Error(`POST ${url} failed with status ${response.status}`);
+  error.status = response.status;
+  error.detail = `HTTP ${response.status}: ${describeHttpStatus(response.status)}.`;
+  if (bodyText) {
+    error.detail += `\n${bodyText.trim().slice(0, HTTP_ERROR_DETAIL_MAX_CHARS)}`;
+  }
+
+  return error;
+}
+
+function createHttpNetworkError(url, cause) {
+  const causeCode = cause && cause.cause && cause.cause.code;
+  const error = new Error(`Could not reach ${url}`);
+  error.code = causeCode || 'ENETWORK';
+  error.detail = causeCode === 'ECONNREFUSED'
+    ? `Connection refused by ${url}. Is the server running?`
+    : `Could not reach ${url}: ${(cause && cause.message) || 'network error'}`;
+  return error;
+}
+
+function classifyHttpError(error) {
+  if (error.timedOut) {
+    return 'timeout';
+  }
+
+  if (error.status === 401 || error.status === 403) {
+    return 'auth';
+  }
+
+  return 'generic';
+}
+
+function createHttpProvider(api, config = {}, deps = {}) {
+  const fetchImpl = deps.fetchImpl || globalThis.fetch;
+  const env = deps.env || process.env;
+  const httpConfig = config.http || {};
+  const defaultModel = config.model || httpConfig.model || null;
+  const baseUrl = httpConfig.baseUrl || DEFAULT_HTTP_BASE_URLS[api];
+  const endpoints = baseUrl ? buildHttpEndpoints(api, baseUrl) : null;
+
+  const buildHeaders = () => {
+    const headers = { 'content-type': 'application/json' };
+    const apiKey = httpConfig.apiKeyEnv ? env[httpConfig.apiKeyEnv] : null;
+    if (apiKey) {
+      headers.authorization = `Bearer ${apiKey}`;
+    }
+
+    return headers;
+  };
+
+  const request = async (url, init, timeoutMs) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeoutMs
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+      : null;
+
+    try {
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      return {
+        ok: response.ok,
+        status: response.status,
+        text: await response.text(),
+      };
+    } catch (error) {
+      if (timedOut) {
+        throw createTimeoutError(url, timeoutMs);
+      }
+
+      throw createHttpNetworkError(url, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    name: api,
+    defaultModel,
+    // A local Ollama server answers one request at a time, so parallel calls only queue up.
+    supportsParallel: api !== 'ollama',
+    async ensureAvailable() {
+      if (!fetchImpl) {
+        throw new Error('fetch is not available in this Node.js runtime');
+      }
+
+      if (!endpoints) {
+        throw new Error(`http.baseUrl is required for the ${api} provider`);
+      }
+
+      if (!defaultModel) {
+        throw new Error(`model or http.model is required for the ${api} provider`);
+      }
+
+      // Any HTTP response proves the server is reachable; credentials are checked on generate.
+      // A server that accepts the connection but never answers must not hang setup.
+      await request(endpoints.health, { method: 'GET', headers: buildHeaders() }, config.generationTimeoutMs);
+    },
+    async generate(prompt, { model, timeoutMs } = {}) {
+      const response = await request(endpoints.generate, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(buildHttpRequestBody(api, prompt, model || defaultModel)),
+      }, timeoutMs);
+
+      const bodyText = response.text;
+      if (!response.ok) {
+        throw createHttpStatusError(endpoints.generate, response, bodyText);
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(bodyText);
+      } catch (error) {
+        const parseError = new Error(`${endpoints.generate} returned invalid JSON`);
+        parseError.detail = bodyText.trim().slice(0, HTTP_ERROR_DETAIL_MAX_CHARS);
+        throw parseError;
+      }
+
+      return extractHttpResponseText(api, payload).trim();
+    },
+    classifyError: classifyHttpError,
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  ollama: (config, deps) => createHttpProvider('ollama', config, deps),
+  openai: (config, deps) => createHttpProvider('openai', config, deps),
+  command: createCommandProvider,
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+function createProvider(config = {}, deps = {}) {
+  const name = config.provider || DEFAULT_PROVIDER;
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  return factory(config, deps);
+}
+
+module.exports = {
+  DEFAULT_GEMINI_MODEL,
+  DEFAULT_PROVIDER,
+  PROVIDER_NAMES,
+  classifyCliError,
+  classifyHttpError,
+  createCommandProvider,
+  createGeminiProvider,
+  createHttpProvider,
+  createProvider,
+  ensureCommandAvailable,
+  ensureGeminiInstalled,
+  expandCommandArgs,
+  resolveExecutable,
+  runCommand,
+  runGemini,
+};
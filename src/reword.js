@@ -0,0 +1,210 @@
+const {
+  COLORS,
+  printConfigWarnings,
+  printSecretFindings,
+  printSummary,
+} = require('./ui');
+const {
+  collectCommitChanges,
+  getCommitMessage,
+  isWorktreeClean,
+  listCommits,
+  resolveCommit,
+  rewriteCommitMessages,
+} = require('./git');
+const {
+  getSecretFindings,
+  resolveSessionDeps,
+} = require('./session');
+const { askUserContext, chooseHistoryMessage, openHistorySession, runHistoryCommand } = require('./history-command');
+
+function resolveRewordDeps(overrides = {}) {
+  return {
+    ...resolveSessionDeps(overrides),
+    collectCommitChanges: overrides.collectCommitChanges || collectCommitChanges,
+    getCommitMessage: overrides.getCommitMessage || getCommitMessage,
+    isWorktreeClean: overrides.isWorktreeClean || isWorktreeClean,
+    listCommits: overrides.listCommits || listCommits,
+    resolveCommit: overrides.resolveCommit || resolveCommit,
+    rewriteCommitMessages: overrides.rewriteCommitMessages || rewriteCommitMessages,
+  };
+}
+
+// Accepts <base>, <base>.., and <base>..<tip>; the tip defaults to HEAD. Returns null for
+// symmetric ranges and anything else rev-list would read differently.
+function parseRewordRange(range) {
+  if (range.includes('...')) {
+    return null;
+  }
+
+  const [base, tip, ...rest] = range.split('..');
+  if (!base || rest.length > 0) {
+    return null;
+  }
+
+  return { base, tip: tip || 'HEAD' };
+}
+
+function getSubject(message) {
+  return message.split('\n')[0];
+}
+
+// Newer messages come first, like git log: the new messages of the commits already reworded,
+// then the history below the range.
+function buildRewordHistory(rewordedMessages, baseHistory, count) {
+  return [
+    ...rewordedMessages.map(getSubject).reverse(),
+    ...(baseHistory ? baseHistory.split('\n') : []),
+  ].slice(0, count).join('\n');
+}
+
+async function runReword({ cwd, lang = null, range = null, options = {}, showConfigHint = false }, overrides = {}) {
+  const deps = resolveRewordDeps(overrides);
+
+  await runHistoryCommand({ lang, options, showConfigHint, startingKey: 'rewordStarting' }, overrides, async (context) => {
+    const { t, consoleRef, setup, stopSetup, fail } = context;
+    const session = await openHistorySession(context, deps, cwd);
+    if (!session) {
+      return;
+    }
+
+    const { gitRoot, config } = session;
+
+    setup.update(t.rewordChecking);
+    if (!(await deps.isWorktreeClean(gitRoot))) {
+      stopSetup(t.rewordDirty, 'error');
+      return;
+    }
+
+    const sync = await deps.getBranchPointerStatus(gitRoot, {
+      fetchBeforeSyncCheck: config.fetchBeforeSyncCheck,
+    });
+    const upstream = sync.upstream || null;
+    if (!range && !upstream) {
+      stopSetup(t.rewordNoUpstream, 'error');
+      return;
+    }
+
+    const rangeText = range || upstream;
+    const parsedRange = parseRewordRange(rangeText);
+    const head = await deps.resolveCommit(gitRoot, 'HEAD');
+    const base = parsedRange && await deps.resolveCommit(gitRoot, parsedRange.base);
+    const tip = parsedRange && await deps.resolveCommit(gitRoot, parsedRange.tip);
+    if (!base || !tip) {
+      stopSetup(t.rewordInvalidRange(rangeText), 'error');
+      return;
+    }
+
+    if (tip !== head) {
+      stopSetup(t.rewordNotAtHead(rangeText), 'error');
+      return;
+    }
+
+    const commits = await deps.listCommits(gitRoot, `${base}..${head}`);
+    if (commits.length === 0) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.rewordNothing}${COLORS.reset}`);
+      fail('noChanges');
+      return;
+    }
+
+    const merge = commits.find((entry) => entry.parents.length > 1);
+    if (merge) {
+      stopSetup(t.rewordMerge(merge.commit.slice(0, 7)), 'error');
+      return;
+    }
+
+    if (upstream) {
+      const unpushed = new Set((await deps.listCommits(gitRoot, `${upstream}..${head}`)).map((entry) => entry.commit));
+      const pushed = commits.find((entry) => !unpushed.has(entry.commit));
+      if (pushed) {
+        stopSetup(t.rewordPushed(pushed.commit.slice(0, 7), upstream), 'syncBlocked');
+        return;
+      }
+    }
+
+    const entries = [];
+    for (const entry of commits) {
+      entries.push({
+        commit: entry.commit,
+        parent: entry.parents[0] || null,
+        message: await deps.getCommitMessage(gitRoot, entry.commit),
+      });
+    }
+
+    const [baseHistory, branchContext] = await Promise.all([
+      entries[0].parent ? deps.getRecentHistory(gitRoot, config.historyCount, entries[0].parent) : '',
+      deps.getBranchContext(gitRoot),
+    ]);
+
+    setup.stop();
+    printConfigWarnings(session.warnings, t, consoleRef);
+    consoleRef.log(`${COLORS.cyan}${t.rewordPlanTitle(entries.length)}${COLORS.reset}`);
+    entries.forEach((entry) => {
+      consoleRef.log(`${COLORS.white}  ${entry.commit.slice(0, 7)} ${getSubject(entry.message)}${COLORS.reset}`);
+    });
+
+    const userContext = await askUserContext(context);
+
+    const rewordedMessages = [];
+    for (let index = 0; index < entries.length; index += 1) {
+      const entry = entries[index];
+      consoleRef.log(`${COLORS.bright}${t.rewordCommitTitle(index + 1, entries.length, entry.commit.slice(0, 7), getSubject(entry.message))}${COLORS.reset}`);
+
+      const changes = await deps.collectCommitChanges(gitRoot, entry.commit, {
+        redact: session.redactSecrets,
+        isIgnored: session.isIgnored,
+      });
+      printSummary(changes.summary, t, consoleRef);
+      const secrets = getSecretFindings(changes);
+      if (secrets.length > 0) {
+        printSecretFindings(secrets, t, consoleRef);
+      }
+
+      const state = {
+        summary: changes.summary,
+        diffContext: changes.diffContext,
+        history: buildRewordHistory(rewordedMessages, baseHistory, config.historyCount),
+        branchContext,
+        stagedSnapshot: changes.snapshot,
+        originalMessage: entry.message,
+      };
+      const chosen = await chooseHistoryMessage(context, session, deps, state, userContext, {
+        primaryLabel: t.rewordMenuUse,
+        extraActions: [['keep', t.rewordMenuKeep, entry.message]],
+      });
+      if (!chosen) {
+        return;
+      }
+
+      rewordedMessages.push(chosen.message);
+    }
+
+    // Commits before the first changed message are reused as they are.
+    const firstChanged = entries.findIndex((entry, index) => rewordedMessages[index] !== entry.message);
+    if (firstChanged === -1) {
+      consoleRef.log(`${COLORS.yellow}${t.rewordUnchanged}${COLORS.reset}`);
+      return;
+    }
+
+    if (await deps.resolveCommit(gitRoot, 'HEAD') !== head) {
+      consoleRef.log(`${COLORS.red}${t.rewordHeadMoved}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    await deps.rewriteCommitMessages(gitRoot, entries.slice(firstChanged).map((entry, offset) => ({
+      ...entry,
+      message: rewordedMessages[firstChanged + offset],
+    })));
+
+    const changedCount = entries.filter((entry, index) => rewordedMessages[index] !== entry.message).length;
+    consoleRef.log(`${COLORS.green}${t.rewordDone(changedCount)}${COLORS.reset}`);
+    consoleRef.log(`${COLORS.cyan}${t.rewordReflogHint}${COLORS.reset}`);
+  });
+}
+
+module.exports = {
+  parseRewordRange,
+  runReword,
+};
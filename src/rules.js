@@ -0,0 +1,213 @@
+const { parseConventionalHeader } = require('./conventional');
+
+const RULE_LEVELS = ['error', 'warning', 'off'];
+const TITLE_CASES = ['lower', 'upper', 'sentence'];
+const TRAILING_PERIOD_POLICIES = ['forbid', 'require'];
+
+const DEFAULT_RULES = {
+  titleMaxLength: { level: 'warning', value: 50 },
+};
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function compilePattern(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (literal) {
+    return new RegExp(literal[1], literal[2]);
+  }
+
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}_])${escaped}(?=$|[^\\p{L}\\p{N}_])`, 'iu');
+}
+
+function isPatternList(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return false;
+  }
+
+  return value.every((pattern) => {
+    if (typeof pattern !== 'string' || !pattern) {
+      return false;
+    }
+
+    try {
+      compilePattern(pattern);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+function isRegExpSourceList(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return false;
+  }
+
+  return value.every((pattern) => {
+    if (typeof pattern !== 'string' || !pattern) {
+      return false;
+    }
+
+    try {
+      new RegExp(pattern);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+const RULE_VALUE_VALIDATORS = {
+  titleMaxLength: isPositiveInteger,
+  bodyMaxLineLength: isPositiveInteger,
+  forbiddenPatterns: isPatternList,
+  requiredTrailers: isRegExpSourceList,
+  titleCase: (value) => TITLE_CASES.includes(value),
+  titleTrailingPeriod: (value) => TRAILING_PERIOD_POLICIES.includes(value),
+};
+
+const RULE_NAMES = Object.keys(RULE_VALUE_VALIDATORS);
+
+function isValidRule(name, rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return false;
+  }
+
+  if (!RULE_LEVELS.includes(rule.level)) {
+    return false;
+  }
+
+  return rule.level === 'off' || RULE_VALUE_VALIDATORS[name](rule.value);
+}
+
+function getTitleSubject(title) {
+  const header = parseConventionalHeader(title);
+  return header ? header.subject : title;
+}
+
+function matchesTitleCase(text, titleCase) {
+  if (titleCase === 'lower') {
+    return text === text.toLowerCase();
+  }
+
+  if (titleCase === 'upper') {
+    return text === text.toUpperCase();
+  }
+
+  const firstChar = text.charAt(0);
+  return firstChar === firstChar.toUpperCase();
+}
+
+function getTrailerLines(lines) {
+  const paragraphs = lines.join('\n').split(/\n\s*\n/);
+  if (paragraphs.length < 2) {
+    return [];
+  }
+
+  return paragraphs[paragraphs.length - 1].split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+const RULE_CHECKS = {
+  titleMaxLength: ({ title }, max) => (title.length > max
+    ? [{ code: 'title-too-long', max, detail: `the title is ${title.length} characters; keep it within ${max}` }]
+    : []),
+  bodyMaxLineLength: ({ lines }, max) => {
+    const longLine = lines.slice(1).find((line) => line.length > max);
+    return longLine
+      ? [{ code: 'body-line-too-long', max, detail: `wrap body lines at ${max} characters` }]
+      : [];
+  },
+  forbiddenPatterns: ({ message }, patterns) => patterns
+    .filter((pattern) => compilePattern(pattern).test(message))
+    .map((pattern) => ({ code: 'forbidden-pattern', pattern, detail: `do not use ${pattern}` })),
+  requiredTrailers: ({ lines }, patterns) => {
+    const trailerLines = getTrailerLines(lines);
+    return patterns
+      .filter((pattern) => !trailerLines.some((line) => new RegExp(pattern).test(line)))
+      .map((pattern) => ({
+        code: 'missing-trailer',
+        pattern,
+        detail: `end the message with a trailer line matching ${pattern}`,
+      }));
+  },
+  titleCase: ({ title }, titleCase) => (matchesTitleCase(getTitleSubject(title), titleCase)
+    ? []
+    : [{ code: 'title-case', expected: titleCase, detail: `write the title subject in ${titleCase} case` }]),
+  titleTrailingPeriod: ({ title }, policy) => {
+    const endsWithPeriod = title.endsWith('.');
+    if (policy === 'forbid' && endsWithPeriod) {
+      return [{ code: 'title-trailing-period', expected: policy, detail: 'do not end the title with a period' }];
+    }
+
+    if (policy === 'require' && !endsWithPeriod) {
+      return [{ code: 'title-trailing-period', expected: policy, detail: 'end the title with a period' }];
+    }
+
+    return [];
+  },
+};
+
+function evaluateRules(message, rules = DEFAULT_RULES) {
+  const lines = message ? message.split('\n') : [];
+  const title = lines[0] ? lines[0].trim() : '';
+  const errors = [];
+  const warnings = [];
+
+  if (!title) {
+    return { errors, warnings };
+  }
+
+  for (const name of RULE_NAMES) {
+    const rule = rules[name];
+    if (!rule || rule.level === 'off') {
+      continue;
+    }
+
+    const issues = RULE_CHECKS[name]({ message, lines, title }, rule.value);
+    (rule.level === 'error' ? errors : warnings).push(...issues);
+  }
+
+  return { errors, warnings };
+}
+
+function buildRulesGuide(rules = DEFAULT_RULES) {
+  const active = (name) => rules[name] && rules[name].level !== 'off';
+  const guide = [];
+
+  if (active('bodyMaxLineLength')) {
+    guide.push(`Wrap body lines at ${rules.bodyMaxLineLength.value} characters.`);
+  }
+
+  if (active('titleCase')) {
+    guide.push(`Write the title subject in ${rules.titleCase.value} case.`);
+  }
+
+  if (active('titleTrailingPeriod')) {
+    guide.push(rules.titleTrailingPeriod.value === 'forbid'
+      ? 'Do not end the title with a period.'
+      : 'End the title with a period.');
+  }
+
+  if (active('forbiddenPatterns')) {
+    guide.push(`Never use these words or patterns: ${rules.forbiddenPatterns.value.join(', ')}.`);
+  }
+
+  if (active('requiredTrailers')) {
+    guide.push(`End the message with trailer lines matching: ${rules.requiredTrailers.value.join(', ')}.`);
+  }
+
+  return guide;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_LEVELS,
+  RULE_NAMES,
+  buildRulesGuide,
+  compilePattern,
+  evaluateRules,
+  isValidRule,
+};
@@ -0,0 +1,180 @@
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----/;
+
+// Each detector masks `group` of every match (the whole match when omitted).
+const BUILTIN_DETECTORS = [
+  { id: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { id: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'stripe-key', pattern: /\b(?:sk|rk)_live_[0-9A-Za-z]{16,}\b/g },
+  { id: 'openai-key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}/g },
+  { id: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    id: 'credential-assignment',
+    pattern: /([\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d)[\w.-]*["']?\s*[:=]\s*)(["'])([^"'\s]{8,})\2/gi,
+    group: 3,
+  },
+  {
+    id: 'env-assignment',
+    pattern: /^(\s*(?:export\s+)?[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD)[A-Z0-9_]*\s*=\s*)([^\s"'#]{8,})/g,
+    group: 2,
+  },
+];
+
+const HIGH_ENTROPY_PATTERN = /(["'`])([A-Za-z0-9+/_=-]{24,})\1/g;
+const HIGH_ENTROPY_THRESHOLD = 4;
+// Lockfile integrity hashes look random but are not secrets.
+const HASH_PREFIX_PATTERN = /^sha\d+-/;
+
+function redactedMarker(detector) {
+  return `[REDACTED:${detector}]`;
+}
+
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+
+  return entropy;
+}
+
+function isHighEntropySecret(value) {
+  return !HASH_PREFIX_PATTERN.test(value)
+    && /[a-z]/.test(value)
+    && /[A-Z]/.test(value)
+    && /[0-9]/.test(value)
+    && shannonEntropy(value) >= HIGH_ENTROPY_THRESHOLD;
+}
+
+function compileSecretDetectors(patterns = []) {
+  const custom = patterns.map((pattern, index) => ({
+    id: `custom-${index + 1}`,
+    pattern: new RegExp(pattern, 'g'),
+  }));
+
+  return [...BUILTIN_DETECTORS, ...custom];
+}
+
+function maskMatches(content, detector, found) {
+  return content.replace(detector.pattern, (...args) => {
+    const match = args[0];
+    const groupIndex = detector.group || 0;
+    const secret = args[groupIndex];
+    // Skip empty matches and values an earlier detector already masked.
+    if (!secret || secret.includes('[REDACTED:')) {
+      return match;
+    }
+
+    found.push(detector.id);
+    if (groupIndex === 0) {
+      return redactedMarker(detector.id);
+    }
+
+    // Built-in detectors capture everything before the secret, so the prefix length locates it.
+    const prefix = args.slice(1, groupIndex).join('');
+    const offset = match.indexOf(secret, prefix.length);
+    return `${match.slice(0, offset)}${redactedMarker(detector.id)}${match.slice(offset + secret.length)}`;
+  });
+}
+
+function redactLine(content, detectors) {
+  const found = [];
+  let redacted = content;
+
+  for (const detector of detectors) {
+    redacted = maskMatches(redacted, detector, found);
+  }
+
+  redacted = redacted.replace(HIGH_ENTROPY_PATTERN, (match, quote, value) => {
+    if (!isHighEntropySecret(value)) {
+      return match;
+    }
+
+    found.push('high-entropy');
+    return `${quote}${redactedMarker('high-entropy')}${quote}`;
+  });
+
+  return { content: redacted, found };
+}
+
+// Masks secrets on every diff line so removed and context lines never reach the prompt either.
+// Findings are reported only for added lines, with their line number in the new file.
+function redactFileDiff(fileDiff, file, detectors) {
+  const findings = [];
+  let newLine = 0;
+  let inHunk = false;
+  let inPrivateKey = false;
+
+  const lines = fileDiff.split('\n').map((line) => {
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (hunk) {
+      newLine = Number(hunk[1]);
+      inHunk = true;
+      return line;
+    }
+
+    // Before the first hunk, `+++ b/file` and `--- a/file` are headers. Inside a hunk they are
+    // an added `++ ` line and a removed `-- ` line.
+    const marker = line[0];
+    const isBody = inHunk && (marker === '+' || marker === '-' || marker === ' ');
+    if (!isBody) {
+      return line;
+    }
+
+    const lineNumber = marker === '-' ? null : newLine;
+    if (marker !== '-') {
+      newLine += 1;
+    }
+
+    const content = line.slice(1);
+    const record = (detector) => {
+      if (marker === '+') {
+        findings.push({ file, line: lineNumber, detector });
+      }
+    };
+
+    if (inPrivateKey) {
+      if (PRIVATE_KEY_END.test(content)) {
+        inPrivateKey = false;
+        return line;
+      }
+
+      return `${marker}${redactedMarker('private-key')}`;
+    }
+
+    if (PRIVATE_KEY_BEGIN.test(content)) {
+      inPrivateKey = !PRIVATE_KEY_END.test(content);
+      record('private-key');
+      return line;
+    }
+
+    const redacted = redactLine(content, detectors);
+    redacted.found.forEach(record);
+    return `${marker}${redacted.content}`;
+  });
+
+  return { diff: lines.join('\n'), findings };
+}
+
+function createSecretRedactor(config = {}) {
+  if (config.secretScan === false) {
+    return null;
+  }
+
+  const detectors = compileSecretDetectors(config.secretPatterns);
+  return (fileDiff, file) => redactFileDiff(fileDiff, file, detectors);
+}
+
+module.exports = {
+  BUILTIN_DETECTORS,
+  createSecretRedactor,
+  shannonEntropy,
+};
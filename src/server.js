@@ -0,0 +1,330 @@
+const readline = require('readline');
+const {
+  STRINGS,
+  formatValidationEntry,
+  getProviderErrorMessage,
+  getSyncBlockMessage,
+} = require('./ui');
+const {
+  buildPromptFromState,
+  checkBranchSync,
+  collectAnalysisState,
+  createSession,
+  generateCandidates,
+  getSecretFindings,
+  hasStagedChangesChanged,
+  resolveSessionDeps,
+  summarizeLargeDiff,
+} = require('./session');
+
+const JSONRPC_VERSION = '2.0';
+
+const RPC_ERRORS = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603,
+  // Application failures; error.data.reason says which safety check or step refused.
+  operationFailed: -32000,
+};
+
+function rpcError(code, message, data = null) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.data = data;
+  return error;
+}
+
+function operationFailed(reason, message, extra = {}) {
+  return rpcError(RPC_ERRORS.operationFailed, message, { reason, ...extra });
+}
+
+function withText(catalog) {
+  return (entry) => ({ ...entry, text: formatValidationEntry(catalog, entry) });
+}
+
+function describeValidation(validation, t) {
+  return {
+    message: validation.message,
+    valid: validation.valid,
+    blockingIssues: validation.blockingIssues.map(withText(t.validationIssue)),
+    warnings: validation.warnings.map(withText(t.validationWarning)),
+  };
+}
+
+function readStringParam(params, key, { required = false } = {}) {
+  const value = params[key];
+
+  if (value === undefined || value === null) {
+    if (required) {
+      throw rpcError(RPC_ERRORS.invalidParams, `params.${key} is required`);
+    }
+
+    return undefined;
+  }
+
+  if (typeof value !== 'string') {
+    throw rpcError(RPC_ERRORS.invalidParams, `params.${key} must be a string`);
+  }
+
+  return value;
+}
+
+// Holds one editor client's analysis between calls, so commit runs the same staged-snapshot
+// and branch checks as the terminal flow before anything is written.
+function createRpcHandler({ cwd, lang = 'en' }, overrides = {}) {
+  const deps = resolveSessionDeps(overrides);
+  const t = STRINGS[lang] || STRINGS.en;
+  let current = null;
+
+  const openSession = async () => {
+    let gitRoot;
+    try {
+      gitRoot = await deps.getGitRoot(cwd);
+    } catch (error) {
+      throw operationFailed('notGitRepo', t.errNotGit);
+    }
+
+    return createSession(gitRoot, t, deps);
+  };
+
+  const providerFailed = (provider, error) => {
+    const errorType = provider.classifyError(error);
+    const errorDetail = error.detail || error.stderr;
+    return operationFailed('providerFailed', getProviderErrorMessage(t, provider.name, errorType), {
+      detail: errorType !== 'auth' && errorDetail ? errorDetail.trim() : null,
+    });
+  };
+
+  const analyze = async () => {
+    const session = await openSession();
+    if (current) {
+      // Regenerating from an unchanged staged set reuses the large-diff summaries.
+      session.diffSummaryCache = current.session.diffSummaryCache;
+    }
+
+    const { sync, blocked } = await checkBranchSync(session, deps);
+    if (blocked) {
+      throw operationFailed('syncBlocked', getSyncBlockMessage(sync, t), { sync });
+    }
+
+    const analysisState = await collectAnalysisState(session, deps);
+    if (analysisState.summary.total === 0) {
+      current = null;
+      throw operationFailed('noChanges', t.noChanges);
+    }
+
+    const secrets = getSecretFindings(analysisState);
+    if (secrets.length > 0 && session.config.blockOnSecrets) {
+      current = null;
+      throw operationFailed('secretsBlocked', t.secretsBlocked, { secrets });
+    }
+
+    current = { session, analysisState, sync, generated: null };
+    return current;
+  };
+
+  const describeAnalysis = ({ session, analysisState, sync }) => ({
+    gitRoot: session.gitRoot,
+    summary: analysisState.summary,
+    files: analysisState.diffContext.files,
+    diffTruncated: analysisState.diffContext.truncated,
+    omittedFiles: analysisState.diffContext.omitted || [],
+    branch: analysisState.branchContext,
+    sync,
+    secrets: getSecretFindings(analysisState),
+    configWarnings: session.warnings,
+  });
+
+  const methods = {
+    async analyze() {
+      return describeAnalysis(await analyze());
+    },
+
+    async generate(params) {
+      const userContext = readStringParam(params, 'context') || '';
+      const state = await analyze();
+      const { session } = state;
+      const { provider } = session;
+
+      try {
+        await provider.ensureAvailable(session.gitRoot);
+      } catch (error) {
+        throw operationFailed('providerFailed', getProviderErrorMessage(t, provider.name, 'unavailable'), {
+          detail: error.detail || error.message,
+        });
+      }
+
+      const startTime = Date.now();
+      try {
+        await summarizeLargeDiff(session, state.analysisState, deps);
+      } catch (error) {
+        throw providerFailed(provider, error);
+      }
+
+      const prompt = buildPromptFromState(session, state.analysisState, userContext, deps);
+      let candidates;
+      try {
+        ({ candidates } = await generateCandidates(session, prompt, deps));
+      } catch (error) {
+        throw providerFailed(provider, error);
+      }
+
+      const result = candidates.find((candidate) => candidate.valid) || candidates[0];
+      state.generated = result;
+      return {
+        ...describeAnalysis(state),
+        ...describeValidation(result, t),
+        attempts: result.attempts,
+        durationMs: Date.now() - startTime,
+        candidates: candidates.map((candidate) => describeValidation(candidate, t)),
+      };
+    },
+
+    async validate(params) {
+      const message = readStringParam(params, 'message', { required: true });
+      const session = current ? current.session : await openSession();
+
+      return describeValidation(deps.validateCommitMessage(message, session.validationOptions), t);
+    },
+
+    async commit(params) {
+      const explicitMessage = readStringParam(params, 'message');
+      if (!current) {
+        throw operationFailed('notAnalyzed', t.serverNotAnalyzed);
+      }
+
+      const { session, analysisState, generated } = current;
+      const message = explicitMessage !== undefined ? explicitMessage : generated && generated.message;
+      if (!message) {
+        throw operationFailed('noMessage', t.serverNoMessage);
+      }
+
+      const validation = deps.validateCommitMessage(message, session.validationOptions);
+      if (!validation.valid) {
+        throw operationFailed('validationFailed', t.validationFailed, describeValidation(validation, t));
+      }
+
+      const { sync, blocked } = await checkBranchSync(session, deps);
+      if (blocked) {
+        throw operationFailed('syncBlocked', getSyncBlockMessage(sync, t), { sync });
+      }
+
+      if (await hasStagedChangesChanged(session, analysisState, deps)) {
+        throw operationFailed('stagedChanged', t.stagedChangedAtCommit);
+      }
+
+      // stdin and stdout carry protocol frames, so git must neither read nor print there.
+      await deps.commitWithMessage(session.gitRoot, validation.message, { keepStdout: true });
+      current = null;
+
+      return { committed: true, ...describeValidation(validation, t) };
+    },
+
+    async status() {
+      if (!current) {
+        return { analyzed: false, stagedChanged: null, generated: null };
+      }
+
+      const { session, analysisState, generated } = current;
+      return {
+        analyzed: true,
+        gitRoot: session.gitRoot,
+        summary: analysisState.summary,
+        stagedChanged: await hasStagedChangesChanged(session, analysisState, deps),
+        generated: generated ? describeValidation(generated, t) : null,
+      };
+    },
+  };
+
+  const handle = async (request) => {
+    const isObject = request && typeof request === 'object' && !Array.isArray(request);
+    const id = isObject && request.id !== undefined ? request.id : null;
+    const isNotification = isObject && request.id === undefined;
+
+    try {
+      if (!isObject || request.jsonrpc !== JSONRPC_VERSION || typeof request.method !== 'string') {
+        throw rpcError(RPC_ERRORS.invalidRequest, 'Invalid Request');
+      }
+
+      const params = request.params === undefined ? {} : request.params;
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw rpcError(RPC_ERRORS.invalidParams, 'params must be an object');
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(methods, request.method)) {
+        throw rpcError(RPC_ERRORS.methodNotFound, `Method not found: ${request.method}`);
+      }
+
+      const result = await methods[request.method](params);
+      return isNotification ? null : { jsonrpc: JSONRPC_VERSION, id, result };
+    } catch (error) {
+      if (isNotification) {
+        return null;
+      }
+
+      const code = error.rpcCode || RPC_ERRORS.internalError;
+      const data = error.rpcCode
+        ? error.data
+        : { detail: error.stderr ? error.stderr.trim() : null };
+      return {
+        jsonrpc: JSONRPC_VERSION,
+        id,
+        error: data ? { code, message: error.message, data } : { code, message: error.message },
+      };
+    }
+  };
+
+  return { handle };
+}
+
+// Newline-delimited JSON-RPC 2.0: one request per input line, one response per output line.
+// Requests run one at a time so a commit never races a generate from the same client.
+function serveStdio({ input = process.stdin, output = process.stdout, cwd, lang }, overrides = {}) {
+  const handler = createRpcHandler({ cwd, lang }, overrides);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let queue = Promise.resolve();
+
+  const write = (response) => {
+    if (response) {
+      output.write(`${JSON.stringify(response)}\n`);
+    }
+  };
+
+  const handleLine = async (line) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      write({
+        jsonrpc: JSONRPC_VERSION,
+        id: null,
+        error: { code: RPC_ERRORS.parseError, message: 'Parse error' },
+      });
+      return;
+    }
+
+    write(await handler.handle(request));
+  };
+
+  return new Promise((resolve) => {
+    lines.on('line', (line) => {
+      queue = queue.then(() => handleLine(line));
+    });
+    lines.on('close', () => {
+      queue.then(resolve);
+    });
+  });
+}
+
+module.exports = {
+  JSONRPC_VERSION,
+  RPC_ERRORS,
+  createRpcHandler,
+  serveStdio,
+};
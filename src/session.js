@@ -0,0 +1,305 @@
+const { loadConfig } = require('./config');
+const { loadCommitlintConfig } = require('./commitlint');
+const { loadPromptTemplate } = require('./prompt-template');
+const {
+  MAX_PROMPT_DIFF_CHARS,
+  collectStagedChanges,
+  getBranchContext,
+  getBranchPointerStatus,
+  getGitRoot,
+  getRecentHistory,
+  getStagedSnapshot,
+  isSyncBlocked,
+  splitDiffSections,
+  stageAllChanges,
+} = require('./git');
+const {
+  buildCandidatePrompt,
+  buildDiffSummaryPrompt,
+  buildPrompt,
+  buildRefinePrompt,
+  createValidationOptions,
+  generateCommitMessage,
+  summarizeDiffChunk,
+  validateCommitMessage,
+} = require('./ai');
+const { createProvider } = require('./providers');
+const { commitWithMessage } = require('./commit');
+const { createSecretRedactor } = require('./secrets');
+const { createIgnoreMatcher, loadIgnoreFile } = require('./ignore');
+const { trimFileDiff } = require('./diff-budget');
+
+// Large-diff mode sends at most this many chunk summaries; later files are left to the stat lines.
+const MAX_SUMMARY_CHUNKS = 12;
+// Parallel providers summarize this many chunks at a time, which keeps clear of rate limits.
+const MAX_PARALLEL_SUMMARIES = 3;
+
+function resolveSessionDeps(overrides = {}) {
+  return {
+    getGitRoot: overrides.getGitRoot || getGitRoot,
+    loadConfig: overrides.loadConfig || loadConfig,
+    loadCommitlintConfig: overrides.loadCommitlintConfig || loadCommitlintConfig,
+    loadPromptTemplate: overrides.loadPromptTemplate || loadPromptTemplate,
+    loadIgnoreFile: overrides.loadIgnoreFile || loadIgnoreFile,
+    createProvider: overrides.createProvider || createProvider,
+    getBranchPointerStatus: overrides.getBranchPointerStatus || getBranchPointerStatus,
+    isSyncBlocked: overrides.isSyncBlocked || isSyncBlocked,
+    stageAllChanges: overrides.stageAllChanges || stageAllChanges,
+    getStagedSnapshot: overrides.getStagedSnapshot || getStagedSnapshot,
+    collectStagedChanges: overrides.collectStagedChanges || collectStagedChanges,
+    getRecentHistory: overrides.getRecentHistory || getRecentHistory,
+    getBranchContext: overrides.getBranchContext || getBranchContext,
+    buildPrompt: overrides.buildPrompt || buildPrompt,
+    generateCommitMessage: overrides.generateCommitMessage || generateCommitMessage,
+    summarizeDiffChunk: overrides.summarizeDiffChunk || summarizeDiffChunk,
+    validateCommitMessage: overrides.validateCommitMessage || validateCommitMessage,
+    commitWithMessage: overrides.commitWithMessage || commitWithMessage,
+  };
+}
+
+async function createSession(gitRoot, t, deps) {
+  const { config, warnings: configWarnings } = deps.loadConfig(gitRoot, t);
+  const commitlint = config.commitlint
+    ? await deps.loadCommitlintConfig(gitRoot, t)
+    : { rules: null, warnings: [] };
+  const promptTemplate = deps.loadPromptTemplate(gitRoot, t);
+  const ignoreFile = deps.loadIgnoreFile(gitRoot, t);
+
+  return {
+    t,
+    gitRoot,
+    config,
+    warnings: [...configWarnings, ...commitlint.warnings, ...promptTemplate.warnings, ...ignoreFile.warnings],
+    provider: deps.createProvider(config),
+    validationOptions: createValidationOptions(config, commitlint.rules),
+    promptTemplate: promptTemplate.template,
+    redactSecrets: createSecretRedactor(config),
+    isIgnored: createIgnoreMatcher([...(config.ignore || []), ...ignoreFile.patterns]),
+    // Chunk summaries of the last summarized staged snapshot, reused by Regenerate.
+    diffSummaryCache: null,
+    // What the index is compared with instead of HEAD, such as the parent of an amended commit.
+    diffBase: null,
+    // Prompt context when the message replaces existing ones: the amended commit's message and
+    // the subjects of squashed commits.
+    previousMessage: null,
+    squashedSubjects: null,
+  };
+}
+
+async function checkBranchSync(session, deps) {
+  if (!session.config.strictBranchCheck) {
+    return { sync: null, blocked: false };
+  }
+
+  const sync = await deps.getBranchPointerStatus(session.gitRoot, {
+    fetchBeforeSyncCheck: session.config.fetchBeforeSyncCheck,
+  });
+
+  return { sync, blocked: deps.isSyncBlocked(sync.status) };
+}
+
+async function collectAnalysisState(session, deps) {
+  const { gitRoot, config } = session;
+
+  if (config.autoStage) {
+    await deps.stageAllChanges(gitRoot);
+  }
+
+  const [staged, history, branchContext] = await Promise.all([
+    deps.collectStagedChanges(gitRoot, {
+      redact: session.redactSecrets,
+      isIgnored: session.isIgnored,
+      base: session.diffBase,
+    }),
+    deps.getRecentHistory(gitRoot, config.historyCount),
+    deps.getBranchContext(gitRoot),
+  ]);
+
+  return {
+    summary: staged.summary,
+    diffContext: staged.diffContext,
+    history,
+    branchContext,
+    stagedSnapshot: staged.snapshot,
+    previousMessage: session.previousMessage,
+    squashedSubjects: session.squashedSubjects,
+  };
+}
+
+function getSecretFindings(analysisState) {
+  return analysisState.diffContext.secrets || [];
+}
+
+async function hasStagedChangesChanged(session, analysisState, deps) {
+  const currentSnapshot = await deps.getStagedSnapshot(session.gitRoot, session.diffBase);
+  return currentSnapshot !== analysisState.stagedSnapshot;
+}
+
+function formatDiffSummaries(state) {
+  const { stat } = state.diffContext;
+  const { summaries, skipped } = state.diffSummaries;
+  const parts = summaries.map((summary, index) => `[PART ${index + 1}/${summaries.length}]\n${summary}`);
+  if (skipped > 0) {
+    parts.push(`(${skipped} more parts were not summarized. Use the stat lines for those files.)`);
+  }
+
+  return [stat, ...parts].filter(Boolean).join('\n\n');
+}
+
+function buildPromptFromState(session, state, userContext, deps) {
+  return deps.buildPrompt({
+    t: session.t,
+    history: state.history,
+    userContext,
+    diff: state.diffSummaries ? formatDiffSummaries(state) : state.diffContext.diff,
+    diffTruncated: state.diffContext.truncated,
+    diffSummarized: Boolean(state.diffSummaries),
+    omittedFiles: state.diffContext.omitted,
+    hasRenames: Boolean(state.summary.renamed || state.summary.copied),
+    previousMessage: state.previousMessage,
+    originalMessage: state.originalMessage,
+    squashedSubjects: state.squashedSubjects,
+    branchContext: state.branchContext,
+    files: state.diffContext.files,
+    validationOptions: session.validationOptions,
+    template: session.promptTemplate,
+  });
+}
+
+async function generateFromPrompt(session, prompt, deps) {
+  const { config } = session;
+
+  return deps.generateCommitMessage({
+    cwd: session.gitRoot,
+    prompt,
+    maxAttempts: config.maxAttempts,
+    model: config.model || undefined,
+    timeoutMs: config.generationTimeoutMs,
+    validationOptions: session.validationOptions,
+    provider: session.provider,
+  });
+}
+
+async function settle(promise) {
+  try {
+    return { status: 'fulfilled', value: await promise };
+  } catch (reason) {
+    return { status: 'rejected', reason };
+  }
+}
+
+// Generates config.candidates messages. Failed candidates are dropped as long as one succeeds.
+async function generateCandidates(session, prompt, deps) {
+  const count = session.config.candidates || 1;
+  const prompts = Array.from({ length: count }, (_, index) => buildCandidatePrompt(prompt, index));
+  const generateOne = (candidatePrompt) => generateFromPrompt(session, candidatePrompt, deps);
+
+  let outcomes;
+  if (session.provider.supportsParallel) {
+    outcomes = await Promise.allSettled(prompts.map(generateOne));
+  } else {
+    outcomes = [];
+    for (const candidatePrompt of prompts) {
+      outcomes.push(await settle(generateOne(candidatePrompt)));
+    }
+  }
+
+  const candidates = outcomes
+    .filter((outcome) => outcome.status === 'fulfilled')
+    .map((outcome) => outcome.value);
+  if (candidates.length === 0) {
+    throw outcomes[0].reason;
+  }
+
+  return { candidates, failed: outcomes.length - candidates.length };
+}
+
+// Groups whole file sections up to the prompt budget; a section larger than that is trimmed.
+function chunkDiffSections(diffText, maxChars) {
+  const chunks = [];
+  let current = '';
+
+  for (const section of splitDiffSections(diffText)) {
+    const fitted = section.length > maxChars ? trimFileDiff(section, maxChars).diff : section;
+    if (current && (current + fitted).length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+
+    current += fitted;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// Large-diff mode: when summarizeLargeDiffs is on and the budgeted diff lost patch text, each
+// chunk of the full diff is summarized and the prompt is built from the summaries instead.
+// Sets state.diffSummaries and returns true when summaries are in use.
+async function summarizeLargeDiff(session, state, deps, onProgress = () => {}) {
+  const { config, provider } = session;
+  if (!config.summarizeLargeDiffs || !state.diffContext.truncated || !state.diffContext.fullDiff) {
+    return false;
+  }
+
+  const cache = session.diffSummaryCache;
+  if (cache && cache.snapshot === state.stagedSnapshot) {
+    state.diffSummaries = cache.diffSummaries;
+    return true;
+  }
+
+  const allChunks = chunkDiffSections(state.diffContext.fullDiff, MAX_PROMPT_DIFF_CHARS);
+  const chunks = allChunks.slice(0, MAX_SUMMARY_CHUNKS);
+  let done = 0;
+  onProgress(done, chunks.length);
+
+  const summarizeOne = async (chunk, index) => {
+    const summary = await deps.summarizeDiffChunk({
+      cwd: session.gitRoot,
+      prompt: buildDiffSummaryPrompt(chunk, index, chunks.length),
+      model: config.model || undefined,
+      timeoutMs: config.generationTimeoutMs,
+      provider,
+    });
+    done += 1;
+    onProgress(done, chunks.length);
+    return summary;
+  };
+
+  // Each worker takes the next chunk until none are left; summaries keep the chunk order.
+  const summaries = new Array(chunks.length);
+  let next = 0;
+  const work = async () => {
+    while (next < chunks.length) {
+      const index = next;
+      next += 1;
+      summaries[index] = await summarizeOne(chunks[index], index);
+    }
+  };
+  const workers = provider.supportsParallel ? Math.min(MAX_PARALLEL_SUMMARIES, chunks.length) : 1;
+  await Promise.all(Array.from({ length: workers }, work));
+
+  state.diffSummaries = { summaries, skipped: allChunks.length - chunks.length };
+  session.diffSummaryCache = { snapshot: state.stagedSnapshot, diffSummaries: state.diffSummaries };
+  return true;
+}
+
+async function refineMessage(session, prompt, message, instruction, deps) {
+  return generateFromPrompt(session, buildRefinePrompt(prompt, message, instruction), deps);
+}
+
+module.exports = {
+  buildPromptFromState,
+  checkBranchSync,
+  collectAnalysisState,
+  createSession,
+  generateCandidates,
+  getSecretFindings,
+  hasStagedChangesChanged,
+  refineMessage,
+  resolveSessionDeps,
+  summarizeLargeDiff,
+};
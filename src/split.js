@@ -0,0 +1,441 @@
+const {
+  COLORS,
+  NON_INTERACTIVE_PROMPT,
+  STRINGS,
+  createPrompt,
+  getProviderErrorMessage,
+  printConfigWarnings,
+  printSecretFindings,
+  printSplitPlan,
+  printSummary,
+  printSyncBlockReason,
+  selectLanguage,
+  startSpinner,
+} = require('./ui');
+const { EXIT_CODES } = require('./cli');
+const { buildTitleFormat, normalizeCommitMessage, validateCommitMessage } = require('./ai');
+const {
+  resetIndexToHead,
+  restoreIndexState,
+  saveIndexState,
+  stageFromTree,
+} = require('./git');
+const {
+  checkBranchSync,
+  collectAnalysisState,
+  createSession,
+  getSecretFindings,
+  hasStagedChangesChanged,
+  resolveSessionDeps,
+} = require('./session');
+
+function resolveSplitDeps(overrides = {}) {
+  return {
+    ...resolveSessionDeps(overrides),
+    saveIndexState: overrides.saveIndexState || saveIndexState,
+    restoreIndexState: overrides.restoreIndexState || restoreIndexState,
+    resetIndexToHead: overrides.resetIndexToHead || resetIndexToHead,
+    stageFromTree: overrides.stageFromTree || stageFromTree,
+  };
+}
+
+function buildSplitPrompt({
+  t,
+  history,
+  userContext,
+  diff,
+  branchContext,
+  files,
+  validationOptions,
+}) {
+  return `Split the staged git changes below into a short series of commits, each one a single logical change.
+
+[RECENT COMMITS]
+${history || 'None'}
+
+[BRANCH]
+${branchContext.branch || 'None'}
+
+[USER CONTEXT]
+${userContext || 'None'}
+
+[FILES]
+${files.map((file) => `- ${file}`).join('\n')}
+
+[DIFF]
+${diff || 'No textual diff available.'}
+
+[RULES]
+- Put every file from [FILES] in exactly one commit, using the exact path shown there.
+- Order the commits so that each one builds on the ones before it.
+- When all files belong to one change, return a single commit.
+- Write every commit message in ${t.promptLang}.
+- Message format:
+  1. ${buildTitleFormat(validationOptions)}
+  2. BODY: Optional. If you include a body, use a blank line after the title.
+
+[OUTPUT]
+Return only JSON in this shape, without markdown:
+{"commits": [{"files": ["path/to/file"], "message": "title\\n\\nbody"}]}`;
+}
+
+function buildSplitRetryPrompt(prompt, problems) {
+  return `${prompt}
+
+[PLAN FEEDBACK]
+The previous plan was not usable because of: ${problems.join('; ')}.
+Return the whole plan again as JSON only.`;
+}
+
+function extractJsonObject(raw) {
+  const text = normalizeCommitMessage(raw);
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns null when the response holds no usable commit list. Unknown paths are dropped, a path
+// named twice stays in its first commit, and staged files the model left out join the last one.
+function parseSplitPlan(raw, files) {
+  const parsed = extractJsonObject(raw);
+  if (!parsed || !Array.isArray(parsed.commits)) {
+    return null;
+  }
+
+  const remaining = new Set(files);
+  const commits = [];
+  for (const entry of parsed.commits) {
+    if (!entry || typeof entry.message !== 'string' || !Array.isArray(entry.files)) {
+      continue;
+    }
+
+    const commitFiles = entry.files.filter((file) => remaining.delete(file));
+    if (commitFiles.length > 0) {
+      commits.push({ files: commitFiles, message: entry.message });
+    }
+  }
+
+  if (commits.length === 0) {
+    return null;
+  }
+
+  commits[commits.length - 1].files.push(...remaining);
+  return commits;
+}
+
+// Like generateCommitMessage, retries with feedback while the plan is unreadable or a message
+// fails blocking validation. Throws an error with code 'invalid-plan' if no attempt was readable.
+async function generateSplitPlan({
+  cwd,
+  prompt,
+  files,
+  maxAttempts,
+  model,
+  timeoutMs,
+  validationOptions,
+  provider,
+}) {
+  let currentPrompt = prompt;
+  let lastResult = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const raw = await provider.generate(currentPrompt, { cwd, model, timeoutMs });
+    const commits = parseSplitPlan(raw, files);
+    if (!commits) {
+      currentPrompt = buildSplitRetryPrompt(prompt, ['the response was not a JSON object with a "commits" list']);
+      continue;
+    }
+
+    const validated = commits.map((commit) => ({
+      files: commit.files,
+      ...validateCommitMessage(commit.message, validationOptions),
+    }));
+    lastResult = { commits: validated, valid: validated.every((commit) => commit.valid), attempts: attempt };
+    if (lastResult.valid) {
+      return lastResult;
+    }
+
+    const problems = validated
+      .map((commit, index) => ({ index, codes: commit.blockingIssues.map((issue) => issue.code) }))
+      .filter((entry) => entry.codes.length > 0)
+      .map((entry) => `commit ${entry.index + 1} message: ${entry.codes.join(', ')}`);
+    currentPrompt = buildSplitRetryPrompt(prompt, problems);
+  }
+
+  if (!lastResult) {
+    const error = new Error('The AI response was not a usable commit plan.');
+    error.code = 'invalid-plan';
+    throw error;
+  }
+
+  return lastResult;
+}
+
+// Commits each group in order by resetting the index to HEAD and copying the group's paths back
+// from the saved index. A rename brings its old path along so the deletion lands in the same
+// commit. Any failure moves HEAD back and restores the original index before rethrowing.
+async function applySplitPlan(gitRoot, commits, changes, deps, onCommit = () => {}) {
+  const oldPaths = new Map(changes
+    .filter((change) => change.status === 'R')
+    .map((change) => [change.file, change.oldFile]));
+  const saved = await deps.saveIndexState(gitRoot);
+
+  try {
+    await deps.resetIndexToHead(gitRoot);
+    for (let index = 0; index < commits.length; index += 1) {
+      const { files, message } = commits[index];
+      const paths = files.flatMap((file) => (oldPaths.has(file) ? [file, oldPaths.get(file)] : [file]));
+
+      await deps.stageFromTree(gitRoot, saved.tree, paths);
+      onCommit(index, commits.length);
+      await deps.commitWithMessage(gitRoot, message);
+    }
+  } catch (error) {
+    await deps.restoreIndexState(gitRoot, saved);
+    throw error;
+  }
+}
+
+async function runSplit({ cwd, lang = null, options = {}, showConfigHint = false }, overrides = {}) {
+  const deps = resolveSplitDeps(overrides);
+  const createPromptImpl = overrides.createPrompt || createPrompt;
+  const selectLanguageImpl = overrides.selectLanguage || selectLanguage;
+  const startSpinnerImpl = overrides.startSpinner || startSpinner;
+  const consoleRef = overrides.console || console;
+  const processRef = overrides.process || process;
+  const promptControl = options.yes ? NON_INTERACTIVE_PROMPT : createPromptImpl();
+  let t = STRINGS.en;
+
+  // Same exit codes as run(): an interactive run with nothing staged is not a failure.
+  const fail = (reason) => {
+    if (options.yes) {
+      processRef.exitCode = EXIT_CODES[reason];
+    } else if (reason !== 'noChanges') {
+      processRef.exitCode = EXIT_CODES.error;
+    }
+  };
+
+  try {
+    const selectedLang = lang || (options.yes ? 'en' : await selectLanguageImpl(promptControl.question, {
+      consoleRef,
+      showConfigHint,
+    }));
+    t = STRINGS[selectedLang];
+
+    consoleRef.log(`${COLORS.magenta}${t.splitStarting}${COLORS.reset}`);
+    const setup = startSpinnerImpl(t.step2);
+
+    let gitRoot;
+    try {
+      gitRoot = await deps.getGitRoot(cwd);
+    } catch (error) {
+      setup.stop('❌', COLORS.red);
+      consoleRef.error(`${COLORS.red}${t.errNotGit}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    const session = await createSession(gitRoot, t, deps);
+    const { config, provider } = session;
+
+    try {
+      await provider.ensureAvailable(gitRoot);
+    } catch (error) {
+      setup.stop('❌', COLORS.red);
+      consoleRef.error(`${COLORS.red}${getProviderErrorMessage(t, provider.name, 'unavailable')}${COLORS.reset}`);
+      if (provider.name !== 'gemini') {
+        consoleRef.error(`${COLORS.red}${error.detail || error.message}${COLORS.reset}`);
+      }
+      fail('providerFailed');
+      return;
+    }
+
+    if (config.strictBranchCheck) {
+      setup.update(t.step2Sync);
+      const preflight = await checkBranchSync(session, deps);
+      if (preflight.blocked) {
+        setup.stop('❌', COLORS.red);
+        printSyncBlockReason(preflight.sync, t, COLORS, consoleRef);
+        fail('syncBlocked');
+        return;
+      }
+    }
+
+    setup.update(config.autoStage ? t.step2AutoStage : t.step2UsingStaged);
+    const analysisState = await collectAnalysisState(session, deps);
+    const { summary } = analysisState;
+    if (summary.total === 0) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.noChanges}${COLORS.reset}`);
+      fail('noChanges');
+      return;
+    }
+
+    // One file is a valid commit as it is; the run ends without an error and leaves it staged.
+    if (summary.total === 1) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.splitSingleFile}${COLORS.reset}`);
+      return;
+    }
+
+    setup.stop();
+    printConfigWarnings(session.warnings, t, consoleRef);
+    printSummary(summary, t, consoleRef);
+
+    const secrets = getSecretFindings(analysisState);
+    if (secrets.length > 0) {
+      printSecretFindings(secrets, t, consoleRef);
+      if (config.blockOnSecrets) {
+        consoleRef.error(`${COLORS.red}${t.secretsBlocked}${COLORS.reset}`);
+        fail('secretsBlocked');
+        return;
+      }
+    }
+
+    let userContext = options.context;
+    if (userContext === undefined && !options.yes) {
+      consoleRef.log(`${COLORS.cyan}${t.step3}${COLORS.reset}`);
+      userContext = await promptControl.question('> ');
+    }
+
+    const files = analysisState.diffContext.files;
+    const prompt = buildSplitPrompt({
+      t,
+      history: analysisState.history,
+      userContext,
+      diff: analysisState.diffContext.diff,
+      branchContext: analysisState.branchContext,
+      files,
+      validationOptions: session.validationOptions,
+    });
+
+    const planCommits = async () => {
+      consoleRef.log('');
+      const spinner = startSpinnerImpl(t.splitPlanning);
+
+      try {
+        const plan = await generateSplitPlan({
+          cwd: gitRoot,
+          prompt,
+          files,
+          maxAttempts: config.maxAttempts,
+          model: config.model || undefined,
+          timeoutMs: config.generationTimeoutMs,
+          validationOptions: session.validationOptions,
+          provider,
+        });
+        spinner.stop();
+        printSplitPlan(plan.commits, t, consoleRef);
+        return plan;
+      } catch (error) {
+        spinner.stop('❌', COLORS.red);
+        if (error.code === 'invalid-plan') {
+          consoleRef.error(`${COLORS.red}${t.splitPlanUnreadable}${COLORS.reset}`);
+        } else {
+          const errorType = provider.classifyError(error);
+          consoleRef.error(`${COLORS.red}${getProviderErrorMessage(t, provider.name, errorType)}${COLORS.reset}`);
+          const errorDetail = error.detail || error.stderr;
+          if (errorType !== 'auth' && errorDetail) {
+            consoleRef.error(`${COLORS.red}${errorDetail.trim()}${COLORS.reset}`);
+          }
+        }
+        fail('providerFailed');
+        return null;
+      }
+    };
+
+    let plan = await planCommits();
+    if (!plan) {
+      return;
+    }
+
+    if (options.yes && !plan.valid) {
+      consoleRef.log(`${COLORS.yellow}${t.splitPlanInvalid}${COLORS.reset}`);
+      fail('validationFailed');
+      return;
+    }
+
+    while (!options.yes) {
+      const menu = [
+        ['apply', t.splitMenuApply],
+        ['regenerate', t.menuRegen],
+        ['cancel', t.menuCancel],
+      ];
+
+      consoleRef.log(`${COLORS.cyan}${t.menuTitle}${COLORS.reset}`);
+      menu.forEach(([, label], index) => {
+        consoleRef.log(`${index + 1}) ${label}`);
+      });
+
+      const choice = await promptControl.question(t.selection);
+      const action = /^\d+$/.test(choice) && menu[Number(choice) - 1] ? menu[Number(choice) - 1][0] : null;
+
+      if (action === 'apply' && plan.valid) {
+        break;
+      }
+
+      if (action === 'apply') {
+        consoleRef.log(`${COLORS.yellow}${t.splitPlanInvalid}${COLORS.reset}`);
+      } else if (action === 'regenerate') {
+        plan = await planCommits();
+        if (!plan) {
+          return;
+        }
+      } else if (action === 'cancel') {
+        consoleRef.log(`${COLORS.red}${t.cancelled}${COLORS.reset}`);
+        return;
+      } else {
+        consoleRef.log(`${COLORS.red}${t.invalid}${COLORS.reset}`);
+      }
+    }
+
+    const syncBeforeCommit = await checkBranchSync(session, deps);
+    if (syncBeforeCommit.blocked) {
+      consoleRef.log(`${COLORS.red}${t.syncBlockedAtCommit}${COLORS.reset}`);
+      printSyncBlockReason(syncBeforeCommit.sync, t, COLORS, consoleRef);
+      fail('syncBlocked');
+      return;
+    }
+
+    if (await hasStagedChangesChanged(session, analysisState, deps)) {
+      consoleRef.log(`${COLORS.red}${t.stagedChangedAtCommit}${COLORS.reset}`);
+      consoleRef.log(`${COLORS.yellow}${t.stagedChangedHint}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    try {
+      await applySplitPlan(gitRoot, plan.commits, summary.files || [], deps, (index, total) => {
+        consoleRef.log(`${COLORS.cyan}${t.splitCommitting(index + 1, total)}${COLORS.reset}`);
+      });
+    } catch (error) {
+      consoleRef.error(`${COLORS.red}${t.splitFailed}${COLORS.reset}`);
+      consoleRef.error(`${COLORS.red}${error.stderr ? error.stderr.trim() : error.message}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    consoleRef.log(`${COLORS.green}${t.splitDone(plan.commits.length)}${COLORS.reset}`);
+  } catch (error) {
+    consoleRef.error(`${COLORS.red}${t.error}${COLORS.reset} ${error.message}`);
+    processRef.exitCode = EXIT_CODES.error;
+  } finally {
+    promptControl.close();
+  }
+}
+
+module.exports = {
+  applySplitPlan,
+  buildSplitPrompt,
+  generateSplitPlan,
+  parseSplitPlan,
+  runSplit,
+};
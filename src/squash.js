@@ -0,0 +1,168 @@
+const {
+  COLORS,
+  printConfigWarnings,
+  printSecretFindings,
+  printSummary,
+} = require('./ui');
+const {
+  getMergeBase,
+  getSquashedSubjects,
+  isWorktreeClean,
+  listCommits,
+  resolveCommit,
+  restoreIndexState,
+  saveIndexState,
+} = require('./git');
+const {
+  collectAnalysisState,
+  getSecretFindings,
+  hasStagedChangesChanged,
+  resolveSessionDeps,
+} = require('./session');
+const { askUserContext, chooseHistoryMessage, openHistorySession, runHistoryCommand } = require('./history-command');
+
+function resolveSquashDeps(overrides = {}) {
+  return {
+    ...resolveSessionDeps(overrides),
+    getMergeBase: overrides.getMergeBase || getMergeBase,
+    getSquashedSubjects: overrides.getSquashedSubjects || getSquashedSubjects,
+    isWorktreeClean: overrides.isWorktreeClean || isWorktreeClean,
+    listCommits: overrides.listCommits || listCommits,
+    resolveCommit: overrides.resolveCommit || resolveCommit,
+    restoreIndexState: overrides.restoreIndexState || restoreIndexState,
+    saveIndexState: overrides.saveIndexState || saveIndexState,
+  };
+}
+
+async function runSquash({ cwd, lang = null, base = null, options = {}, showConfigHint = false }, overrides = {}) {
+  const deps = resolveSquashDeps(overrides);
+
+  await runHistoryCommand({ lang, options, showConfigHint, startingKey: 'squashStarting' }, overrides, async (context) => {
+    const { t, consoleRef, setup, stopSetup, fail } = context;
+    const session = await openHistorySession(context, deps, cwd);
+    if (!session) {
+      return;
+    }
+
+    const { gitRoot } = session;
+    // The squashed commit holds exactly what the commits did, so nothing else is staged.
+    session.config = { ...session.config, autoStage: false };
+    const { config } = session;
+
+    setup.update(t.squashChecking);
+    if (!(await deps.isWorktreeClean(gitRoot))) {
+      stopSetup(t.squashDirty, 'error');
+      return;
+    }
+
+    const sync = await deps.getBranchPointerStatus(gitRoot, {
+      fetchBeforeSyncCheck: config.fetchBeforeSyncCheck,
+    });
+    const upstream = sync.upstream || null;
+    if (!base && !upstream) {
+      stopSetup(t.squashNoUpstream, 'error');
+      return;
+    }
+
+    const baseText = base || upstream;
+    const head = await deps.resolveCommit(gitRoot, 'HEAD');
+    const baseCommit = head && await deps.resolveCommit(gitRoot, baseText);
+    // Squashing onto the merge base keeps a base that moved on, such as main, out of the diff.
+    const mergeBase = baseCommit && await deps.getMergeBase(gitRoot, baseCommit, head);
+    if (!mergeBase) {
+      stopSetup(t.squashInvalidBase(baseText), 'error');
+      return;
+    }
+
+    const squashRange = `${mergeBase}..${head}`;
+    const commits = await deps.listCommits(gitRoot, squashRange);
+    if (commits.length < 2) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.squashNothing}${COLORS.reset}`);
+      fail('noChanges');
+      return;
+    }
+
+    if (upstream) {
+      const unpushed = new Set((await deps.listCommits(gitRoot, `${upstream}..${head}`)).map((entry) => entry.commit));
+      const pushed = commits.find((entry) => !unpushed.has(entry.commit));
+      if (pushed) {
+        stopSetup(t.squashPushed(pushed.commit.slice(0, 7), upstream), 'syncBlocked');
+        return;
+      }
+    }
+
+    session.diffBase = mergeBase;
+    session.squashedSubjects = await deps.getSquashedSubjects(gitRoot, squashRange);
+
+    setup.update(t.step2UsingStaged);
+    const analysisState = await collectAnalysisState(session, deps);
+    // The history below the squash; the squashed subjects are listed separately.
+    analysisState.history = await deps.getRecentHistory(gitRoot, config.historyCount, mergeBase);
+    const { summary } = analysisState;
+    if (summary.total === 0) {
+      setup.stop('⚠', COLORS.yellow);
+      consoleRef.log(`${COLORS.yellow}${t.squashNoChanges}${COLORS.reset}`);
+      fail('noChanges');
+      return;
+    }
+
+    setup.stop();
+    printConfigWarnings(session.warnings, t, consoleRef);
+    consoleRef.log(`${COLORS.cyan}${t.squashPlanTitle(commits.length)}${COLORS.reset}`);
+    session.squashedSubjects.split('\n').forEach((subject) => {
+      consoleRef.log(`${COLORS.white}  ${subject}${COLORS.reset}`);
+    });
+    printSummary(summary, t, consoleRef);
+
+    const secrets = getSecretFindings(analysisState);
+    if (secrets.length > 0) {
+      printSecretFindings(secrets, t, consoleRef);
+      if (config.blockOnSecrets) {
+        consoleRef.error(`${COLORS.red}${t.secretsBlocked}${COLORS.reset}`);
+        fail('secretsBlocked');
+        return;
+      }
+    }
+
+    const userContext = await askUserContext(context);
+    const chosen = await chooseHistoryMessage(context, session, deps, analysisState, userContext, {
+      primaryLabel: t.squashMenuSquash,
+    });
+    if (!chosen) {
+      return;
+    }
+
+    if (await deps.resolveCommit(gitRoot, 'HEAD') !== head) {
+      consoleRef.log(`${COLORS.red}${t.squashHeadMoved}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    if (await hasStagedChangesChanged(session, analysisState, deps)) {
+      consoleRef.log(`${COLORS.red}${t.stagedChangedAtCommit}${COLORS.reset}`);
+      consoleRef.log(`${COLORS.yellow}${t.stagedChangedHint}${COLORS.reset}`);
+      fail('error');
+      return;
+    }
+
+    // Moving HEAD to the merge base while keeping the index leaves the combined change staged.
+    const saved = await deps.saveIndexState(gitRoot);
+    try {
+      await deps.restoreIndexState(gitRoot, { head: mergeBase, tree: saved.tree });
+      await deps.commitWithMessage(gitRoot, chosen.message);
+    } catch (error) {
+      await deps.restoreIndexState(gitRoot, saved);
+      consoleRef.error(`${COLORS.red}${t.error}${COLORS.reset} ${error.message}`);
+      fail('error');
+      return;
+    }
+
+    consoleRef.log(`${COLORS.green}${t.squashDone(commits.length)}${COLORS.reset}`);
+    consoleRef.log(`${COLORS.cyan}${t.squashReflogHint}${COLORS.reset}`);
+  });
+}
+
+module.exports = {
+  runSquash,
+};
@@ -13,6 +13,31 @@ const COLORS = {
   clearLine: '\x1b[K',
 };
 
+const RULE_MESSAGES = {
+  en: {
+    'title-too-long': (issue) => `Title is longer than ${issue.max} characters.`,
+    'body-line-too-long': (issue) => `Body lines must be wrapped at ${issue.max} characters.`,
+    'forbidden-pattern': (issue) => `Remove the forbidden word or pattern: ${issue.pattern}`,
+    'missing-trailer': (issue) => `Add a trailer line matching: ${issue.pattern}`,
+    'title-case': (issue) => `Title subject must be in ${issue.expected} case.`,
+    'title-trailing-period': (issue) => (issue.expected === 'forbid'
+      ? 'Remove the period at the end of the title.'
+      : 'End the title with a period.'),
+    commitlint: (issue) => `commitlint ${issue.rule}: ${issue.detail}.`,
+  },
+  ko: {
+    'title-too-long': (issue) => `제목이 ${issue.max}자를 넘었습니다.`,
+    'body-line-too-long': (issue) => `본문 줄은 ${issue.max}자에서 줄바꿈해야 합니다.`,
+    'forbidden-pattern': (issue) => `금지된 단어 또는 패턴을 제거해야 합니다: ${issue.pattern}`,
+    'missing-trailer': (issue) => `다음 패턴과 일치하는 트레일러 줄을 추가해야 합니다: ${issue.pattern}`,
+    'title-case': (issue) => `제목은 ${issue.expected} case로 작성해야 합니다.`,
+    'title-trailing-period': (issue) => (issue.expected === 'forbid'
+      ? '제목 끝의 마침표를 제거해야 합니다.'
+      : '제목을 마침표로 끝내야 합니다.'),
+    commitlint: (issue) => `commitlint ${issue.rule} 규칙 위반: ${issue.detail}.`,
+  },
+};
+
 const STRINGS = {
   en: {
     starting: '\n🚀 Starting AI Commit Generator...',
@@ -27,6 +52,15 @@ const STRINGS = {
     filesAdded: 'new files',
     filesModified: 'modified files',
     filesDeleted: 'deleted files',
+    filesRenamed: 'renamed files',
+    filesCopied: 'copied files',
+    filesTypeChanged: 'files changed type',
+    filesModeChanged: 'files changed mode',
+    filesBinary: 'binary files',
+    summaryLines: (insertions, deletions) => `${insertions} insertions(+), ${deletions} deletions(-)`,
+    summaryBinary: 'binary',
+    summaryModeChange: (from, to) => `mode ${from} → ${to}`,
+    summaryMoreFiles: (count) => `... and ${count} more files`,
     step3: '\n📝 Add context (optional, press Enter to skip)',
     step4: 'Generating commit message...',
     analysisDone: 'Message generated in',
@@ -35,6 +69,82 @@ const STRINGS = {
     menuRegen: '🔄 Regenerate',
     menuEdit: '✏️  Edit',
     menuCancel: '❌ Cancel',
+    menuPickCandidate: '🔢 Choose another candidate',
+    menuCombineCandidates: '🧩 Combine candidates in the editor',
+    menuRefine: '💬 Refine with an instruction',
+    menuRefineBack: '↩️  Back to the previous revision',
+    refineInstruction: 'How should the message change? (e.g. shorter, mention the migration, past tense)',
+    refineEmpty: 'No instruction given. The message is unchanged.',
+    refining: 'Refining commit message...',
+    summarizingDiff: (done, total) => `Summarizing the large diff (${done}/${total} parts)...`,
+    splitStarting: '\n🧩 Starting commit split...',
+    splitSingleFile: 'Only one file is staged, so there is nothing to split. Run gcg to commit it.',
+    splitPlanning: 'Planning commits...',
+    splitPlanTitle: (count) => `\n🧩 Proposed commits (${count}):`,
+    splitPlanUnreadable: 'The AI response was not a usable commit plan. Try again.',
+    splitPlanInvalid: 'Some commit messages failed validation. Regenerate the plan or cancel.',
+    splitMenuApply: '✅ Apply the plan',
+    splitCommitting: (index, total) => `Committing ${index}/${total}...`,
+    splitDone: (count) => `\n🎉 Created ${count} commits.`,
+    splitFailed: '❌ Splitting stopped. HEAD and the staged changes were restored to where they were.',
+    pickerTitle: '\n📂 Unstaged changes:',
+    pickerUntracked: 'untracked',
+    pickerHelp: 'Toggle with numbers such as 1, 2.1, or 1-3. a: all, n: none, v <number>: view, Enter: stage, q: skip',
+    pickerPrompt: 'Pick > ',
+    pickerNothing: 'No unstaged changes to pick from.',
+    pickerInvalid: 'Invalid selection. Use numbers such as 1, 2.1, or 1-3.',
+    pickerNoTextDiff: '(no text diff)',
+    pickerStaged: (count) => `Staged the selected changes in ${count} files.`,
+    pickerSkipped: 'Nothing new was staged.',
+    pickerAutoStageSkipped: 'autoStage is skipped because you picked the changes to stage.',
+    amendStarting: '\n✏️  Starting amend of the last commit...',
+    amendNoCommit: 'There is no commit to amend yet.',
+    amendNoChanges: 'The amended commit would not change anything from its parent, so there is nothing to describe.',
+    amendCurrentMessage: '\n📜 Current message of the last commit:',
+    amendPushed: (upstream) => `❌ The last commit is already on ${upstream}. Amending it would rewrite published history.`,
+    amendPushedHint: 'Run gcg amend --force to amend it anyway, then push with --force-with-lease.',
+    amendForced: (upstream) => `⚠ The last commit is already on ${upstream}. Amending anyway because of --force.`,
+    amendHeadMoved: '❌ HEAD moved after the message was generated. Amend blocked.',
+    amendMenuAmend: '✅ Amend the commit',
+    amendDone: '\n🎉 Amended the last commit!',
+    amendDoneEdited: '\n🎉 Amended the last commit with the edited message!',
+    rewordStarting: '\n📝 Starting reword of unpushed commits...',
+    rewordChecking: 'Checking the commits to reword...',
+    rewordDirty: '❌ The working tree has uncommitted changes. Commit or stash them before rewording.',
+    rewordNoUpstream: 'No upstream branch is configured. Pass the commits to reword, such as gcg reword main..HEAD.',
+    rewordInvalidRange: (range) => `❌ ${range} is not a usable range. Use <base>, <base>.., or <base>..HEAD.`,
+    rewordNotAtHead: (range) => `❌ ${range} does not end at HEAD. Only the newest commits of the branch can be reworded.`,
+    rewordNothing: 'There are no commits in the range to reword.',
+    rewordMerge: (commit) => `❌ ${commit} is a merge commit. Ranges with merge commits cannot be reworded.`,
+    rewordPushed: (commit, upstream) => `❌ ${commit} is already on ${upstream}. Only unpushed commits can be reworded.`,
+    rewordPlanTitle: (count) => `\n📝 Commits to reword (${count}):`,
+    rewordCommitTitle: (index, total, commit, subject) => `\n[${index}/${total}] ${commit} ${subject}`,
+    rewordMenuUse: '✅ Use this message',
+    rewordMenuKeep: '↩️  Keep the original message',
+    rewordUnchanged: 'Every commit keeps its original message. Nothing was rewritten.',
+    rewordHeadMoved: '❌ HEAD moved while the messages were being written. Nothing was rewritten.',
+    rewordDone: (count) => `\n🎉 Reworded ${count} commits.`,
+    rewordReflogHint: 'The previous commits are still in git reflog if you need them.',
+    squashStarting: '\n🧺 Starting squash of unpushed commits...',
+    squashChecking: 'Checking the commits to squash...',
+    squashDirty: '❌ The working tree has uncommitted changes. Commit or stash them before squashing.',
+    squashNoUpstream: 'No upstream branch is configured. Pass the base to squash onto, such as gcg squash main.',
+    squashInvalidBase: (base) => `❌ ${base} is not a commit that shares history with HEAD.`,
+    squashNothing: 'There are fewer than two commits after the base, so there is nothing to squash.',
+    squashPushed: (commit, upstream) => `❌ ${commit} is already on ${upstream}. Only unpushed commits can be squashed.`,
+    squashPlanTitle: (count) => `\n🧺 Commits to squash (${count}):`,
+    squashNoChanges: 'The commits cancel each other out, so the squashed commit would be empty.',
+    squashMenuSquash: '✅ Squash with this message',
+    squashHeadMoved: '❌ HEAD moved after the message was generated. Nothing was squashed.',
+    squashDone: (count) => `\n🎉 Squashed ${count} commits into one.`,
+    squashReflogHint: 'The previous commits are still in git reflog if you need them.',
+    refineRevision: (number) => `Revision ${number}`,
+    candidatesTitle: 'Candidates:',
+    candidateNeedsFix: 'needs fixes',
+    candidatePrompt: 'Candidate number: ',
+    candidateInvalidChoice: (max) => `Choose a number from 1 to ${max}.`,
+    candidatesPartialFailure: (failed, total) => `${failed} of ${total} candidates could not be generated.`,
+    combineInstructions: '# gcg: Keep or merge the lines you want from the candidates above, then save.\n# gcg: Lines starting with "# gcg:" are removed.',
     selection: 'Selection [1-4] > ',
     success: '\n🎉 Successfully committed!',
     regenerating: '\n🔄 Regenerating...',
@@ -49,6 +159,10 @@ const STRINGS = {
     errNotInstalled: '❌ Gemini CLI is not installed. Please install it using: npm install -g @google/gemini-cli',
     errNotAuthenticated: '🔑 Gemini CLI authentication required. Please run the "gemini" command in your terminal, complete login, and then try again.',
     errGeminiFailed: '❌ Gemini CLI failed to generate a commit message.',
+    errProviderUnavailable: (name) => `❌ AI provider "${name}" is not available. Check the provider settings in .gcgrc.json.`,
+    errProviderAuth: (name) => `🔑 AI provider "${name}" rejected the credentials. Check the API key environment variable configured in .gcgrc.json.`,
+    errProviderFailed: (name) => `❌ AI provider "${name}" failed to generate a commit message.`,
+    errGenerationTimeout: (name) => `⏱ AI provider "${name}" timed out. Increase generationTimeoutMs in .gcgrc.json or try again.`,
     errNotGit: '📁 This is not a git repository. Please run this command inside a git project.',
     syncOk: '🔒 Branch safety check passed.',
     syncAhead: '📌 Local branch is ahead of remote by',
@@ -74,8 +188,34 @@ const STRINGS = {
     configNotObject: (filePath) => `${filePath} must contain a JSON object. Falling back to default config.`,
     configUnknownKey: (key) => `Ignoring unknown config key: ${key}`,
     configInvalidValue: (key, fallback) => `Invalid value for ${key}. Using ${fallback}.`,
+    configApiKeyEnvPrefix: (key) => `Ignoring ${key}: the variable name must start with GCG_.`,
     configHistoryClamp: (min) => `historyCount must be at least ${min}. Falling back to ${min}.`,
-    validationRetrying: 'The first AI response failed minimal validation, so it was regenerated once automatically.',
+    configInvalidRule: (key) => `Ignoring invalid rule ${key}. Rules need a level of "error", "warning", or "off" and a valid value.`,
+    configInvalidSecretPattern: (pattern) => `Ignoring invalid secretPatterns entry: ${pattern}`,
+    secretsFound: (count) => `⚠ Found ${count} possible secret(s) in the staged changes. They were masked before the diff was sent to the AI.`,
+    secretsBlocked: '❌ Commit blocked: the staged changes contain possible secrets. Unstage them, or set blockOnSecrets to false in .gcgrc.json.',
+    hookSecretsFound: '# gcg: possible secrets were masked before generation. Check these lines before committing:',
+    diffOmitted: 'ℹ Some patches were shortened to fit the prompt. The AI still sees line counts for every file:',
+    diffOmissionReason: {
+      trimmed: 'partly included',
+      omitted: 'not included',
+    },
+    commitlintLoadFailed: (filePath) => `Could not load commitlint config ${filePath}. Its rules are not checked.`,
+    commitlintYamlUnsupported: (filePath) => `commitlint config ${filePath} is YAML, which gcg cannot read. Its rules are not checked. Use .commitlintrc.json or commitlint.config.js instead.`,
+    commitlintTypeScriptUnsupported: (filePath) => `This Node.js version cannot load the TypeScript commitlint config ${filePath}. Its rules are not checked. Use commitlint.config.js or Node.js 22.18 or later.`,
+    commitlintPresetSkipped: (preset) => `Could not load commitlint preset ${preset}. Its rules are not checked.`,
+    commitlintRulesSkipped: (names) => `These commitlint rules are not checked by gcg: ${names}`,
+    hookValidationFailed: '# gcg: the generated message failed validation. Fix it before saving.',
+    hookOtherCandidates: '# gcg: other generated messages, to copy from if you prefer one:',
+    serverNotAnalyzed: 'Nothing has been analyzed yet. Call analyze or generate first.',
+    serverNoMessage: 'No message to commit. Call generate or pass a message.',
+    promptTemplateUnreadable: (filePath) => `Could not read prompt template ${filePath}. Using the built-in prompt.`,
+    promptTemplateEmpty: (filePath) => `Prompt template ${filePath} is empty. Using the built-in prompt.`,
+    promptTemplateUnknownPlaceholder: (placeholder, filePath) => `Unknown placeholder ${placeholder} in ${filePath}. Using the built-in prompt.`,
+    ignoreFileUnreadable: (filePath) => `Could not read ${filePath}. Only the ignore setting in .gcgrc.json is used.`,
+    configMinClamp: (key, min) => `${key} must be at least ${min}. Falling back to ${min}.`,
+    configRangeValue: (key, min, max, fallback) => `${key} must be an integer from ${min} to ${max}. Using ${fallback}.`,
+    validationRetrying: 'The first AI response failed minimal validation, so it was regenerated automatically.',
     validationFailed: 'The generated message is still not usable as a commit message.',
     validationNeedsAction: 'Commit is disabled until you regenerate or edit the message.',
     validationWarnings: 'Validation warnings:',
@@ -84,9 +224,15 @@ const STRINGS = {
       'missing-title': 'Missing title line.',
       'code-fence': 'Remove markdown code fences from the output.',
       'meta-prefix': 'Remove AI explanatory prefixes like "Here is your commit message:".',
+      'conventional-format': 'Title must follow Conventional Commits: type(scope)!: subject.',
+      'conventional-type': (issue) => `Type "${issue.type}" is not allowed. Use one of: ${issue.allowed.join(', ')}.`,
+      'conventional-scope': (issue) => `Scope "${issue.scope}" is not allowed. Use one of: ${issue.allowed.join(', ')}.`,
+      'conventional-scope-empty': 'Remove the empty scope parentheses or fill in a scope.',
+      'conventional-subject-empty': 'Add a subject after the Conventional Commits type.',
+      ...RULE_MESSAGES.en,
     },
     validationWarning: {
-      'title-too-long': 'Title is longer than 50 characters.',
+      ...RULE_MESSAGES.en,
     },
   },
   ko: {
@@ -102,6 +248,15 @@ const STRINGS = {
     filesAdded: '개의 새 파일',
     filesModified: '개의 수정된 파일',
     filesDeleted: '개의 삭제된 파일',
+    filesRenamed: '개의 이름이 바뀐 파일',
+    filesCopied: '개의 복사된 파일',
+    filesTypeChanged: '개의 유형이 바뀐 파일',
+    filesModeChanged: '개의 권한이 바뀐 파일',
+    filesBinary: '개의 바이너리 파일',
+    summaryLines: (insertions, deletions) => `${insertions}줄 추가(+), ${deletions}줄 삭제(-)`,
+    summaryBinary: '바이너리',
+    summaryModeChange: (from, to) => `권한 ${from} → ${to}`,
+    summaryMoreFiles: (count) => `... 외 ${count}개 파일`,
     step3: '\n📝 추가 설명 입력 (선택, 건너뛰려면 Enter)',
     step4: '커밋 메시지 생성 중...',
     analysisDone: '메시지 생성 완료:',
@@ -110,6 +265,82 @@ const STRINGS = {
     menuRegen: '🔄 다시 생성',
     menuEdit: '✏️  수정하기',
     menuCancel: '❌ 취소',
+    menuPickCandidate: '🔢 다른 후보 선택',
+    menuCombineCandidates: '🧩 에디터에서 후보 합치기',
+    menuRefine: '💬 지시사항으로 다듬기',
+    menuRefineBack: '↩️  이전 버전으로 돌아가기',
+    refineInstruction: '메시지를 어떻게 바꿀까요? (예: 더 짧게, 마이그레이션 언급, 과거형으로)',
+    refineEmpty: '지시사항이 없어 메시지를 그대로 둡니다.',
+    refining: '커밋 메시지를 다듬는 중...',
+    summarizingDiff: (done, total) => `큰 diff를 요약하는 중 (${done}/${total})...`,
+    splitStarting: '\n🧩 커밋 분할을 시작합니다...',
+    splitSingleFile: '스테이징된 파일이 하나뿐이라 나눌 것이 없습니다. gcg로 커밋하세요.',
+    splitPlanning: '커밋 계획 생성 중...',
+    splitPlanTitle: (count) => `\n🧩 제안된 커밋 (${count}개):`,
+    splitPlanUnreadable: 'AI 응답을 커밋 계획으로 사용할 수 없습니다. 다시 시도해주세요.',
+    splitPlanInvalid: '일부 커밋 메시지가 검증에 실패했습니다. 계획을 다시 생성하거나 취소해주세요.',
+    splitMenuApply: '✅ 계획대로 커밋하기',
+    splitCommitting: (index, total) => `${total}개 중 ${index}번째 커밋 중...`,
+    splitDone: (count) => `\n🎉 ${count}개의 커밋을 만들었습니다.`,
+    splitFailed: '❌ 분할을 중단했습니다. HEAD와 스테이징된 변경 사항을 원래대로 되돌렸습니다.',
+    pickerTitle: '\n📂 스테이징되지 않은 변경 사항:',
+    pickerUntracked: '추적 안 됨',
+    pickerHelp: '1, 2.1, 1-3처럼 번호로 선택을 바꿉니다. a: 전체, n: 해제, v <번호>: 보기, Enter: 스테이징, q: 건너뛰기',
+    pickerPrompt: '선택 > ',
+    pickerNothing: '선택할 수 있는 스테이징되지 않은 변경 사항이 없습니다.',
+    pickerInvalid: '잘못된 선택입니다. 1, 2.1, 1-3처럼 번호를 입력해주세요.',
+    pickerNoTextDiff: '(텍스트 diff 없음)',
+    pickerStaged: (count) => `${count}개 파일의 선택한 변경 사항을 스테이징했습니다.`,
+    pickerSkipped: '새로 스테이징한 변경 사항이 없습니다.',
+    pickerAutoStageSkipped: '스테이징할 변경 사항을 직접 골랐으므로 autoStage는 적용하지 않습니다.',
+    amendStarting: '\n✏️  마지막 커밋 수정을 시작합니다...',
+    amendNoCommit: '아직 수정할 커밋이 없습니다.',
+    amendNoChanges: '수정한 커밋이 부모 커밋과 달라지는 내용이 없어 설명할 변경 사항이 없습니다.',
+    amendCurrentMessage: '\n📜 마지막 커밋의 현재 메시지:',
+    amendPushed: (upstream) => `❌ 마지막 커밋이 이미 ${upstream}에 있습니다. 수정하면 공개된 히스토리를 다시 쓰게 됩니다.`,
+    amendPushedHint: '그래도 수정하려면 gcg amend --force를 실행한 뒤 --force-with-lease로 push하세요.',
+    amendForced: (upstream) => `⚠ 마지막 커밋이 이미 ${upstream}에 있지만 --force로 수정합니다.`,
+    amendHeadMoved: '❌ 메시지를 생성한 뒤 HEAD가 바뀌었습니다. 커밋 수정이 차단되었습니다.',
+    amendMenuAmend: '✅ 커밋 수정하기',
+    amendDone: '\n🎉 마지막 커밋을 수정했습니다!',
+    amendDoneEdited: '\n🎉 편집한 메시지로 마지막 커밋을 수정했습니다!',
+    rewordStarting: '\n📝 push하지 않은 커밋의 메시지 다시 쓰기를 시작합니다...',
+    rewordChecking: '메시지를 다시 쓸 커밋 확인 중...',
+    rewordDirty: '❌ 커밋하지 않은 변경 사항이 있습니다. 커밋하거나 stash한 뒤 다시 시도해주세요.',
+    rewordNoUpstream: 'upstream 브랜치가 설정되어 있지 않습니다. gcg reword main..HEAD처럼 다시 쓸 커밋을 지정해주세요.',
+    rewordInvalidRange: (range) => `❌ ${range}는 사용할 수 없는 범위입니다. <base>, <base>.., <base>..HEAD 형식을 사용해주세요.`,
+    rewordNotAtHead: (range) => `❌ ${range}가 HEAD에서 끝나지 않습니다. 브랜치의 가장 최근 커밋들만 다시 쓸 수 있습니다.`,
+    rewordNothing: '범위 안에 다시 쓸 커밋이 없습니다.',
+    rewordMerge: (commit) => `❌ ${commit}는 머지 커밋입니다. 머지 커밋이 포함된 범위는 다시 쓸 수 없습니다.`,
+    rewordPushed: (commit, upstream) => `❌ ${commit}는 이미 ${upstream}에 있습니다. push하지 않은 커밋만 다시 쓸 수 있습니다.`,
+    rewordPlanTitle: (count) => `\n📝 메시지를 다시 쓸 커밋 (${count}개):`,
+    rewordCommitTitle: (index, total, commit, subject) => `\n[${index}/${total}] ${commit} ${subject}`,
+    rewordMenuUse: '✅ 이 메시지 사용하기',
+    rewordMenuKeep: '↩️  원래 메시지 유지하기',
+    rewordUnchanged: '모든 커밋이 원래 메시지를 유지하므로 다시 쓴 커밋이 없습니다.',
+    rewordHeadMoved: '❌ 메시지를 만드는 동안 HEAD가 바뀌었습니다. 아무 커밋도 다시 쓰지 않았습니다.',
+    rewordDone: (count) => `\n🎉 ${count}개 커밋의 메시지를 다시 썼습니다.`,
+    rewordReflogHint: '이전 커밋은 필요하면 git reflog에서 찾을 수 있습니다.',
+    squashStarting: '\n🧺 push하지 않은 커밋 합치기를 시작합니다...',
+    squashChecking: '합칠 커밋 확인 중...',
+    squashDirty: '❌ 커밋하지 않은 변경 사항이 있습니다. 커밋하거나 stash한 뒤 다시 시도해주세요.',
+    squashNoUpstream: 'upstream 브랜치가 설정되어 있지 않습니다. gcg squash main처럼 합칠 기준을 지정해주세요.',
+    squashInvalidBase: (base) => `❌ ${base}는 HEAD와 이력을 공유하는 커밋이 아닙니다.`,
+    squashNothing: '기준 이후의 커밋이 두 개보다 적어 합칠 커밋이 없습니다.',
+    squashPushed: (commit, upstream) => `❌ ${commit}는 이미 ${upstream}에 있습니다. push하지 않은 커밋만 합칠 수 있습니다.`,
+    squashPlanTitle: (count) => `\n🧺 합칠 커밋 (${count}개):`,
+    squashNoChanges: '커밋들의 변경 사항이 서로 상쇄되어 합친 커밋이 비게 됩니다.',
+    squashMenuSquash: '✅ 이 메시지로 합치기',
+    squashHeadMoved: '❌ 메시지를 만든 뒤 HEAD가 바뀌었습니다. 아무 커밋도 합치지 않았습니다.',
+    squashDone: (count) => `\n🎉 ${count}개 커밋을 하나로 합쳤습니다.`,
+    squashReflogHint: '이전 커밋은 필요하면 git reflog에서 찾을 수 있습니다.',
+    refineRevision: (number) => `버전 ${number}`,
+    candidatesTitle: '후보 메시지:',
+    candidateNeedsFix: '수정 필요',
+    candidatePrompt: '후보 번호: ',
+    candidateInvalidChoice: (max) => `1부터 ${max} 사이의 번호를 선택해주세요.`,
+    candidatesPartialFailure: (failed, total) => `후보 ${total}개 중 ${failed}개를 생성하지 못했습니다.`,
+    combineInstructions: '# gcg: 위 후보에서 원하는 줄을 남기거나 합친 뒤 저장해주세요.\n# gcg: "# gcg:"로 시작하는 줄은 제거됩니다.',
     selection: '선택 [1-4] > ',
     success: '\n🎉 성공적으로 커밋되었습니다!',
     regenerating: '\n🔄 다시 생성 중...',
@@ -124,6 +355,10 @@ const STRINGS = {
     errNotInstalled: '❌ Gemini CLI가 설치되어 있지 않습니다. 다음 명령어로 설치해주세요: npm install -g @google/gemini-cli',
     errNotAuthenticated: '🔑 Gemini CLI 인증이 필요합니다. 터미널에서 "gemini" 명령어를 실행해 로그인한 뒤 다시 시도해주세요.',
     errGeminiFailed: '❌ Gemini CLI가 커밋 메시지를 생성하지 못했습니다.',
+    errProviderUnavailable: (name) => `❌ AI 제공자 "${name}"를 사용할 수 없습니다. .gcgrc.json의 제공자 설정을 확인해주세요.`,
+    errProviderAuth: (name) => `🔑 AI 제공자 "${name}"가 인증 정보를 거부했습니다. .gcgrc.json에 설정한 API 키 환경 변수를 확인해주세요.`,
+    errProviderFailed: (name) => `❌ AI 제공자 "${name}"가 커밋 메시지를 생성하지 못했습니다.`,
+    errGenerationTimeout: (name) => `⏱ AI 제공자 "${name}"의 응답 시간이 초과되었습니다. .gcgrc.json의 generationTimeoutMs를 늘리거나 다시 시도해주세요.`,
     errNotGit: '📁 이곳은 Git 저장소가 아닙니다. Git 프로젝트 내부에서 실행해주세요.',
     syncOk: '🔒 브랜치 안전성 확인을 통과했습니다.',
     syncAhead: '📌 로컬 브랜치가 원격보다',
@@ -149,8 +384,34 @@ const STRINGS = {
     configNotObject: (filePath) => `${filePath}는 JSON 객체여야 합니다. 기본 설정으로 진행합니다.`,
     configUnknownKey: (key) => `알 수 없는 설정 키를 무시합니다: ${key}`,
     configInvalidValue: (key, fallback) => `${key} 값이 올바르지 않습니다. ${fallback} 값을 사용합니다.`,
+    configApiKeyEnvPrefix: (key) => `${key} 설정을 무시합니다: 변수 이름은 GCG_로 시작해야 합니다.`,
     configHistoryClamp: (min) => `historyCount는 최소 ${min}여야 합니다. ${min}으로 보정하여 사용합니다.`,
-    validationRetrying: '첫 번째 AI 응답이 최소 검증에 실패하여 한 번 자동 재생성했습니다.',
+    configInvalidRule: (key) => `잘못된 규칙 ${key}를 무시합니다. 규칙에는 "error", "warning", "off" 중 하나의 level과 올바른 value가 필요합니다.`,
+    configInvalidSecretPattern: (pattern) => `잘못된 secretPatterns 항목을 무시합니다: ${pattern}`,
+    secretsFound: (count) => `⚠ 스테이징된 변경 사항에서 비밀 값으로 보이는 항목 ${count}개를 찾았습니다. AI에 보내기 전에 가렸습니다.`,
+    secretsBlocked: '❌ 스테이징된 변경 사항에 비밀 값으로 보이는 항목이 있어 커밋을 차단합니다. 스테이징을 해제하거나 .gcgrc.json에서 blockOnSecrets를 false로 설정해주세요.',
+    hookSecretsFound: '# gcg: 생성 전에 비밀 값으로 보이는 항목을 가렸습니다. 커밋하기 전에 다음 줄을 확인해주세요:',
+    diffOmitted: 'ℹ 프롬프트 크기에 맞추기 위해 일부 패치를 줄였습니다. AI는 모든 파일의 변경 줄 수는 볼 수 있습니다:',
+    diffOmissionReason: {
+      trimmed: '일부 포함',
+      omitted: '포함 안 됨',
+    },
+    commitlintLoadFailed: (filePath) => `commitlint 설정 ${filePath}을 불러오지 못했습니다. 해당 규칙은 검사하지 않습니다.`,
+    commitlintYamlUnsupported: (filePath) => `commitlint 설정 ${filePath}은 gcg가 읽을 수 없는 YAML 형식입니다. 해당 규칙은 검사하지 않습니다. .commitlintrc.json이나 commitlint.config.js를 사용해주세요.`,
+    commitlintTypeScriptUnsupported: (filePath) => `현재 Node.js 버전에서는 TypeScript commitlint 설정 ${filePath}을 불러올 수 없습니다. 해당 규칙은 검사하지 않습니다. commitlint.config.js나 Node.js 22.18 이상을 사용해주세요.`,
+    commitlintPresetSkipped: (preset) => `commitlint 프리셋 ${preset}을 불러오지 못했습니다. 해당 규칙은 검사하지 않습니다.`,
+    commitlintRulesSkipped: (names) => `gcg가 검사하지 않는 commitlint 규칙: ${names}`,
+    hookValidationFailed: '# gcg: 생성된 메시지가 검증을 통과하지 못했습니다. 저장하기 전에 수정해주세요.',
+    hookOtherCandidates: '# gcg: 함께 생성된 다른 메시지입니다. 더 나은 것이 있으면 복사해 쓰세요:',
+    serverNotAnalyzed: '아직 분석된 변경 사항이 없습니다. 먼저 analyze 또는 generate를 호출해주세요.',
+    serverNoMessage: '커밋할 메시지가 없습니다. generate를 호출하거나 message를 전달해주세요.',
+    promptTemplateUnreadable: (filePath) => `프롬프트 템플릿 ${filePath}을 읽지 못했습니다. 기본 프롬프트를 사용합니다.`,
+    promptTemplateEmpty: (filePath) => `프롬프트 템플릿 ${filePath}이 비어 있습니다. 기본 프롬프트를 사용합니다.`,
+    promptTemplateUnknownPlaceholder: (placeholder, filePath) => `${filePath}에 알 수 없는 플레이스홀더 ${placeholder}가 있습니다. 기본 프롬프트를 사용합니다.`,
+    ignoreFileUnreadable: (filePath) => `${filePath}을 읽지 못했습니다. .gcgrc.json의 ignore 설정만 사용합니다.`,
+    configMinClamp: (key, min) => `${key}는 최소 ${min}여야 합니다. ${min}으로 보정하여 사용합니다.`,
+    configRangeValue: (key, min, max, fallback) => `${key}는 ${min}부터 ${max} 사이의 정수여야 합니다. ${fallback} 값을 사용합니다.`,
+    validationRetrying: '첫 번째 AI 응답이 최소 검증에 실패하여 자동으로 재생성했습니다.',
     validationFailed: '생성된 메시지가 여전히 커밋 메시지로 사용하기 어렵습니다.',
     validationNeedsAction: '메시지를 다시 생성하거나 직접 수정할 때까지 커밋할 수 없습니다.',
     validationWarnings: '검증 경고:',
@@ -159,9 +420,15 @@ const STRINGS = {
       'missing-title': '제목 줄이 없습니다.',
       'code-fence': '출력에 포함된 마크다운 코드 펜스를 제거해야 합니다.',
       'meta-prefix': '"다음은 커밋 메시지입니다" 같은 설명 문구를 제거해야 합니다.',
+      'conventional-format': '제목은 Conventional Commits 형식(type(scope)!: subject)을 따라야 합니다.',
+      'conventional-type': (issue) => `"${issue.type}" 타입은 허용되지 않습니다. 다음 중 하나를 사용하세요: ${issue.allowed.join(', ')}.`,
+      'conventional-scope': (issue) => `"${issue.scope}" 스코프는 허용되지 않습니다. 다음 중 하나를 사용하세요: ${issue.allowed.join(', ')}.`,
+      'conventional-scope-empty': '비어 있는 스코프 괄호를 제거하거나 스코프를 채워주세요.',
+      'conventional-subject-empty': 'Conventional Commits 타입 뒤에 제목을 입력해야 합니다.',
+      ...RULE_MESSAGES.ko,
     },
     validationWarning: {
-      'title-too-long': '제목이 50자를 넘었습니다.',
+      ...RULE_MESSAGES.ko,
     },
   },
 };
@@ -180,14 +447,21 @@ function createPrompt() {
   };
 }
 
-function startSpinner(message) {
+// Stands in for createPrompt when a run must not wait for input, as with --yes.
+const NON_INTERACTIVE_PROMPT = {
+  question: async () => '',
+  close: () => {},
+};
+
+function startSpinner(message, stream = process.stdout) {
   const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   let frameIndex = 0;
   let currentMessage = message;
-  const interval = setInterval(() => {
-    process.stdout.write(`\r${COLORS.cyan}${frames[frameIndex]} ${currentMessage}${COLORS.reset}${COLORS.clearLine}`);
+  // Frames only make sense on a terminal; piped output gets the final line alone.
+  const interval = stream.isTTY ? setInterval(() => {
+    stream.write(`\r${COLORS.cyan}${frames[frameIndex]} ${currentMessage}${COLORS.reset}${COLORS.clearLine}`);
     frameIndex = (frameIndex + 1) % frames.length;
-  }, 80);
+  }, 80) : null;
 
   return {
     update(newMessage) {
@@ -195,7 +469,7 @@ function startSpinner(message) {
     },
     stop(symbol = '✔', color = COLORS.green) {
       clearInterval(interval);
-      process.stdout.write(`\r${color}${symbol} ${currentMessage}${COLORS.reset}${COLORS.clearLine}\n`);
+      stream.write(`\r${color}${symbol} ${currentMessage}${COLORS.reset}${COLORS.clearLine}\n`);
     },
   };
 }
@@ -230,23 +504,56 @@ async function selectLanguage(question, options = {}) {
 
 function printHelp(consoleRef = console) {
   consoleRef.log('Usage');
-  consoleRef.log('  gcg');
+  consoleRef.log('  gcg [options]');
   consoleRef.log('  gcg config');
+  consoleRef.log('  gcg split [--yes] [--context <text>] [--lang <en|ko>]');
+  consoleRef.log('  gcg amend [--yes] [--force] [--context <text>] [--lang <en|ko>]');
+  consoleRef.log('  gcg reword [<range>] [--yes] [--context <text>] [--lang <en|ko>]');
+  consoleRef.log('  gcg squash [<base>] [--yes] [--context <text>] [--lang <en|ko>]');
+  consoleRef.log('  gcg hook install|uninstall');
+  consoleRef.log('  gcg serve --stdio [--lang <en|ko>]');
   consoleRef.log('');
   consoleRef.log('What it does');
   consoleRef.log('  gcg writes a commit message with Gemini');
   consoleRef.log('');
   consoleRef.log('Commands');
   consoleRef.log('  config   open settings');
+  consoleRef.log('  split    split the staged changes into several commits by file, never by hunk');
+  consoleRef.log('  amend    rewrite the last commit message for its amended content');
+  consoleRef.log('  reword   rewrite the messages of unpushed commits');
+  consoleRef.log('  squash   squash unpushed commits into one with a summary message');
+  consoleRef.log('  hook     install or remove the prepare-commit-msg hook');
+  consoleRef.log('  serve    answer JSON-RPC requests from an editor on stdin/stdout');
   consoleRef.log('');
   consoleRef.log('Options');
-  consoleRef.log('  -h, --help       show help');
-  consoleRef.log('  -v, --version    show version');
+  consoleRef.log('  -y, --yes              commit without asking when the message is valid');
+  consoleRef.log('  --print-only           print the message to stdout without committing');
+  consoleRef.log('  --json                 print one JSON result without colors or prompts');
+  consoleRef.log('  --context <text>       extra context for the AI instead of asking');
+  consoleRef.log('  --lang <en|ko>         message language for this run');
+  consoleRef.log('  --pick                 choose unstaged files and hunks to stage first');
+  consoleRef.log('  -h, --help             show help');
+  consoleRef.log('  -v, --version          show version');
   consoleRef.log('');
   consoleRef.log('Tip');
   consoleRef.log('  Save a default language with `gcg config`');
 }
 
+const HOOK_RESULT_MESSAGES = {
+  installed: (result) => `Installed prepare-commit-msg hook: ${result.hookPath}`,
+  updated: (result) => `Updated prepare-commit-msg hook: ${result.hookPath}`,
+  chained: (result) => `Installed prepare-commit-msg hook: ${result.hookPath}\nThe existing hook was moved to ${result.chainedPath} and still runs first.`,
+  conflict: (result) => `Could not install: ${result.hookPath} is not a gcg hook and ${result.chainedPath} already exists.`,
+  removed: (result) => `Removed prepare-commit-msg hook: ${result.hookPath}`,
+  restored: (result) => `Removed prepare-commit-msg hook and restored the previous hook: ${result.hookPath}`,
+  'not-installed': (result) => `No prepare-commit-msg hook found at ${result.hookPath}`,
+  foreign: (result) => `Left ${result.hookPath} untouched because it was not installed by gcg.`,
+};
+
+function printHookResult(result, consoleRef = console) {
+  consoleRef.log(HOOK_RESULT_MESSAGES[result.status](result));
+}
+
 async function runConfigMenu({ question, onSetLanguage, onResetLanguage, consoleRef = console }) {
   while (true) {
     consoleRef.log('Settings');
@@ -305,70 +612,300 @@ async function runConfigMenu({ question, onSetLanguage, onResetLanguage, console
   }
 }
 
-function printConfigWarnings(warnings, t) {
+function getSyncBlockMessage(sync, t) {
+  if (sync.status === 'behind') {
+    return t.syncBehind;
+  }
+
+  return sync.status === 'diverged' ? t.syncDiverged : t.syncDetached;
+}
+
+function getProviderErrorMessage(t, providerName, errorType) {
+  if (errorType === 'timeout') {
+    return t.errGenerationTimeout(providerName);
+  }
+
+  if (providerName === 'gemini') {
+    if (errorType === 'unavailable') {
+      return t.errNotInstalled;
+    }
+
+    return errorType === 'auth' ? t.errNotAuthenticated : t.errGeminiFailed;
+  }
+
+  if (errorType === 'unavailable') {
+    return t.errProviderUnavailable(providerName);
+  }
+
+  return errorType === 'auth' ? t.errProviderAuth(providerName) : t.errProviderFailed(providerName);
+}
+
+function printConfigWarnings(warnings, t, consoleRef = console) {
   if (!warnings || warnings.length === 0) {
     return;
   }
 
-  console.log(`${COLORS.yellow}${t.configWarningsTitle}${COLORS.reset}`);
+  consoleRef.log(`${COLORS.yellow}${t.configWarningsTitle}${COLORS.reset}`);
   for (const warning of warnings) {
-    console.log(`${COLORS.yellow}- ${warning}${COLORS.reset}`);
+    consoleRef.log(`${COLORS.yellow}- ${warning}${COLORS.reset}`);
   }
 }
 
-function printSummary(summary, t) {
-  console.log(`${COLORS.magenta}${t.summary}${COLORS.reset}`);
-  if (summary.added > 0) {
-    console.log(`  ${COLORS.green}+ ${summary.added} ${t.filesAdded}${COLORS.reset}`);
+// Longer staged sets show the first rows of the file table and a count of the rest.
+const SUMMARY_FILE_LIMIT = 20;
+
+const SUMMARY_STATUS_COLORS = {
+  A: COLORS.green,
+  D: COLORS.red,
+  R: COLORS.cyan,
+  C: COLORS.cyan,
+};
+
+function formatSummaryPath(entry) {
+  return entry.oldFile ? `${entry.oldFile} → ${entry.file}` : entry.file;
+}
+
+function formatSummaryRow(entry, pathWidth, t) {
+  const color = SUMMARY_STATUS_COLORS[entry.status] || COLORS.yellow;
+  const stats = [
+    entry.binary ? t.summaryBinary : `+${entry.added} -${entry.deleted}`,
+    entry.modeChange ? t.summaryModeChange(entry.modeChange.from, entry.modeChange.to) : null,
+  ].filter(Boolean).join('  ');
+
+  return `  ${color}${entry.status}${COLORS.reset}  ${formatSummaryPath(entry).padEnd(pathWidth)}  ${stats}`;
+}
+
+function printSummary(summary, t, consoleRef = console) {
+  consoleRef.log(`${COLORS.magenta}${t.summary}${COLORS.reset}`);
+  const counts = [
+    ['added', COLORS.green, '+', t.filesAdded],
+    ['modified', COLORS.yellow, '~', t.filesModified],
+    ['deleted', COLORS.red, '-', t.filesDeleted],
+    ['renamed', COLORS.cyan, '→', t.filesRenamed],
+    ['copied', COLORS.cyan, '⧉', t.filesCopied],
+    ['typeChanged', COLORS.yellow, '~', t.filesTypeChanged],
+    ['modeChanged', COLORS.yellow, '~', t.filesModeChanged],
+    ['binary', COLORS.white, '•', t.filesBinary],
+  ];
+  for (const [key, color, marker, label] of counts) {
+    if (summary[key] > 0) {
+      consoleRef.log(`  ${color}${marker} ${summary[key]} ${label}${COLORS.reset}`);
+    }
   }
-  if (summary.modified > 0) {
-    console.log(`  ${COLORS.yellow}~ ${summary.modified} ${t.filesModified}${COLORS.reset}`);
+
+  if (!summary.files || summary.files.length === 0) {
+    return;
   }
-  if (summary.deleted > 0) {
-    console.log(`  ${COLORS.red}- ${summary.deleted} ${t.filesDeleted}${COLORS.reset}`);
+
+  consoleRef.log(`  ${COLORS.white}${t.summaryLines(summary.insertions, summary.deletions)}${COLORS.reset}`);
+  const shown = summary.files.slice(0, SUMMARY_FILE_LIMIT);
+  const pathWidth = Math.max(...shown.map((entry) => formatSummaryPath(entry).length));
+  for (const entry of shown) {
+    consoleRef.log(formatSummaryRow(entry, pathWidth, t));
+  }
+  if (summary.files.length > shown.length) {
+    consoleRef.log(`  ${COLORS.white}${t.summaryMoreFiles(summary.files.length - shown.length)}${COLORS.reset}`);
   }
 }
 
-function printPointerDetails(sync, t, color = COLORS.yellow) {
+function printPointerDetails(sync, t, color = COLORS.yellow, consoleRef = console) {
   if (!sync || !sync.localHead || !sync.remoteHead || !sync.upstream) {
     return;
   }
 
-  console.log(`${color}${t.syncPointers}${COLORS.reset}`);
-  console.log(`  ${t.syncLocal} (${sync.branch}): ${sync.localHead}`);
-  console.log(`  ${t.syncRemote} (${sync.upstream}): ${sync.remoteHead}`);
-  console.log(`  ${t.syncAheadBehind}: ${sync.ahead}/${sync.behind}`);
+  consoleRef.log(`${color}${t.syncPointers}${COLORS.reset}`);
+  consoleRef.log(`  ${t.syncLocal} (${sync.branch}): ${sync.localHead}`);
+  consoleRef.log(`  ${t.syncRemote} (${sync.upstream}): ${sync.remoteHead}`);
+  consoleRef.log(`  ${t.syncAheadBehind}: ${sync.ahead}/${sync.behind}`);
+}
+
+function printSyncBlockReason(sync, t, colors = COLORS, consoleRef = console, printPointerDetailsImpl = printPointerDetails) {
+  consoleRef.error(`${colors.red}${getSyncBlockMessage(sync, t)}${colors.reset}`);
+
+  printPointerDetailsImpl(sync, t, colors.yellow, consoleRef);
+  consoleRef.error(`${colors.yellow}${t.syncHint}${colors.reset}`);
+}
+
+function formatValidationEntry(catalog, entry) {
+  const template = catalog[entry.code];
+  if (typeof template === 'function') {
+    return template(entry);
+  }
+
+  return template || entry.code;
 }
 
-function printValidationIssues(issues, t) {
+function printValidationIssues(issues, t, consoleRef = console) {
   for (const issue of issues) {
-    const message = t.validationIssue[issue.code] || issue.code;
-    console.log(`${COLORS.yellow}- ${message}${COLORS.reset}`);
+    const message = formatValidationEntry(t.validationIssue, issue);
+    consoleRef.log(`${COLORS.yellow}- ${message}${COLORS.reset}`);
+  }
+}
+
+function printSplitPlan(commits, t, consoleRef = console) {
+  consoleRef.log(`${COLORS.cyan}${t.splitPlanTitle(commits.length)}${COLORS.reset}`);
+
+  commits.forEach((commit, index) => {
+    const [title, ...body] = commit.message.split('\n');
+    const status = commit.valid ? '' : ` ${COLORS.yellow}(${t.candidateNeedsFix})`;
+
+    consoleRef.log(`${COLORS.green}${index + 1}) ${title}${status}${COLORS.reset}`);
+    body.forEach((line) => {
+      consoleRef.log(`${COLORS.white}   ${line}${COLORS.reset}`);
+    });
+    commit.files.forEach((file) => {
+      consoleRef.log(`${COLORS.cyan}   • ${file}${COLORS.reset}`);
+    });
+    if (!commit.valid) {
+      printValidationIssues(commit.blockingIssues, t, consoleRef);
+    }
+  });
+}
+
+const PICKER_MARKERS = {
+  all: '[x]',
+  some: '[~]',
+  none: '[ ]',
+};
+
+function countHunkLines(hunkText) {
+  const lines = hunkText.split('\n').slice(1);
+  return {
+    added: lines.filter((line) => line.startsWith('+')).length,
+    deleted: lines.filter((line) => line.startsWith('-')).length,
+  };
+}
+
+// items carry a precomputed selection state: 'all', 'some', or 'none'.
+function printPicker(items, t, consoleRef = console) {
+  consoleRef.log(`${COLORS.magenta}${t.pickerTitle}${COLORS.reset}`);
+
+  items.forEach((item, index) => {
+    const note = item.untracked ? ` (${t.pickerUntracked})` : '';
+    const color = item.state === 'none' ? COLORS.white : COLORS.green;
+    consoleRef.log(`${color}${index + 1}) ${PICKER_MARKERS[item.state]} ${item.file}${note}${COLORS.reset}`);
+
+    item.hunks.forEach((hunk, hunkIndex) => {
+      const [header] = hunk.text.split('\n');
+      const { added, deleted } = countHunkLines(hunk.text);
+      const marker = hunk.selected ? PICKER_MARKERS.all : PICKER_MARKERS.none;
+      consoleRef.log(`${hunk.selected ? COLORS.green : COLORS.white}    ${index + 1}.${hunkIndex + 1} ${marker} ${header} (+${added} -${deleted})${COLORS.reset}`);
+    });
+  });
+}
+
+// Prints one hunk, or every hunk of the file when hunkIndex is null.
+function printPickerDiff(item, hunkIndex, t, consoleRef = console) {
+  const hunks = hunkIndex === null ? item.hunks : [item.hunks[hunkIndex]];
+  consoleRef.log(`${COLORS.bright}${item.file}${COLORS.reset}`);
+  if (hunks.length === 0) {
+    consoleRef.log(`${COLORS.white}${t.pickerNoTextDiff}${COLORS.reset}`);
+    return;
+  }
+
+  for (const line of hunks.map((hunk) => hunk.text).join('').replace(/\n$/, '').split('\n')) {
+    let color = COLORS.white;
+    if (line.startsWith('@@')) {
+      color = COLORS.cyan;
+    } else if (line.startsWith('+')) {
+      color = COLORS.green;
+    } else if (line.startsWith('-')) {
+      color = COLORS.red;
+    }
+    consoleRef.log(`${color}${line}${COLORS.reset}`);
   }
 }
 
-function printValidationWarnings(warnings, t) {
+function printValidationWarnings(warnings, t, consoleRef = console) {
   for (const warning of warnings) {
-    const message = t.validationWarning[warning.code] || warning.code;
-    console.log(`${COLORS.yellow}- ${message}${COLORS.reset}`);
+    const message = formatValidationEntry(t.validationWarning, warning);
+    consoleRef.log(`${COLORS.yellow}- ${message}${COLORS.reset}`);
+  }
+}
+
+function printCommitMessage(message, consoleRef = console) {
+  consoleRef.log(`${COLORS.white}\n--------------------------------------------${COLORS.reset}`);
+  consoleRef.log(`${COLORS.green}${message}${COLORS.reset}`);
+  consoleRef.log(`${COLORS.white}--------------------------------------------${COLORS.reset}`);
+}
+
+function formatSecretFinding(finding) {
+  return `${finding.file}:${finding.line} (${finding.detector})`;
+}
+
+function printSecretFindings(findings, t, consoleRef = console) {
+  consoleRef.log(`${COLORS.yellow}${t.secretsFound(findings.length)}${COLORS.reset}`);
+  findings.forEach((finding) => {
+    consoleRef.log(`${COLORS.yellow}  - ${formatSecretFinding(finding)}${COLORS.reset}`);
+  });
+}
+
+// Ignored files are not listed; the user excluded them on purpose.
+function printOmittedFiles(omitted, t, consoleRef = console) {
+  const shortened = omitted.filter((entry) => entry.reason !== 'ignored');
+  if (shortened.length === 0) {
+    return;
   }
+
+  consoleRef.log(`${COLORS.cyan}${t.diffOmitted}${COLORS.reset}`);
+  shortened.forEach((entry) => {
+    consoleRef.log(`${COLORS.cyan}  - ${entry.file} (${t.diffOmissionReason[entry.reason]})${COLORS.reset}`);
+  });
 }
 
-function printCommitMessage(message) {
-  console.log(`${COLORS.white}\n--------------------------------------------${COLORS.reset}`);
-  console.log(`${COLORS.green}${message}${COLORS.reset}`);
-  console.log(`${COLORS.white}--------------------------------------------${COLORS.reset}`);
+function printCandidates(candidates, selectedIndex, t, consoleRef = console) {
+  consoleRef.log(`${COLORS.cyan}${t.candidatesTitle}${COLORS.reset}`);
+
+  candidates.forEach((candidate, index) => {
+    const [title, ...body] = candidate.message.split('\n');
+    const marker = index === selectedIndex ? '>' : ' ';
+    const color = index === selectedIndex ? COLORS.green : COLORS.white;
+    const status = candidate.valid ? '' : ` ${COLORS.yellow}(${t.candidateNeedsFix})`;
+
+    consoleRef.log(`${color}${marker} ${index + 1}) ${title}${status}${COLORS.reset}`);
+    body.forEach((line) => {
+      consoleRef.log(`${COLORS.white}     ${line}${COLORS.reset}`);
+    });
+  });
+}
+
+function printJsonResult(report, t, consoleRef = console) {
+  const withText = (catalog) => (entry) => ({ ...entry, text: formatValidationEntry(catalog, entry) });
+  const localize = (result) => ({
+    ...result,
+    blockingIssues: result.blockingIssues.map(withText(t.validationIssue)),
+    warnings: result.warnings.map(withText(t.validationWarning)),
+  });
+
+  consoleRef.log(JSON.stringify({
+    ...localize(report),
+    candidates: report.candidates.map(localize),
+  }, null, 2));
 }
 
 module.exports = {
   COLORS,
+  NON_INTERACTIVE_PROMPT,
   STRINGS,
   createPrompt,
+  formatSecretFinding,
+  formatValidationEntry,
+  getProviderErrorMessage,
+  getSyncBlockMessage,
+  printCandidates,
   printCommitMessage,
   printConfigWarnings,
   printHelp,
+  printHookResult,
+  printJsonResult,
+  printOmittedFiles,
+  printPicker,
+  printPickerDiff,
   printPointerDetails,
+  printSecretFindings,
+  printSplitPlan,
   printSummary,
+  printSyncBlockReason,
   printValidationIssues,
   printValidationWarnings,
   runConfigMenu,
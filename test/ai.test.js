@@ -2,8 +2,10 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 
 const {
+  buildCandidatePrompt,
   buildPrompt,
-  classifyGeminiError,
+  buildRefinePrompt,
+  createValidationOptions,
   generateCommitMessage,
   normalizeCommitMessage,
   validateCommitMessage,
@@ -79,6 +81,107 @@ test('buildPrompt uses relative paths when basenames collide', () => {
   assert.match(prompt, /- config\.js/);
 });
 
+test('buildPrompt explains ignored files only when some were omitted', () => {
+  const input = {
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: 'package-lock.json | +3 -0 (ignored, patch omitted)',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: ['package-lock.json'],
+  };
+
+  assert.doesNotMatch(buildPrompt(input), /ignore list/);
+  assert.match(
+    buildPrompt({ ...input, omittedFiles: [{ file: 'package-lock.json', reason: 'ignored' }] }),
+    /- Files marked "ignored" in the stat lines match the repository ignore list/,
+  );
+});
+
+test('buildPrompt asks for renames to be described as renames', () => {
+  const input = {
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: 'src/new.js | +1 -0 (renamed from src/old.js)',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: ['src/new.js'],
+  };
+
+  assert.doesNotMatch(buildPrompt(input), /moves or copies/);
+  assert.match(buildPrompt({ ...input, hasRenames: true }), /- Stat lines marked "renamed from" or "copied from" are moves or copies/);
+});
+
+test('buildPrompt quotes the current message when amending', () => {
+  const input = {
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: 'src/a.js | +2 -0',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: ['src/a.js'],
+  };
+
+  assert.doesNotMatch(buildPrompt(input), /commit being amended/);
+  assert.match(
+    buildPrompt({ ...input, previousMessage: 'Add parser\n\nHandles empty input.' }),
+    /- This message replaces the one of the commit being amended\.[^\n]*\n  > Add parser\n  > \n  > Handles empty input\./,
+  );
+});
+
+test('buildPrompt quotes the original message when rewording without calling it an amend', () => {
+  const input = {
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: 'src/a.js | +2 -0',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: ['src/a.js'],
+  };
+
+  const prompt = buildPrompt({ ...input, originalMessage: 'wip' });
+  assert.match(prompt, /- This message replaces the one of an existing commit whose content stays the same\.[^\n]*\n  > wip/);
+  assert.doesNotMatch(prompt, /being amended/);
+});
+
+test('buildPrompt lists the subjects of squashed commits', () => {
+  const input = {
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: 'src/a.js | +2 -0',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: ['src/a.js'],
+  };
+
+  assert.doesNotMatch(buildPrompt(input), /combines several commits/);
+  assert.match(
+    buildPrompt({ ...input, squashedSubjects: 'fix typo\nAdd parser' }),
+    /- This commit combines several commits into one[^\n]*\n  > fix typo\n  > Add parser/,
+  );
+});
+
+test('buildPrompt explains summarized diffs', () => {
+  const prompt = buildPrompt({
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: 'a.js | +1 -0\n\n[PART 1/1]\n- add a',
+    diffTruncated: true,
+    diffSummarized: true,
+    branchContext: { branch: null, issueHints: [] },
+    files: ['a.js'],
+  });
+
+  assert.match(prompt, /- The full diff was too large for one prompt/);
+  assert.doesNotMatch(prompt, /Some patches were trimmed/);
+});
+
 test('generateCommitMessage retries once after invalid output', async () => {
   const prompts = [];
   const responses = [
@@ -90,9 +193,11 @@ test('generateCommitMessage retries once after invalid output', async () => {
     cwd: process.cwd(),
     prompt: 'base prompt',
     maxAttempts: 2,
-    runGeminiImpl: async (prompt) => {
-      prompts.push(prompt);
-      return responses.shift();
+    provider: {
+      generate: async (prompt) => {
+        prompts.push(prompt);
+        return responses.shift();
+      },
     },
   });
 
@@ -104,8 +209,195 @@ test('generateCommitMessage retries once after invalid output', async () => {
   assert.match(prompts[1], /meta-prefix/);
 });
 
-test('classifyGeminiError detects authentication failures', () => {
-  assert.equal(classifyGeminiError(new Error('Unauthorized: please login')), 'auth');
-  assert.equal(classifyGeminiError({ message: 'Permission denied', stderr: '' }), 'auth');
-  assert.equal(classifyGeminiError({ message: 'network timeout', stderr: 'socket hang up' }), 'generic');
+test('generateCommitMessage honors maxAttempts and forwards model and timeout', async () => {
+  const calls = [];
+
+  const result = await generateCommitMessage({
+    cwd: '/repo',
+    prompt: 'base prompt',
+    maxAttempts: 3,
+    model: 'pro',
+    timeoutMs: 30000,
+    provider: {
+      generate: async (prompt, options) => {
+        calls.push(options);
+        return '';
+      },
+    },
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(calls, Array(3).fill({ cwd: '/repo', model: 'pro', timeoutMs: 30000 }));
+});
+
+test('validateCommitMessage enforces Conventional Commits when enabled', () => {
+  const options = createValidationOptions({
+    convention: 'conventional',
+    conventional: { types: ['feat', 'fix'], scopes: ['config'] },
+  });
+
+  assert.equal(validateCommitMessage('fix(config): clamp historyCount', options).valid, true);
+
+  const result = validateCommitMessage('docs(readme): explain providers', options);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.blockingIssues.map((issue) => issue.code), ['conventional-type', 'conventional-scope']);
+});
+
+test('validateCommitMessage ignores Conventional Commits rules by default', () => {
+  assert.equal(validateCommitMessage('update the readme', createValidationOptions({})).valid, true);
+});
+
+test('generateCommitMessage retries Conventional Commits violations with details', async () => {
+  const prompts = [];
+  const responses = ['Add retry coverage', 'test: add retry coverage'];
+
+  const result = await generateCommitMessage({
+    cwd: process.cwd(),
+    prompt: 'base prompt',
+    maxAttempts: 2,
+    validationOptions: createValidationOptions({ convention: 'conventional' }),
+    provider: {
+      generate: async (prompt) => {
+        prompts.push(prompt);
+        return responses.shift();
+      },
+    },
+  });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.attempts, 2);
+  assert.match(prompts[1], /conventional-format \(the title must look like "type\(scope\)!: subject"\)/);
+});
+
+test('buildPrompt describes the Conventional Commits header when enabled', () => {
+  const prompt = buildPrompt({
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: '',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: [],
+    validationOptions: createValidationOptions({
+      convention: 'conventional',
+      conventional: { types: ['feat', 'fix'], scopes: ['api'] },
+    }),
+  });
+
+  assert.match(prompt, /type\(scope\)!: subject/);
+  assert.match(prompt, /Allowed types: feat, fix\./);
+  assert.match(prompt, /must be one of: api\./);
+});
+
+test('validateCommitMessage applies repository rules as errors or warnings', () => {
+  const options = createValidationOptions({
+    rules: {
+      titleMaxLength: { level: 'error', value: 20 },
+      titleTrailingPeriod: { level: 'warning', value: 'forbid' },
+    },
+  });
+
+  const result = validateCommitMessage('fix: a title that is too long.', options);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.blockingIssues.map((issue) => issue.code), ['title-too-long']);
+  assert.deepEqual(result.warnings.map((issue) => issue.code), ['title-trailing-period']);
+});
+
+test('buildPrompt describes repository rules in the format section', () => {
+  const prompt = buildPrompt({
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: '',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: [],
+    validationOptions: createValidationOptions({
+      rules: {
+        titleMaxLength: { level: 'error', value: 72 },
+        bodyMaxLineLength: { level: 'warning', value: 100 },
+      },
+    }),
+  });
+
+  assert.match(prompt, /TITLE: A concise summary \(within 72 chars\)\./);
+  assert.match(prompt, /Wrap body lines at 100 characters\./);
+});
+
+test('validateCommitMessage reports commitlint failures and retries with their details', async () => {
+  const validationOptions = createValidationOptions({}, {
+    'type-enum': { level: 2, when: 'always', value: ['feat', 'fix'] },
+    'subject-full-stop': { level: 1, when: 'never', value: '.' },
+  });
+
+  const validation = validateCommitMessage('docs: update readme.', validationOptions);
+  assert.deepEqual(validation.blockingIssues.map((issue) => issue.rule), ['type-enum']);
+  assert.deepEqual(validation.warnings.map((issue) => issue.rule), ['subject-full-stop']);
+
+  const prompts = [];
+  const responses = ['docs: update readme', 'fix: update readme'];
+  const result = await generateCommitMessage({
+    cwd: process.cwd(),
+    prompt: 'base prompt',
+    maxAttempts: 2,
+    validationOptions,
+    provider: {
+      generate: async (prompt) => {
+        prompts.push(prompt);
+        return responses.shift();
+      },
+    },
+  });
+
+  assert.equal(result.valid, true);
+  assert.match(prompts[1], /commitlint \(type must be one of: feat, fix\)/);
+});
+
+test('buildPrompt lists active commitlint rules', () => {
+  const prompt = buildPrompt({
+    t: STRINGS.en,
+    history: '',
+    userContext: '',
+    diff: '',
+    diffTruncated: false,
+    branchContext: { branch: null, issueHints: [] },
+    files: [],
+    validationOptions: createValidationOptions({}, {
+      'header-max-length': { level: 2, when: 'always', value: 72 },
+      'body-leading-blank': { level: 0, when: 'always' },
+    }),
+  });
+
+  assert.match(prompt, /commitlint header-max-length: header must be at most 72 characters\./);
+  assert.doesNotMatch(prompt, /body-leading-blank/);
+});
+
+test('buildPrompt renders a repository template with the built-in sections', () => {
+  const prompt = buildPrompt({
+    t: STRINGS.en,
+    history: 'feat: older change',
+    userContext: '',
+    diff: 'diff --git a/a.js b/a.js',
+    diffTruncated: false,
+    branchContext: { branch: 'main', issueHints: [] },
+    files: ['src/a.js'],
+    template: 'Tone: terse.\nLanguage: {{language}}\n{{history}}\n{{files}}\n{{diff}}\n{{format}}',
+  });
+
+  assert.match(prompt, /^Tone: terse\.\nLanguage: English\nfeat: older change\n- a\.js\ndiff --git/);
+  assert.match(prompt, /1\. TITLE: A concise summary/);
+  assert.doesNotMatch(prompt, /\[STYLE HISTORY\]/);
+});
+
+test('buildCandidatePrompt asks extra candidates for different wording', () => {
+  assert.equal(buildCandidatePrompt('prompt', 0), 'prompt');
+  assert.match(buildCandidatePrompt('prompt', 2), /^prompt\n\n\[ALTERNATIVE 2\]\n.*different wording/);
+});
+
+test('buildRefinePrompt sends the current message and the instruction', () => {
+  const prompt = buildRefinePrompt('prompt', 'feat: add login', 'mention the migration');
+
+  assert.match(prompt, /^prompt\n\n\[CURRENT MESSAGE\]\nfeat: add login\n\n\[REFINEMENT\]\n/);
+  assert.match(prompt, /instruction: mention the migration/);
 });
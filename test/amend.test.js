@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES } = require('../src/cli');
+const { isHeadPushed, runAmend } = require('../src/amend');
+const { createOverrides, createRepo } = require('./helpers');
+
+// A work-in-progress commit on top of a base, with a test file staged to amend into it.
+function setUpAmendRepo({ gitRoot, git, commit }) {
+  git('init', '-q');
+  commit('readme.md', '# Demo\n', 'base');
+  commit('parser.js', 'module.exports = (input) => input.split(",");\n', 'wip parser');
+  fs.writeFileSync(path.join(gitRoot, 'parser.test.js'), 'require("./parser")("a,b");\n');
+  git('add', '.');
+}
+
+// The stub provider and prompt settings every amend run starts from.
+const AMEND_RUN = {
+  cancelAnswer: '4',
+  response: 'Add a comma parser with tests',
+  getRecentHistory: async () => 'wip parser\nbase',
+};
+
+test('isHeadPushed is true only when the upstream already contains HEAD', () => {
+  assert.equal(isHeadPushed({ status: 'no-upstream' }), false);
+  assert.equal(isHeadPushed({ status: 'up-to-date', upstream: 'origin/main', ahead: 0, behind: 0 }), true);
+  assert.equal(isHeadPushed({ status: 'behind', upstream: 'origin/main', ahead: 0, behind: 2 }), true);
+  assert.equal(isHeadPushed({ status: 'ahead', upstream: 'origin/main', ahead: 1, behind: 0 }), false);
+  assert.equal(isHeadPushed({ status: 'diverged', upstream: 'origin/main', ahead: 1, behind: 1 }), false);
+});
+
+test('runAmend rewrites HEAD from its parent diff with the old message as context', async () => {
+  const { gitRoot, git } = createRepo('amend', setUpAmendRepo);
+  const overrides = createOverrides({ ...AMEND_RUN, answers: ['', '1'] });
+
+  try {
+    await runAmend({ cwd: gitRoot, lang: 'en' }, overrides);
+
+    assert.equal(overrides.process.exitCode, undefined);
+    assert.equal(git('log', '--format=%s').stdout, 'Add a comma parser with tests\nbase\n');
+    assert.equal(git('show', '--name-only', '--format=', 'HEAD').stdout, 'parser.js\nparser.test.js\n');
+    assert.match(overrides.prompts[0], /> wip parser/);
+    assert.match(overrides.prompts[0], /parser\.js/);
+    assert.match(overrides.prompts[0], /parser\.test\.js/);
+    assert.ok(overrides.lines.some((line) => /Amended the last commit!/.test(line)));
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runAmend refuses a pushed HEAD unless forced', async () => {
+  const { gitRoot, git } = createRepo('amend', setUpAmendRepo);
+  const pushed = async () => ({ status: 'up-to-date', upstream: 'origin/main', ahead: 0, behind: 0 });
+
+  try {
+    const refused = createOverrides({ ...AMEND_RUN, getBranchPointerStatus: pushed });
+    await runAmend({ cwd: gitRoot, lang: 'en', options: { yes: true } }, refused);
+
+    assert.equal(refused.process.exitCode, EXIT_CODES.syncBlocked);
+    assert.equal(refused.prompts.length, 0);
+    assert.ok(refused.lines.some((line) => /already on origin\/main/.test(line)));
+    assert.equal(git('log', '-1', '--format=%s').stdout, 'wip parser\n');
+
+    const forced = createOverrides({ ...AMEND_RUN, getBranchPointerStatus: pushed });
+    await runAmend({ cwd: gitRoot, lang: 'en', options: { yes: true, force: true } }, forced);
+
+    assert.equal(forced.process.exitCode, undefined);
+    assert.ok(forced.lines.some((line) => /Amending anyway because of --force/.test(line)));
+    assert.equal(git('log', '--format=%s').stdout, 'Add a comma parser with tests\nbase\n');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runAmend blocks the amend when HEAD moves after generation', async () => {
+  const { gitRoot, git } = createRepo('amend', setUpAmendRepo);
+  const overrides = createOverrides({ ...AMEND_RUN, answers: ['', '1'] });
+  const { generate } = overrides.createProvider();
+  overrides.createProvider = () => ({
+    name: 'stub',
+    supportsParallel: false,
+    ensureAvailable: async () => {},
+    generate: async (prompt) => {
+      git('commit', '-q', '-m', 'someone else');
+      return generate(prompt);
+    },
+    classifyError: () => 'unknown',
+  });
+
+  try {
+    await runAmend({ cwd: gitRoot, lang: 'en' }, overrides);
+
+    assert.equal(overrides.process.exitCode, EXIT_CODES.error);
+    assert.ok(overrides.lines.some((line) => /HEAD moved after the message was generated/.test(line)));
+    assert.equal(git('log', '--format=%s').stdout, 'someone else\nwip parser\nbase\n');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
@@ -26,3 +26,98 @@ test('parseCliArgs rejects unknown arguments', () => {
   assert.equal(result.command, 'invalid');
   assert.match(result.error, /Unknown command/);
 });
+
+test('parseCliArgs parses non-interactive run options', () => {
+  assert.deepEqual(parseCliArgs(['--yes', '--context', 'fix login bug', '--lang', 'ko']), {
+    command: 'run',
+    options: { yes: true, context: 'fix login bug', lang: 'ko' },
+  });
+  assert.deepEqual(parseCliArgs(['--print-only', '--context=hotfix', '--lang=en']), {
+    command: 'run',
+    options: { printOnly: true, context: 'hotfix', lang: 'en' },
+  });
+  assert.deepEqual(parseCliArgs(['-y']), { command: 'run', options: { yes: true } });
+});
+
+test('parseCliArgs rejects invalid run options', () => {
+  assert.match(parseCliArgs(['--context']).error, /Missing value for --context/);
+  assert.match(parseCliArgs(['--lang', 'fr']).error, /Unsupported language: fr/);
+  assert.match(parseCliArgs(['--yes', '--print-only']).error, /cannot be used together/);
+  assert.match(parseCliArgs(['--yes', 'extra']).error, /Unknown option: extra/);
+  assert.match(parseCliArgs(['--yes=1']).error, /Unknown option: --yes=1/);
+});
+
+test('parseCliArgs supports hook commands', () => {
+  assert.deepEqual(parseCliArgs(['hook', 'install']), { command: 'hook', action: 'install' });
+  assert.deepEqual(parseCliArgs(['hook', 'uninstall']), { command: 'hook', action: 'uninstall' });
+  assert.deepEqual(parseCliArgs(['hook', 'run', '.git/COMMIT_EDITMSG']), {
+    command: 'hook',
+    action: 'run',
+    messageFile: '.git/COMMIT_EDITMSG',
+    source: null,
+  });
+  assert.deepEqual(parseCliArgs(['hook', 'run', '.git/COMMIT_EDITMSG', 'commit', 'HEAD']).source, 'commit');
+  assert.match(parseCliArgs(['hook']).error, /Unknown hook command/);
+  assert.match(parseCliArgs(['hook', 'install', 'now']).error, /Unknown hook command/);
+});
+
+test('parseCliArgs supports --json alone or with --yes', () => {
+  assert.deepEqual(parseCliArgs(['--json']), { command: 'run', options: { json: true } });
+  assert.deepEqual(parseCliArgs(['--json', '--yes']), { command: 'run', options: { json: true, yes: true } });
+});
+
+test('parseCliArgs supports split with its options', () => {
+  assert.deepEqual(parseCliArgs(['split']), { command: 'split', options: {} });
+  assert.deepEqual(parseCliArgs(['split', '--yes', '--context', 'two features', '--lang=ko']), {
+    command: 'split',
+    options: { yes: true, context: 'two features', lang: 'ko' },
+  });
+  assert.match(parseCliArgs(['split', '--json']).error, /Unknown split command/);
+  assert.match(parseCliArgs(['split', '--bogus']).error, /Unknown option/);
+});
+
+test('parseCliArgs supports serve --stdio', () => {
+  assert.deepEqual(parseCliArgs(['serve', '--stdio']), { command: 'serve', transport: 'stdio', lang: null });
+  assert.deepEqual(parseCliArgs(['serve', '--lang', 'ko', '--stdio']), { command: 'serve', transport: 'stdio', lang: 'ko' });
+  assert.match(parseCliArgs(['serve']).error, /Unknown serve command/);
+  assert.match(parseCliArgs(['serve', '--stdio', '--yes']).error, /Unknown serve command/);
+  assert.match(parseCliArgs(['serve', '--stdio', '--lang', 'fr']).error, /Unsupported language/);
+});
+
+test('parseCliArgs supports --pick only in the interactive flow', () => {
+  assert.deepEqual(parseCliArgs(['--pick', '--lang', 'ko']), { command: 'run', options: { pick: true, lang: 'ko' } });
+  assert.match(parseCliArgs(['--pick', '--yes']).error, /--pick cannot be used/);
+  assert.match(parseCliArgs(['--pick', '--json']).error, /--pick cannot be used/);
+  assert.match(parseCliArgs(['split', '--pick']).error, /Unknown split command/);
+});
+
+test('parseCliArgs supports amend with --force', () => {
+  assert.deepEqual(parseCliArgs(['amend']), { command: 'amend', options: {} });
+  assert.deepEqual(parseCliArgs(['amend', '--force', '--yes', '--lang', 'ko']), {
+    command: 'amend',
+    options: { yes: true, lang: 'ko', force: true },
+  });
+  assert.match(parseCliArgs(['amend', '--pick']).error, /Unknown amend command/);
+  assert.match(parseCliArgs(['--force']).error, /Unknown option: --force/);
+});
+
+test('parseCliArgs supports squash with an optional leading base', () => {
+  assert.deepEqual(parseCliArgs(['squash']), { command: 'squash', base: null, options: {} });
+  assert.deepEqual(parseCliArgs(['squash', 'main', '--yes', '--context', 'parser work']), {
+    command: 'squash',
+    base: 'main',
+    options: { yes: true, context: 'parser work' },
+  });
+  assert.match(parseCliArgs(['squash', '--print-only']).error, /Unknown squash command/);
+});
+
+test('parseCliArgs supports reword with an optional leading range', () => {
+  assert.deepEqual(parseCliArgs(['reword']), { command: 'reword', range: null, options: {} });
+  assert.deepEqual(parseCliArgs(['reword', 'main..HEAD', '--yes', '--lang=ko']), {
+    command: 'reword',
+    range: 'main..HEAD',
+    options: { yes: true, lang: 'ko' },
+  });
+  assert.match(parseCliArgs(['reword', '--json']).error, /Unknown reword command/);
+  assert.match(parseCliArgs(['reword', '--yes', 'main']).error, /Unknown option: main/);
+});
@@ -8,6 +8,7 @@ const {
   cleanupTempWorkspace,
   createTempWorkspace,
   parseEditorCommand,
+  stripCommentLines,
 } = require('../src/commit');
 
 test('parseEditorCommand supports editor arguments without a shell', () => {
@@ -85,3 +86,10 @@ test('buildEditorLaunch also uses cmd.exe for extensionless Windows editor comma
   assert.match(launch.args[3], /code/);
   assert.match(launch.args[3], /message\.txt/);
 });
+
+test('stripCommentLines removes only the lines gcg added', () => {
+  assert.equal(
+    stripCommentLines('feat: add login\n\n# gcg: keep what you want\n#123 fix the form\n# Notes\nbody #1'),
+    'feat: add login\n\n#123 fix the form\n# Notes\nbody #1',
+  );
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  BUILTIN_PRESETS,
+  evaluateCommitlintRules,
+  loadCommitlintConfig,
+  parseCommitForLint,
+  toCase,
+} = require('../src/commitlint');
+const { STRINGS } = require('../src/ui');
+
+const t = STRINGS.en;
+const conventionalRules = Object.fromEntries(
+  Object.entries(BUILTIN_PRESETS['@commitlint/config-conventional'].rules)
+    .map(([name, [level, when, value]]) => [name, { level, when, value }]),
+);
+
+function createTempRepo(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-commitlint-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('parseCommitForLint separates header, body, and footer', () => {
+  const commit = parseCommitForLint('feat(api,ui): add login\n\nExplain the change.\n\nRefs: #12\nSigned-off-by: Dev <dev@example.com>');
+
+  assert.equal(commit.type, 'feat');
+  assert.deepEqual(commit.scopes, ['api', 'ui']);
+  assert.equal(commit.subject, 'add login');
+  assert.equal(commit.body, 'Explain the change.');
+  assert.equal(commit.footer, 'Refs: #12\nSigned-off-by: Dev <dev@example.com>');
+  assert.equal(commit.bodyLeadingBlank, true);
+  assert.equal(commit.footerLeadingBlank, true);
+});
+
+test('toCase follows commitlint case names', () => {
+  assert.equal(toCase('add login', 'sentence-case'), 'Add login');
+  assert.equal(toCase('add login', 'start-case'), 'Add Login');
+  assert.equal(toCase('add login', 'pascal-case'), 'AddLogin');
+  assert.equal(toCase('addLogin', 'kebab-case'), 'add-login');
+  assert.equal(toCase('add login', 'unknown-case'), null);
+});
+
+test('evaluateCommitlintRules passes a conventional message under config-conventional', () => {
+  const result = evaluateCommitlintRules('feat(auth): add login flow\n\nUse the session token.', conventionalRules);
+
+  assert.deepEqual(result, { errors: [], warnings: [] });
+});
+
+test('evaluateCommitlintRules reports errors and warnings by level', () => {
+  const result = evaluateCommitlintRules('Feature: Add login flow.\nno blank line before body', conventionalRules);
+
+  assert.deepEqual(result.errors.map((issue) => issue.rule), ['subject-case', 'subject-full-stop', 'type-case', 'type-enum']);
+  assert.deepEqual(result.warnings.map((issue) => issue.rule), ['body-leading-blank']);
+  assert.match(result.errors[3].detail, /type must be one of: build, chore/);
+});
+
+test('evaluateCommitlintRules requires a type when type-empty is never', () => {
+  const result = evaluateCommitlintRules('add login flow', conventionalRules);
+
+  assert.deepEqual(result.errors.map((issue) => issue.rule), ['subject-empty', 'type-empty']);
+});
+
+test('evaluateCommitlintRules checks scope enums and line lengths', () => {
+  const rules = {
+    'scope-enum': { level: 2, when: 'always', value: ['api'] },
+    'header-max-length': { level: 2, when: 'always', value: 20 },
+    'body-max-line-length': { level: 1, when: 'always', value: 10 },
+    'header-min-length': { level: 0, when: 'always', value: 100 },
+  };
+  const result = evaluateCommitlintRules('fix(web): repair the login redirect\n\nthis line is long', rules);
+
+  assert.deepEqual(result.errors.map((issue) => issue.rule), ['scope-enum', 'header-max-length']);
+  assert.deepEqual(result.warnings.map((issue) => issue.rule), ['body-max-line-length']);
+});
+
+test('loadCommitlintConfig reads JSON configs and resolves the conventional preset', async () => {
+  const gitRoot = createTempRepo({
+    '.commitlintrc.json': JSON.stringify({
+      extends: ['@commitlint/config-conventional'],
+      rules: {
+        'header-max-length': [2, 'always', 72],
+        'scope-enum': [2, 'always', ['api', 'ui']],
+        'signed-off-by': [2, 'always', 'Signed-off-by:'],
+      },
+    }),
+  });
+
+  try {
+    const result = await loadCommitlintConfig(gitRoot, t);
+    assert.equal(result.configPath, path.join(gitRoot, '.commitlintrc.json'));
+    assert.deepEqual(result.rules['header-max-length'], { level: 2, when: 'always', value: 72 });
+    assert.deepEqual(result.rules['scope-enum'].value, ['api', 'ui']);
+    assert.ok(result.rules['type-enum']);
+    assert.deepEqual(result.warnings, ['These commitlint rules are not checked by gcg: signed-off-by']);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadCommitlintConfig loads commitlint.config.js modules', async () => {
+  const gitRoot = createTempRepo({
+    'commitlint.config.js': "module.exports = { rules: { 'type-enum': [2, 'always', ['feat', 'fix']] } };\n",
+  });
+
+  try {
+    const result = await loadCommitlintConfig(gitRoot, t);
+    assert.deepEqual(result.rules, { 'type-enum': { level: 2, when: 'always', value: ['feat', 'fix'] } });
+    assert.deepEqual(result.warnings, []);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadCommitlintConfig reads the package.json commitlint field and warns for unknown presets', async () => {
+  const gitRoot = createTempRepo({
+    'package.json': JSON.stringify({
+      name: 'sample',
+      commitlint: { extends: ['@acme/commitlint-config'], rules: { 'subject-empty': [2, 'never'] } },
+    }),
+  });
+
+  try {
+    const result = await loadCommitlintConfig(gitRoot, t);
+    assert.deepEqual(result.rules, { 'subject-empty': { level: 2, when: 'never', value: undefined } });
+    assert.deepEqual(result.warnings, ['Could not load commitlint preset @acme/commitlint-config. Its rules are not checked.']);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadCommitlintConfig returns no rules when no config exists or it is broken', async () => {
+  const gitRoot = createTempRepo({});
+
+  try {
+    assert.deepEqual(await loadCommitlintConfig(gitRoot, t), { rules: null, warnings: [], configPath: null });
+
+    fs.writeFileSync(path.join(gitRoot, '.commitlintrc.json'), '{ broken');
+    const result = await loadCommitlintConfig(gitRoot, t);
+    assert.equal(result.rules, null);
+    assert.match(result.warnings[0], /Could not load commitlint config/);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadCommitlintConfig loads ESM configs through import()', async () => {
+  const rules = "{ rules: { 'type-enum': [2, 'always', ['feat', 'fix']] } }";
+  const expected = { 'type-enum': { level: 2, when: 'always', value: ['feat', 'fix'] } };
+
+  for (const [fileName, content] of [
+    ['commitlint.config.js', `export default ${rules};\n`],
+    ['commitlint.config.mjs', `export default ${rules};\n`],
+    ['.commitlintrc.cjs', `module.exports = ${rules};\n`],
+  ]) {
+    const gitRoot = createTempRepo({ [fileName]: content });
+
+    try {
+      const result = await loadCommitlintConfig(gitRoot, t);
+      assert.equal(result.configPath, path.join(gitRoot, fileName));
+      assert.deepEqual(result.rules, expected);
+      assert.deepEqual(result.warnings, []);
+    } finally {
+      fs.rmSync(gitRoot, { recursive: true, force: true });
+    }
+  }
+});
+
+test('loadCommitlintConfig loads ESM presets from node_modules', async () => {
+  const gitRoot = createTempRepo({
+    '.commitlintrc.json': JSON.stringify({ extends: ['@acme/commitlint-config'] }),
+  });
+  const presetDir = path.join(gitRoot, 'node_modules', '@acme', 'commitlint-config');
+  fs.mkdirSync(presetDir, { recursive: true });
+  fs.writeFileSync(path.join(presetDir, 'package.json'), JSON.stringify({ name: '@acme/commitlint-config', main: 'index.mjs' }));
+  fs.writeFileSync(path.join(presetDir, 'index.mjs'), "export default { rules: { 'subject-empty': [2, 'never'] } };\n");
+
+  try {
+    const result = await loadCommitlintConfig(gitRoot, t);
+    assert.deepEqual(result.rules, { 'subject-empty': { level: 2, when: 'never', value: undefined } });
+    assert.deepEqual(result.warnings, []);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadCommitlintConfig warns that YAML configs are not read', async () => {
+  for (const fileName of ['.commitlintrc', '.commitlintrc.yml']) {
+    const gitRoot = createTempRepo({ [fileName]: 'extends:\n  - "@commitlint/config-conventional"\n' });
+
+    try {
+      const result = await loadCommitlintConfig(gitRoot, t);
+      assert.equal(result.rules, null);
+      assert.deepEqual(result.warnings, [t.commitlintYamlUnsupported(path.join(gitRoot, fileName))]);
+    } finally {
+      fs.rmSync(gitRoot, { recursive: true, force: true });
+    }
+  }
+});
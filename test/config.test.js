@@ -29,12 +29,67 @@ test('normalizeConfigObject keeps valid values', () => {
   assert.deepEqual(warnings, []);
 });
 
-test('normalizeConfigObject warns for removed model key', () => {
+test('normalizeConfigObject accepts a model override', () => {
   const { config, warnings } = normalizeConfigObject({ model: 'pro' }, STRINGS.en);
+  assert.equal(config.model, 'pro');
+  assert.deepEqual(warnings, []);
+});
+
+test('normalizeConfigObject warns for invalid model values', () => {
+  const { config, warnings } = normalizeConfigObject({ model: '' }, STRINGS.en);
   assert.deepEqual(config, DEFAULT_CONFIG);
   assert.equal(warnings.length, 1);
 });
 
+test('normalizeConfigObject clamps generationTimeoutMs and validates maxAttempts', () => {
+  const { config, warnings } = normalizeConfigObject({
+    generationTimeoutMs: 100,
+    maxAttempts: 9,
+  }, STRINGS.en);
+
+  assert.equal(config.generationTimeoutMs, 5000);
+  assert.equal(config.maxAttempts, DEFAULT_CONFIG.maxAttempts);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /at least 5000/);
+  assert.match(warnings[1], /from 1 to 5/);
+});
+
+test('normalizeConfigObject keeps valid generation limits', () => {
+  const { config, warnings } = normalizeConfigObject({
+    generationTimeoutMs: 30000,
+    maxAttempts: 3,
+  }, STRINGS.en);
+
+  assert.equal(config.generationTimeoutMs, 30000);
+  assert.equal(config.maxAttempts, 3);
+  assert.deepEqual(warnings, []);
+});
+
+test('normalizeConfigObject validates candidates', () => {
+  const valid = normalizeConfigObject({ candidates: 3 }, STRINGS.en);
+  assert.equal(valid.config.candidates, 3);
+  assert.deepEqual(valid.warnings, []);
+
+  const invalid = normalizeConfigObject({ candidates: 0 }, STRINGS.en);
+  assert.equal(invalid.config.candidates, DEFAULT_CONFIG.candidates);
+  assert.match(invalid.warnings[0], /candidates must be an integer from 1 to 5/);
+});
+
+test('normalizeConfigObject skips secretPatterns that are not valid regular expressions', () => {
+  const { config, warnings } = normalizeConfigObject({ secretPatterns: ['MYCO-[0-9]{6}', '(unclosed'] }, STRINGS.en);
+
+  assert.deepEqual(config.secretPatterns, ['MYCO-[0-9]{6}']);
+  assert.deepEqual(warnings, ['Ignoring invalid secretPatterns entry: (unclosed']);
+});
+
+test('normalizeConfigObject accepts ignore globs and rejects empty entries', () => {
+  assert.deepEqual(normalizeConfigObject({ ignore: ['*.lock', 'dist/'] }, STRINGS.en).config.ignore, ['*.lock', 'dist/']);
+
+  const { config, warnings } = normalizeConfigObject({ ignore: ['*.lock', ' '] }, STRINGS.en);
+  assert.deepEqual(config.ignore, []);
+  assert.equal(warnings.length, 1);
+});
+
 test('loadConfig returns defaults when file is missing', () => {
   const gitRoot = makeTempRepo();
 
@@ -75,3 +130,89 @@ test('loadConfig warns and falls back when config is not an object', () => {
     fs.rmSync(gitRoot, { recursive: true, force: true });
   }
 });
+
+test('normalizeConfigObject falls back to gemini for unknown providers', () => {
+  const { config, warnings } = normalizeConfigObject({ provider: 'unknown' }, STRINGS.en);
+  assert.equal(config.provider, 'gemini');
+  assert.equal(warnings.length, 1);
+});
+
+test('normalizeConfigObject keeps valid http settings and warns for invalid ones', () => {
+  const { config, warnings } = normalizeConfigObject({
+    provider: 'ollama',
+    http: {
+      baseUrl: 'http://localhost:11434',
+      model: 'llama3',
+      apiKeyEnv: 42,
+      token: 'ignored',
+    },
+  }, STRINGS.en);
+
+  assert.equal(config.provider, 'ollama');
+  assert.deepEqual(config.http, { baseUrl: 'http://localhost:11434', model: 'llama3' });
+  assert.equal(warnings.length, 2);
+});
+
+test('normalizeConfigObject only accepts GCG_ names for http.apiKeyEnv', () => {
+  const { config, warnings } = normalizeConfigObject({
+    provider: 'openai',
+    http: { baseUrl: 'https://example.com/v1', model: 'qwen', apiKeyEnv: 'AWS_SECRET_ACCESS_KEY' },
+  }, STRINGS.en);
+  assert.equal(config.http.apiKeyEnv, undefined);
+  assert.deepEqual(warnings, [STRINGS.en.configApiKeyEnvPrefix('http.apiKeyEnv')]);
+
+  const accepted = normalizeConfigObject({
+    provider: 'openai',
+    http: { baseUrl: 'https://example.com/v1', model: 'qwen', apiKeyEnv: 'GCG_OPENAI_KEY' },
+  }, STRINGS.en);
+  assert.equal(accepted.config.http.apiKeyEnv, 'GCG_OPENAI_KEY');
+  assert.deepEqual(accepted.warnings, []);
+});
+
+test('normalizeConfigObject validates command provider settings', () => {
+  const { config, warnings } = normalizeConfigObject({
+    provider: 'command',
+    command: {
+      executable: 'llm-wrapper',
+      args: ['--model', '{model}'],
+      checkArgs: 'version',
+    },
+  }, STRINGS.en);
+
+  assert.equal(config.provider, 'command');
+  assert.deepEqual(config.command, { executable: 'llm-wrapper', args: ['--model', '{model}'] });
+  assert.equal(warnings.length, 1);
+});
+
+test('normalizeConfigObject validates convention settings', () => {
+  const valid = normalizeConfigObject({
+    convention: 'conventional',
+    conventional: { types: ['feat', 'fix'], scopes: ['api'] },
+  }, STRINGS.en);
+  assert.equal(valid.config.convention, 'conventional');
+  assert.deepEqual(valid.config.conventional, { types: ['feat', 'fix'], scopes: ['api'] });
+  assert.deepEqual(valid.warnings, []);
+
+  const invalid = normalizeConfigObject({
+    convention: 'angular',
+    conventional: { types: [], scopes: ['has space'] },
+  }, STRINGS.en);
+  assert.equal(invalid.config.convention, 'none');
+  assert.deepEqual(invalid.config.conventional, DEFAULT_CONFIG.conventional);
+  assert.equal(invalid.warnings.length, 3);
+});
+
+test('normalizeConfigObject keeps valid rules and warns for invalid ones', () => {
+  const { config, warnings } = normalizeConfigObject({
+    rules: {
+      titleMaxLength: { level: 'error', value: 72 },
+      titleCase: { level: 'warning', value: 'camel' },
+      unknownRule: { level: 'error', value: true },
+    },
+  }, STRINGS.en);
+
+  assert.deepEqual(config.rules, { titleMaxLength: { level: 'error', value: 72 } });
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /Ignoring invalid rule rules\.titleCase/);
+  assert.match(warnings[1], /unknown config key: rules\.unknownRule/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkConventionalHeader, parseConventionalHeader } = require('../src/conventional');
+
+test('parseConventionalHeader reads type, scopes, breaking marker, and subject', () => {
+  assert.deepEqual(parseConventionalHeader('feat(api,cli)!: drop legacy flags'), {
+    type: 'feat',
+    scopes: ['api', 'cli'],
+    hasScope: true,
+    breaking: true,
+    subject: 'drop legacy flags',
+  });
+  assert.equal(parseConventionalHeader('[Docs] update workflow'), null);
+});
+
+test('checkConventionalHeader accepts headers with allowed types and scopes', () => {
+  assert.deepEqual(checkConventionalHeader('fix(config): clamp historyCount', { types: ['fix'], scopes: ['config'] }), []);
+  assert.deepEqual(checkConventionalHeader('docs: explain providers'), []);
+});
+
+test('checkConventionalHeader reports format, type, and scope violations', () => {
+  assert.deepEqual(
+    checkConventionalHeader('update the readme').map((issue) => issue.code),
+    ['conventional-format'],
+  );
+
+  const typeIssues = checkConventionalHeader('feature: add login', { types: ['feat', 'fix'] });
+  assert.equal(typeIssues[0].code, 'conventional-type');
+  assert.equal(typeIssues[0].type, 'feature');
+  assert.deepEqual(typeIssues[0].allowed, ['feat', 'fix']);
+
+  const scopeIssues = checkConventionalHeader('feat(ui): add login', { scopes: ['api'] });
+  assert.deepEqual(scopeIssues.map((issue) => issue.code), ['conventional-scope']);
+  assert.equal(scopeIssues[0].scope, 'ui');
+
+  assert.deepEqual(
+    checkConventionalHeader('feat(): ').map((issue) => issue.code),
+    ['conventional-scope-empty', 'conventional-subject-empty'],
+  );
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  allocateDiffBudget,
+  buildBudgetedDiff,
+  classifyDiffFile,
+  rankDiffFiles,
+  trimFileDiff,
+} = require('../src/diff-budget');
+
+function createEntry(file, lineCount, extra = {}) {
+  const lines = Array.from({ length: lineCount }, (_, index) => `+line ${index} of ${file}`);
+  return {
+    file,
+    diff: `diff --git a/${file} b/${file}\n--- a/${file}\n+++ b/${file}\n@@ -0,0 +1,${lineCount} @@\n${lines.join('\n')}\n`,
+    added: lineCount,
+    deleted: 0,
+    binary: false,
+    ignored: false,
+    ...extra,
+  };
+}
+
+test('classifyDiffFile separates source, tests, docs, and generated files', () => {
+  assert.equal(classifyDiffFile('src/index.js'), 'source');
+  assert.equal(classifyDiffFile('test/git.test.js'), 'test');
+  assert.equal(classifyDiffFile('lib/parser.spec.ts'), 'test');
+  assert.equal(classifyDiffFile('docs/workflow.md'), 'docs');
+  assert.equal(classifyDiffFile('package-lock.json'), 'generated');
+  assert.equal(classifyDiffFile('test/__snapshots__/view.test.js.snap'), 'generated');
+});
+
+test('rankDiffFiles puts source first and small patches before large ones', () => {
+  const ranked = rankDiffFiles([
+    createEntry('README.md', 1),
+    createEntry('src/big.js', 50),
+    createEntry('test/a.test.js', 1),
+    createEntry('src/small.js', 2),
+  ]);
+
+  assert.deepEqual(ranked.map((entry) => entry.file), ['src/small.js', 'src/big.js', 'test/a.test.js', 'README.md']);
+});
+
+test('allocateDiffBudget keeps small patches whole and splits the rest by weight', () => {
+  const small = createEntry('src/small.js', 2);
+  const source = createEntry('src/big.js', 500);
+  const docs = createEntry('docs/big.md', 500);
+
+  const allocations = allocateDiffBudget([source, docs, small], 3000);
+
+  assert.equal(allocations.get('src/small.js'), small.diff.length);
+  assert.ok(allocations.get('src/big.js') > allocations.get('docs/big.md') * 3);
+  assert.ok([...allocations.values()].reduce((sum, value) => sum + value, 0) <= 3000);
+});
+
+test('trimFileDiff keeps whole hunks and cuts the next one at a line boundary', () => {
+  const fileDiff = [
+    'diff --git a/a.js b/a.js',
+    '--- a/a.js',
+    '+++ b/a.js',
+    '@@ -1,2 +1,2 @@',
+    '-old one',
+    '+new one',
+    '@@ -10,1 +10,8 @@',
+    '-old two',
+    ...Array.from({ length: 8 }, (_, index) => `+new line ${index}`),
+    '',
+  ].join('\n');
+
+  const trimmed = trimFileDiff(fileDiff, 160);
+  assert.equal(trimmed.status, 'trimmed');
+  assert.ok(trimmed.diff.length <= 160);
+  assert.match(trimmed.diff, /\+new one\n@@ -10,1 \+10,8 @@\n-old two\n/);
+  assert.doesNotMatch(trimmed.diff, /new line 7/);
+  assert.match(trimmed.diff, /\.\.\. \(patch trimmed, \d+ more lines omitted\)\n$/);
+
+  assert.deepEqual(trimFileDiff(fileDiff, 1000), { diff: fileDiff, status: 'full' });
+  assert.deepEqual(trimFileDiff(fileDiff, 40), { diff: '', status: 'omitted' });
+});
+
+test('buildBudgetedDiff lists every file and reports what was shortened', () => {
+  const result = buildBudgetedDiff([
+    createEntry('package-lock.json', 400),
+    createEntry('src/a.js', 3),
+    createEntry('src/b.js', 300),
+    createEntry('yarn.lock', 0, { diff: '', added: 9, deleted: 1, ignored: true }),
+  ], 3000);
+
+  assert.ok(result.diff.length <= 3000);
+  assert.equal(result.truncated, true);
+  assert.match(result.diff, /^package-lock\.json \| \+400 -0 \(patch trimmed\)$/m);
+  assert.match(result.diff, /^src\/a\.js \| \+3 -0$/m);
+  assert.match(result.diff, /^yarn\.lock \| \+9 -1 \(ignored, patch omitted\)$/m);
+  assert.match(result.diff, /\+line 2 of src\/a\.js/);
+  // Source patches come first and get a larger share than the lockfile.
+  const lockPatch = result.diff.slice(result.diff.indexOf('diff --git a/package-lock.json'));
+  const sourcePatch = result.diff.slice(result.diff.indexOf('diff --git a/src/b.js'), result.diff.indexOf('diff --git a/package-lock.json'));
+  assert.ok(sourcePatch.length > lockPatch.length * 4);
+  assert.deepEqual(result.omitted, [
+    { file: 'package-lock.json', reason: 'trimmed' },
+    { file: 'src/b.js', reason: 'trimmed' },
+    { file: 'yarn.lock', reason: 'ignored' },
+  ]);
+});
+
+test('buildBudgetedDiff spells out renames, copies, and mode changes in the stat lines', () => {
+  const result = buildBudgetedDiff([
+    createEntry('src/new.js', 1, { status: 'R', oldFile: 'src/old.js' }),
+    createEntry('src/copy.js', 1, { status: 'C', oldFile: 'src/base.js' }),
+    createEntry('bin/run.sh', 0, { status: 'M', modeChange: { from: '100644', to: '100755' }, diff: '' }),
+    createEntry('yarn.lock', 1, { status: 'D', ignored: true }),
+  ], 10000);
+
+  assert.deepEqual(result.stat.split('\n'), [
+    'src/new.js | +1 -0 (renamed from src/old.js)',
+    'src/copy.js | +1 -0 (copied from src/base.js)',
+    'bin/run.sh | +0 -0 (mode 100644 -> 100755)',
+    'yarn.lock | +1 -0 (deleted, ignored, patch omitted)',
+  ]);
+});
+
+test('buildBudgetedDiff caps the stat lines and counts the files left out', () => {
+  const entries = [
+    ...Array.from({ length: 400 }, (_, index) => createEntry(`docs/page-${index}.md`, 2)),
+    createEntry('src/big.js', 50),
+    createEntry('src/small.js', 1),
+  ];
+  const result = buildBudgetedDiff(entries, 12000);
+  const statLines = result.stat.split('\n');
+
+  assert.ok(result.diff.length <= 12000);
+  assert.ok(result.stat.length <= 6000);
+  assert.equal(result.truncated, true);
+  assert.ok(statLines.includes('src/big.js | +50 -0 (patch trimmed)'));
+  assert.ok(statLines.includes('src/small.js | +1 -0'));
+  const listedDocs = statLines.filter((line) => line.startsWith('docs/')).length;
+  assert.equal(statLines[statLines.length - 1], `... and ${400 - listedDocs} more files | +${(400 - listedDocs) * 2} -0 (not listed)`);
+  assert.match(result.diff, /\+line 0 of src\/big\.js/);
+  assert.ok(result.omitted.some((entry) => entry.file === 'docs/page-399.md' && entry.reason === 'omitted'));
+});
@@ -0,0 +1,71 @@
+// Fixtures shared by the tests that drive whole commands against a real repository.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// A CI runner may have no git identity configured, so every commit names one.
+const GIT_IDENTITY = ['-c', 'user.name=gcg', '-c', 'user.email=gcg@example.com'];
+
+// Creates a repository in a temp dir and hands git and commit helpers to setup, which builds
+// the scenario. The caller removes gitRoot.
+function createRepo(name, setup) {
+  const gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), `gcg-${name}-`));
+  const git = (...args) => spawnSync('git', [...GIT_IDENTITY, ...args], { cwd: gitRoot, encoding: 'utf8' });
+  const commit = (file, content, message, identity = []) => {
+    fs.writeFileSync(path.join(gitRoot, file), content);
+    git('add', '.');
+    git(...identity, 'commit', '-q', '-m', message);
+  };
+
+  setup({ gitRoot, git, commit });
+  return { gitRoot, git };
+}
+
+// Stands in for commitWithMessage from src/commit.js.
+function commitWithIdentity(gitRoot, message, options = {}) {
+  const result = spawnSync('git', [...GIT_IDENTITY, 'commit', ...(options.amend ? ['--amend'] : []), '-q', '-F', '-'], {
+    cwd: gitRoot,
+    input: message,
+  });
+  if (result.status !== 0) {
+    throw new Error('git commit failed');
+  }
+}
+
+// Overrides for a command run with a stub provider. answers feed the prompt in order, then
+// cancelAnswer repeats so a test that runs out cannot hang; responses feed the provider, then
+// response repeats. Other keys replace the defaults.
+function createOverrides({ answers = [], cancelAnswer, responses = [], response, ...custom } = {}) {
+  const lines = [];
+  const prompts = [];
+
+  return {
+    lines,
+    prompts,
+    console: { log: (line) => lines.push(line), error: (line) => lines.push(line) },
+    process: { exitCode: undefined },
+    createPrompt: () => ({ question: async () => (answers.length > 0 ? answers.shift() : cancelAnswer), close: () => {} }),
+    startSpinner: () => ({ update: () => {}, stop: () => {} }),
+    createProvider: () => ({
+      name: 'stub',
+      supportsParallel: false,
+      ensureAvailable: async () => {},
+      generate: async (prompt) => {
+        prompts.push(prompt);
+        return responses.length > 0 ? responses.shift() : response;
+      },
+      classifyError: () => 'unknown',
+    }),
+    getBranchPointerStatus: async () => ({ status: 'no-upstream' }),
+    commitWithMessage: commitWithIdentity,
+    ...custom,
+  };
+}
+
+module.exports = {
+  GIT_IDENTITY,
+  commitWithIdentity,
+  createOverrides,
+  createRepo,
+};
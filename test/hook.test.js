@@ -0,0 +1,450 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const {
+  HOOK_MARKER,
+  installHook,
+  runPrepareCommitMsg,
+  uninstallHook,
+} = require('../src/hook');
+const { getCommentChar, getHooksDir } = require('../src/git');
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-hook-'));
+}
+
+function createHookDeps(custom = {}) {
+  const calls = [];
+
+  return {
+    calls,
+    deps: {
+      getGitRoot: async () => '/repo',
+      getCommentChar: async () => '#',
+      loadGlobalSettings: () => ({ settings: {} }),
+      loadConfig: () => ({ config: { historyCount: 5, maxAttempts: 2, commitlint: false }, warnings: [] }),
+      loadPromptTemplate: () => ({ template: null, warnings: [] }),
+      createProvider: () => ({
+        name: 'gemini',
+        ensureAvailable: async () => {},
+      }),
+      collectStagedChanges: async () => ({
+        summary: { total: 1 },
+        diffContext: { files: ['src/a.js'], diff: 'diff', truncated: false },
+        snapshot: 'snapshot',
+      }),
+      getRecentHistory: async () => '',
+      getBranchContext: async () => ({ branch: 'main', issueHints: [] }),
+      buildPrompt: () => 'prompt',
+      generateCommitMessage: async () => {
+        calls.push('generate');
+        return { message: 'feat: add login', valid: true, blockingIssues: [], warnings: [], attempts: 1 };
+      },
+      ...custom,
+    },
+  };
+}
+
+test('getHooksDir respects core.hooksPath', async () => {
+  const gitRoot = makeTempDir();
+  const savedCount = process.env.GIT_CONFIG_COUNT;
+  // Ignore command-line config injected by the surrounding environment.
+  delete process.env.GIT_CONFIG_COUNT;
+
+  try {
+    spawnSync('git', ['init', '-q'], { cwd: gitRoot });
+    spawnSync('git', ['config', 'core.hooksPath', '.githooks'], { cwd: gitRoot });
+    assert.equal(await getHooksDir(gitRoot), path.join(gitRoot, '.githooks'));
+  } finally {
+    if (savedCount !== undefined) {
+      process.env.GIT_CONFIG_COUNT = savedCount;
+    }
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('installHook writes an executable hook and updates it in place', () => {
+  const hooksDir = path.join(makeTempDir(), 'hooks');
+
+  try {
+    const first = installHook(hooksDir);
+    const hookPath = path.join(hooksDir, 'prepare-commit-msg');
+    assert.equal(first.status, 'installed');
+    assert.match(fs.readFileSync(hookPath, 'utf8'), /gcg hook run "\$@"/);
+    assert.ok(fs.statSync(hookPath).mode & 0o100);
+
+    assert.equal(installHook(hooksDir).status, 'updated');
+  } finally {
+    fs.rmSync(path.dirname(hooksDir), { recursive: true, force: true });
+  }
+});
+
+test('the installed hook stops the commit only for a secrets block', () => {
+  const dir = makeTempDir();
+  const hooksDir = path.join(dir, 'hooks');
+  const binDir = path.join(dir, 'bin');
+
+  try {
+    installHook(hooksDir);
+    fs.mkdirSync(binDir);
+    for (const [gcgStatus, hookStatus] of [[0, 0], [1, 0], [6, 6]]) {
+      fs.writeFileSync(path.join(binDir, 'gcg'), `#!/bin/sh\nexit ${gcgStatus}\n`, { mode: 0o755 });
+      const result = spawnSync(path.join(hooksDir, 'prepare-commit-msg'), ['COMMIT_EDITMSG'], {
+        cwd: dir,
+        env: { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      });
+      assert.equal(result.status, hookStatus);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('installHook chains an existing hook and uninstallHook restores it', () => {
+  const hooksDir = makeTempDir();
+  const hookPath = path.join(hooksDir, 'prepare-commit-msg');
+
+  try {
+    fs.writeFileSync(hookPath, '#!/bin/sh\necho existing\n');
+
+    const installed = installHook(hooksDir);
+    assert.equal(installed.status, 'chained');
+    assert.equal(fs.readFileSync(`${hookPath}.pre-gcg`, 'utf8'), '#!/bin/sh\necho existing\n');
+    assert.match(fs.readFileSync(hookPath, 'utf8'), /prepare-commit-msg\.pre-gcg/);
+
+    assert.equal(uninstallHook(hooksDir).status, 'restored');
+    assert.equal(fs.readFileSync(hookPath, 'utf8'), '#!/bin/sh\necho existing\n');
+    assert.equal(fs.existsSync(`${hookPath}.pre-gcg`), false);
+  } finally {
+    fs.rmSync(hooksDir, { recursive: true, force: true });
+  }
+});
+
+test('installHook and uninstallHook leave foreign hooks alone', () => {
+  const hooksDir = makeTempDir();
+  const hookPath = path.join(hooksDir, 'prepare-commit-msg');
+
+  try {
+    fs.writeFileSync(hookPath, '#!/bin/sh\necho mine\n');
+    fs.writeFileSync(`${hookPath}.pre-gcg`, '#!/bin/sh\necho older\n');
+
+    assert.equal(installHook(hooksDir).status, 'conflict');
+    assert.equal(uninstallHook(hooksDir).status, 'foreign');
+    assert.equal(fs.readFileSync(hookPath, 'utf8'), '#!/bin/sh\necho mine\n');
+    assert.doesNotMatch(fs.readFileSync(hookPath, 'utf8'), new RegExp(HOOK_MARKER));
+  } finally {
+    fs.rmSync(hooksDir, { recursive: true, force: true });
+  }
+});
+
+test('uninstallHook reports a missing hook', () => {
+  const hooksDir = makeTempDir();
+
+  try {
+    assert.equal(uninstallHook(hooksDir).status, 'not-installed');
+  } finally {
+    fs.rmSync(hooksDir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg skips merges, amends, and supplied messages', async () => {
+  const { calls, deps } = createHookDeps({
+    fsImpl: {
+      readFileSync: () => {
+        throw new Error('message file should not be read');
+      },
+    },
+  });
+
+  for (const source of ['message', 'template', 'merge', 'squash', 'commit']) {
+    const result = await runPrepareCommitMsg({ messageFile: 'MSG', source, cwd: '/repo' }, deps);
+    assert.deepEqual(result, { status: 'skipped', reason: source });
+  }
+
+  assert.deepEqual(calls, []);
+});
+
+test('runPrepareCommitMsg writes the generated message above git comments', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'COMMIT_EDITMSG');
+  const { deps } = createHookDeps();
+
+  try {
+    fs.writeFileSync(messageFile, '\n# Please enter the commit message for your changes.\n');
+
+    const result = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+
+    assert.deepEqual(result, { status: 'written', valid: true });
+    assert.equal(
+      fs.readFileSync(messageFile, 'utf8'),
+      'feat: add login\n\n# Please enter the commit message for your changes.\n',
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg keeps existing text and annotates invalid messages', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'COMMIT_EDITMSG');
+
+  try {
+    fs.writeFileSync(messageFile, 'already written\n');
+    const skipped = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, createHookDeps().deps);
+    assert.deepEqual(skipped, { status: 'skipped', reason: 'message' });
+    assert.equal(fs.readFileSync(messageFile, 'utf8'), 'already written\n');
+
+    fs.writeFileSync(messageFile, '');
+    const { deps } = createHookDeps({
+      generateCommitMessage: async () => ({
+        message: 'Here is your commit message: add login',
+        valid: false,
+        blockingIssues: [{ code: 'meta-prefix' }],
+        warnings: [],
+        attempts: 2,
+      }),
+    });
+    const written = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+
+    assert.deepEqual(written, { status: 'written', valid: false });
+    const content = fs.readFileSync(messageFile, 'utf8');
+    assert.match(content, /^Here is your commit message: add login\n\n# gcg: the generated message failed validation/);
+    assert.match(content, /\n# gcg: .+\n$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg lists masked secrets as comments without blocking', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'COMMIT_EDITMSG');
+  const { deps } = createHookDeps({
+    loadConfig: () => ({ config: { historyCount: 5, maxAttempts: 2, commitlint: false, blockOnSecrets: false }, warnings: [] }),
+    collectStagedChanges: async () => ({
+      summary: { total: 1 },
+      diffContext: {
+        files: ['.env'],
+        diff: 'diff',
+        truncated: false,
+        secrets: [{ file: '.env', line: 3, detector: 'aws-access-key' }],
+      },
+      snapshot: 'snapshot',
+    }),
+  });
+
+  try {
+    fs.writeFileSync(messageFile, '');
+
+    const result = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+
+    assert.deepEqual(result, { status: 'written', valid: true });
+    const content = fs.readFileSync(messageFile, 'utf8');
+    assert.match(content, /^feat: add login\n\n# gcg: possible secrets were masked/);
+    assert.match(content, /\n# gcg: {3}\.env:3 \(aws-access-key\)\n$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg blocks masked secrets without writing when blockOnSecrets is on', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'COMMIT_EDITMSG');
+  const secrets = [{ file: '.env', line: 3, detector: 'aws-access-key' }];
+  let generated = false;
+  const { deps } = createHookDeps({
+    loadConfig: () => ({ config: { historyCount: 5, maxAttempts: 2, commitlint: false, blockOnSecrets: true }, warnings: [] }),
+    collectStagedChanges: async () => ({
+      summary: { total: 1 },
+      diffContext: { files: ['.env'], diff: 'diff', truncated: false, secrets },
+      snapshot: 'snapshot',
+    }),
+    generateCommitMessage: async () => {
+      generated = true;
+      return { message: 'feat: add login', valid: true, blockingIssues: [], warnings: [], attempts: 1 };
+    },
+  });
+
+  try {
+    fs.writeFileSync(messageFile, '');
+
+    const result = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+
+    assert.deepEqual(result, { status: 'blocked', reason: 'secrets', secrets });
+    assert.equal(generated, false);
+    assert.equal(fs.readFileSync(messageFile, 'utf8'), '');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg summarizes merges when hookMergeMessages is on', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'MERGE_MSG');
+  const prompts = [];
+  const { deps } = createHookDeps({
+    loadConfig: () => ({ config: { historyCount: 5, maxAttempts: 2, commitlint: false, hookMergeMessages: true }, warnings: [] }),
+    getMergeSource: async () => 'abc123',
+    getSquashedSubjects: async (gitRoot, range) => `${range}: add parser\nstart parser`,
+    buildPrompt: (input) => {
+      prompts.push(input);
+      return 'prompt';
+    },
+  });
+
+  try {
+    fs.writeFileSync(messageFile, "Merge branch 'parser'\n\n# Conflicts:\n#\tsrc/a.js\n");
+
+    const result = await runPrepareCommitMsg({ messageFile, source: 'merge', cwd: dir }, deps);
+
+    assert.deepEqual(result, { status: 'written', valid: true });
+    assert.equal(prompts[0].squashedSubjects, 'HEAD..abc123: add parser\nstart parser');
+    assert.equal(
+      fs.readFileSync(messageFile, 'utf8'),
+      "feat: add login\n# Merge branch 'parser'\n\n# Conflicts:\n#\tsrc/a.js\n",
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg ignores the diff below the scissors line of commit -v', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'COMMIT_EDITMSG');
+  const { deps } = createHookDeps();
+  const verbose = [
+    '',
+    '# Please enter the commit message for your changes.',
+    '# ------------------------ >8 ------------------------',
+    '# Do not modify or remove the line above.',
+    'diff --git a/src/a.js b/src/a.js',
+    '+const a = 1;',
+    '',
+  ].join('\n');
+
+  try {
+    fs.writeFileSync(messageFile, verbose);
+
+    const result = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+
+    assert.deepEqual(result, { status: 'written', valid: true });
+    assert.equal(fs.readFileSync(messageFile, 'utf8'), `feat: add login\n${verbose}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg uses core.commentChar for existing text and its own notes', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'MERGE_MSG');
+  const { deps } = createHookDeps({
+    getCommentChar: async () => ';',
+    loadConfig: () => ({ config: { historyCount: 5, maxAttempts: 2, commitlint: false, hookMergeMessages: true }, warnings: [] }),
+    getMergeSource: async () => null,
+    generateCommitMessage: async () => ({
+      message: 'Here is your commit message: merge parser',
+      valid: false,
+      blockingIssues: [{ code: 'meta-prefix' }],
+      warnings: [],
+      attempts: 2,
+    }),
+  });
+
+  try {
+    fs.writeFileSync(messageFile, '# not a comment\n');
+    const skipped = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+    assert.deepEqual(skipped, { status: 'skipped', reason: 'message' });
+
+    fs.writeFileSync(messageFile, "Merge branch 'parser'\n\n; Conflicts:\n;\tsrc/a.js\n");
+    const written = await runPrepareCommitMsg({ messageFile, source: 'merge', cwd: dir }, deps);
+
+    assert.deepEqual(written, { status: 'written', valid: false });
+    const content = fs.readFileSync(messageFile, 'utf8');
+    assert.match(content, /\n; gcg: the generated message failed validation/);
+    assert.doesNotMatch(content, /^#/m);
+    assert.match(content, /\n; Merge branch 'parser'\n\n; Conflicts:\n;\tsrc\/a\.js\n$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('getCommentChar reads core.commentChar and resolves auto from the message', async () => {
+  const gitRoot = makeTempDir();
+
+  try {
+    spawnSync('git', ['init', '-q'], { cwd: gitRoot });
+    assert.equal(await getCommentChar(gitRoot), '#');
+
+    spawnSync('git', ['config', 'core.commentChar', ';'], { cwd: gitRoot });
+    assert.equal(await getCommentChar(gitRoot), ';');
+
+    spawnSync('git', ['config', 'core.commentChar', 'auto'], { cwd: gitRoot });
+    assert.equal(await getCommentChar(gitRoot, '#1 fix\n\n; Please enter the commit message\n'), ';');
+    assert.equal(await getCommentChar(gitRoot, '\n; ------------------------ >8 ------------------------\n+#x\n'), ';');
+    assert.equal(await getCommentChar(gitRoot, ''), '#');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runPrepareCommitMsg builds the prompt like gcg and lists other candidates', async () => {
+  const dir = makeTempDir();
+  const messageFile = path.join(dir, 'COMMIT_EDITMSG');
+  const prompts = [];
+  const summarized = [];
+  const messages = ['feat: rename the parser', 'refactor: move parser to lib'];
+  const { deps } = createHookDeps({
+    loadConfig: () => ({
+      config: { historyCount: 5, maxAttempts: 2, commitlint: false, candidates: 2, summarizeLargeDiffs: true },
+      warnings: [],
+    }),
+    collectStagedChanges: async () => ({
+      summary: { total: 2, renamed: 1 },
+      diffContext: {
+        files: ['lib/parser.js', 'src/a.js'],
+        diff: 'budgeted diff',
+        fullDiff: 'diff --git a/src/a.js b/src/a.js\n+a\n',
+        stat: 'src/a.js | 1 +',
+        truncated: true,
+      },
+      snapshot: 'snapshot',
+    }),
+    summarizeDiffChunk: async ({ prompt }) => {
+      summarized.push(prompt);
+      return 'Adds a.';
+    },
+    buildPrompt: (input) => {
+      prompts.push(input);
+      return 'prompt';
+    },
+    generateCommitMessage: async () => ({
+      message: messages.shift(),
+      valid: true,
+      blockingIssues: [],
+      warnings: [],
+      attempts: 1,
+    }),
+  });
+
+  try {
+    fs.writeFileSync(messageFile, '\n# Please enter the commit message for your changes.\n');
+
+    const result = await runPrepareCommitMsg({ messageFile, source: null, cwd: dir }, deps);
+
+    assert.deepEqual(result, { status: 'written', valid: true });
+    assert.equal(summarized.length, 1);
+    assert.equal(prompts[0].diffSummarized, true);
+    assert.equal(prompts[0].hasRenames, true);
+    assert.match(prompts[0].diff, /Adds a\./);
+    assert.equal(
+      fs.readFileSync(messageFile, 'utf8'),
+      'feat: rename the parser\n\n# gcg: other generated messages, to copy from if you prefer one:\n'
+        + '# gcg:   refactor: move parser to lib\n\n# Please enter the commit message for your changes.\n',
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createIgnoreMatcher, loadIgnoreFile, parseIgnoreFile } = require('../src/ignore');
+const { STRINGS } = require('../src/ui');
+
+test('createIgnoreMatcher follows gitignore-style globs', () => {
+  const isIgnored = createIgnoreMatcher(['package-lock.json', '*.min.js', 'dist/', '/gen/**', 'src/*.snap']);
+
+  assert.equal(isIgnored('package-lock.json'), true);
+  assert.equal(isIgnored('web/package-lock.json'), true);
+  assert.equal(isIgnored('lib/vendor.min.js'), true);
+  assert.equal(isIgnored('packages/app/dist/index.js'), true);
+  assert.equal(isIgnored('gen/api/client.ts'), true);
+  assert.equal(isIgnored('src/view.snap'), true);
+
+  assert.equal(isIgnored('dist'), false);
+  assert.equal(isIgnored('tools/gen/client.ts'), false);
+  assert.equal(isIgnored('src/nested/view.snap'), false);
+  assert.equal(isIgnored('src/index.js'), false);
+});
+
+test('createIgnoreMatcher returns null without patterns', () => {
+  assert.equal(createIgnoreMatcher([]), null);
+  assert.equal(createIgnoreMatcher(['  ']), null);
+});
+
+test('parseIgnoreFile skips blank lines and comments', () => {
+  assert.deepEqual(parseIgnoreFile('# generated\n\n*.lock\r\n  dist/  \n'), ['*.lock', 'dist/']);
+});
+
+test('loadIgnoreFile reads .gcgignore from the repository root', () => {
+  const gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-ignore-'));
+
+  try {
+    assert.deepEqual(loadIgnoreFile(gitRoot, STRINGS.en).patterns, []);
+
+    fs.writeFileSync(path.join(gitRoot, '.gcgignore'), '*.lock\n');
+    const result = loadIgnoreFile(gitRoot, STRINGS.en);
+    assert.deepEqual(result.patterns, ['*.lock']);
+    assert.deepEqual(result.warnings, []);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
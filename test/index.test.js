@@ -1,5 +1,9 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
 
 const { execute, run } = require('../index');
 
@@ -54,6 +58,18 @@ function createSpinnerRecorder(events) {
   };
 }
 
+const STAGED_CHANGES = {
+  summary: { added: 1, modified: 0, deleted: 0, total: 1 },
+  diffContext: { files: ['src/a.js'], diff: 'first diff', truncated: false },
+  snapshot: 'snap-1',
+};
+const NO_STAGED_CHANGES = { added: 0, modified: 0, deleted: 0, total: 0 };
+
+// A collectStagedChanges stub that returns STAGED_CHANGES with the given parts replaced.
+function stubStagedChanges(parts = {}) {
+  return async () => ({ ...STAGED_CHANGES, ...parts });
+}
+
 function createOverrides(custom = {}) {
   const consoleSpy = createConsoleSpy();
   const processRef = {
@@ -68,7 +84,7 @@ function createOverrides(custom = {}) {
     selectLanguage: custom.selectLanguage,
     startSpinner: custom.startSpinner || (() => createSpinner()),
     printHelp: custom.printHelp,
-    printConfigWarnings: () => {},
+    printConfigWarnings: custom.printConfigWarnings || (() => {}),
     printSummary: () => {},
     printPointerDetails: () => {},
     printValidationIssues: () => {},
@@ -86,13 +102,19 @@ function createOverrides(custom = {}) {
       },
       warnings: [],
     })),
+    loadCommitlintConfig: custom.loadCommitlintConfig || (() => ({ rules: null, warnings: [] })),
+    loadPromptTemplate: custom.loadPromptTemplate || (() => ({ template: null, warnings: [] })),
     getGitRoot: async () => '/repo',
-    ensureGeminiInstalled: async () => {},
+    createProvider: custom.createProvider || (() => ({
+      name: 'gemini',
+      ensureAvailable: async () => {},
+      generate: async () => '',
+      classifyError: () => 'generic',
+    })),
     stageAllChanges: custom.stageAllChanges || (async () => {}),
     getBranchPointerStatus: custom.getBranchPointerStatus || (async () => ({ status: 'up-to-date' })),
     isSyncBlocked: (status) => status === 'behind' || status === 'diverged' || status === 'detached',
-    getStagedSummary: custom.getStagedSummary || (async () => ({ added: 1, modified: 0, deleted: 0, total: 1 })),
-    collectStagedDiffContext: custom.collectStagedDiffContext || (async () => ({ files: ['src/a.js'], diff: 'first diff', truncated: false })),
+    collectStagedChanges: custom.collectStagedChanges || stubStagedChanges(),
     getRecentHistory: custom.getRecentHistory || (async () => ''),
     getBranchContext: custom.getBranchContext || (async () => ({ branch: 'feature/ABC-1-test', issueHints: ['ABC-1'] })),
     getStagedSnapshot: custom.getStagedSnapshot || (async () => 'snap-1'),
@@ -109,7 +131,12 @@ function createOverrides(custom = {}) {
     loadGlobalSettings: custom.loadGlobalSettings || (() => ({ settings: {} })),
     setGlobalLanguage: custom.setGlobalLanguage || (async () => {}),
     resetGlobalLanguage: custom.resetGlobalLanguage || (async () => ({})),
+    getHooksDir: custom.getHooksDir,
+    installHook: custom.installHook,
+    uninstallHook: custom.uninstallHook,
+    runPrepareCommitMsg: custom.runPrepareCommitMsg,
     notifyComplete: () => {},
+    pickChanges: custom.pickChanges,
     packageVersion: custom.packageVersion,
   };
 }
@@ -205,6 +232,41 @@ test('execute omits numbered step labels when using saved default language', asy
   assert.ok(spinnerEvents.some((event) => event.message.startsWith('메시지 생성 완료:')));
 });
 
+test('run shows large-diff summarization progress on the generation spinner', async () => {
+  const spinnerEvents = [];
+  let seenDiff = null;
+  const overrides = createOverrides({
+    answers: ['1', '', '4'],
+    startSpinner: createSpinnerRecorder(spinnerEvents),
+    loadConfig: () => ({
+      config: { historyCount: 5, strictBranchCheck: false, notifyOnComplete: false, summarizeLargeDiffs: true },
+      warnings: [],
+    }),
+    collectStagedChanges: stubStagedChanges({
+      diffContext: {
+        files: ['a.js', 'b.js'],
+        diff: 'budgeted',
+        stat: 'a.js | +1 -0\nb.js | +1 -0 (patch omitted)',
+        fullDiff: 'diff --git a/a.js b/a.js\n+a\ndiff --git a/b.js b/b.js\n+b\n',
+        truncated: true,
+        omitted: [{ file: 'b.js', reason: 'omitted' }],
+      },
+    }),
+    buildPrompt: ({ diff }) => {
+      seenDiff = diff;
+      return 'prompt';
+    },
+  });
+  overrides.summarizeDiffChunk = async () => '- add a and b';
+
+  await execute([], overrides);
+
+  const messages = spinnerEvents.map((event) => event.message);
+  assert.ok(messages.includes('Summarizing the large diff (1/1 parts)...'));
+  assert.ok(messages.indexOf('Summarizing the large diff (1/1 parts)...') < messages.lastIndexOf('Generating commit message...'));
+  assert.match(seenDiff, /\[PART 1\/1\]\n- add a and b/);
+});
+
 test('execute omits numbered step labels when language is selected interactively', async () => {
   const spinnerEvents = [];
   const overrides = createOverrides({
@@ -248,7 +310,7 @@ test('run keeps concise spinner message when no staged changes exist', async ()
   const spinnerEvents = [];
   const overrides = createOverrides({
     startSpinner: createSpinnerRecorder(spinnerEvents),
-    getStagedSummary: async () => ({ added: 0, modified: 0, deleted: 0, total: 0 }),
+    collectStagedChanges: stubStagedChanges({ summary: NO_STAGED_CHANGES }),
   });
 
   await run('en', overrides);
@@ -257,6 +319,44 @@ test('run keeps concise spinner message when no staged changes exist', async ()
   assert.doesNotMatch(spinnerEvents.map((event) => event.message).join('\n'), /\bStep [1-4]\b/);
 });
 
+test('run --pick stages the picked changes before analysis instead of autoStage', async () => {
+  const calls = [];
+  const overrides = createOverrides({
+    loadConfig: () => ({
+      config: {
+        autoStage: true,
+        historyCount: 5,
+        notifyOnComplete: false,
+        strictBranchCheck: true,
+        fetchBeforeSyncCheck: false,
+      },
+      warnings: [],
+    }),
+    getBranchPointerStatus: async () => {
+      calls.push('sync');
+      return { status: 'up-to-date' };
+    },
+    pickChanges: async (gitRoot, t, { question }) => {
+      calls.push(`pick:${gitRoot}:${typeof question}`);
+      return 1;
+    },
+    stageAllChanges: async () => {
+      calls.push('stageAll');
+    },
+    collectStagedChanges: async () => {
+      calls.push('collect');
+      return STAGED_CHANGES;
+    },
+  });
+  overrides.cliOptions = { pick: true };
+
+  await run('en', overrides);
+
+  assert.deepEqual(calls.slice(0, 3), ['sync', 'pick:/repo:function', 'collect']);
+  assert.ok(!calls.includes('stageAll'));
+  assert.match(overrides.console.lines.join('\n'), /autoStage is skipped because you picked/);
+});
+
 test('execute runs config menu and saves selected language', async () => {
   const calls = [];
   const overrides = createOverrides({
@@ -301,11 +401,10 @@ test('execute reports config reset failures without throwing raw errors', async
 });
 
 test('run blocks commit when staged changes changed after generation', async () => {
-  const snapshots = ['snap-1', 'snap-2'];
   let commitCalls = 0;
   const overrides = createOverrides({
     answers: ['', '1', '4'],
-    getStagedSnapshot: async () => snapshots.shift(),
+    getStagedSnapshot: async () => 'snap-2',
     commitWithMessage: async () => {
       commitCalls += 1;
     },
@@ -329,8 +428,7 @@ test('run regenerates from refreshed staged state', async () => {
   const overrides = createOverrides({
     answers: ['', '2', '4'],
     startSpinner: createSpinnerRecorder(spinnerEvents),
-    collectStagedDiffContext: async () => diffStates.shift(),
-    getStagedSnapshot: async () => snapshots.shift(),
+    collectStagedChanges: async () => ({ ...STAGED_CHANGES, diffContext: diffStates.shift(), snapshot: snapshots.shift() }),
     generateCommitMessage: async ({ prompt }) => {
       prompts.push(prompt);
       return {
@@ -396,3 +494,614 @@ test('run surfaces commit failures after menu selection', async () => {
   assert.equal(overrides.process.exitCode, 1);
   assert.match(overrides.console.lines.join('\n'), /An unexpected error occurred/);
 });
+
+test('run generates through the provider selected by config', async () => {
+  const providerCalls = [];
+  const overrides = createOverrides({
+    answers: ['', '4'],
+    createProvider: (config) => {
+      providerCalls.push(config.provider);
+      return {
+        name: 'custom',
+        ensureAvailable: async () => {
+          providerCalls.push('ensureAvailable');
+        },
+        generate: async () => 'unused',
+        classifyError: () => 'generic',
+      };
+    },
+    loadConfig: () => ({
+      config: {
+        autoStage: false,
+        historyCount: 5,
+        notifyOnComplete: false,
+        strictBranchCheck: false,
+        fetchBeforeSyncCheck: false,
+        provider: 'custom',
+      },
+      warnings: [],
+    }),
+    generateCommitMessage: async ({ provider }) => {
+      providerCalls.push(`generate:${provider.name}`);
+      return {
+        message: 'feat: use provider',
+        valid: true,
+        blockingIssues: [],
+        warnings: [],
+        attempts: 1,
+      };
+    },
+  });
+
+  await run('en', overrides);
+
+  assert.deepEqual(providerCalls, ['custom', 'ensureAvailable', 'generate:custom']);
+});
+
+test('run reports provider availability failures', async () => {
+  const overrides = createOverrides({
+    createProvider: () => ({
+      name: 'gemini',
+      ensureAvailable: async () => {
+        throw new Error('spawn gemini ENOENT');
+      },
+      generate: async () => '',
+      classifyError: () => 'generic',
+    }),
+  });
+
+  await run('en', overrides);
+
+  assert.equal(overrides.process.exitCode, 1);
+  assert.match(overrides.console.lines.join('\n'), /Gemini CLI is not installed/);
+});
+
+test('run prints provider specific errors for http providers', async () => {
+  const overrides = createOverrides({
+    createProvider: () => ({
+      name: 'ollama',
+      ensureAvailable: async () => {},
+      generate: async () => '',
+      classifyError: () => 'generic',
+    }),
+    generateCommitMessage: async () => {
+      const error = new Error('POST failed');
+      error.detail = 'HTTP 503: the server failed while handling the request.';
+      throw error;
+    },
+  });
+
+  await run('en', overrides);
+
+  const output = overrides.console.lines.join('\n');
+  assert.equal(overrides.process.exitCode, 1);
+  assert.match(output, /AI provider "ollama" failed to generate a commit message/);
+  assert.match(output, /HTTP 503/);
+});
+
+test('run passes configured generation limits and reports timeouts', async () => {
+  let seenOptions = null;
+  const overrides = createOverrides({
+    createProvider: () => ({
+      name: 'gemini',
+      ensureAvailable: async () => {},
+      generate: async () => '',
+      classifyError: (error) => (error.timedOut ? 'timeout' : 'generic'),
+    }),
+    loadConfig: () => ({
+      config: {
+        autoStage: false,
+        historyCount: 5,
+        notifyOnComplete: false,
+        strictBranchCheck: false,
+        fetchBeforeSyncCheck: false,
+        model: 'pro',
+        generationTimeoutMs: 30000,
+        maxAttempts: 3,
+      },
+      warnings: [],
+    }),
+    generateCommitMessage: async (options) => {
+      seenOptions = options;
+      const error = new Error('gemini timed out after 30000ms');
+      error.timedOut = true;
+      error.detail = 'gemini did not respond within 30s and was stopped.';
+      throw error;
+    },
+  });
+
+  await run('en', overrides);
+
+  assert.equal(seenOptions.model, 'pro');
+  assert.equal(seenOptions.timeoutMs, 30000);
+  assert.equal(seenOptions.maxAttempts, 3);
+  assert.equal(overrides.process.exitCode, 1);
+  assert.match(overrides.console.lines.join('\n'), /timed out/);
+  assert.match(overrides.console.lines.join('\n'), /did not respond within 30s/);
+});
+
+test('run validates with commitlint rules discovered in the repository', async () => {
+  let seenValidationOptions = null;
+  let printedWarnings = null;
+  const overrides = createOverrides({
+    loadConfig: () => ({
+      config: {
+        autoStage: false,
+        historyCount: 5,
+        notifyOnComplete: false,
+        strictBranchCheck: false,
+        fetchBeforeSyncCheck: false,
+        commitlint: true,
+      },
+      warnings: ['config warning'],
+    }),
+    loadCommitlintConfig: () => ({
+      rules: { 'type-enum': { level: 2, when: 'always', value: ['feat'] } },
+      warnings: ['commitlint warning'],
+    }),
+    printConfigWarnings: (warnings) => {
+      printedWarnings = warnings;
+    },
+    generateCommitMessage: async ({ validationOptions }) => {
+      seenValidationOptions = validationOptions;
+      return {
+        message: 'feat: add login',
+        valid: true,
+        blockingIssues: [],
+        warnings: [],
+        attempts: 1,
+      };
+    },
+  });
+
+  await run('en', overrides);
+
+  assert.deepEqual(seenValidationOptions.commitlintRules, {
+    'type-enum': { level: 2, when: 'always', value: ['feat'] },
+  });
+  assert.deepEqual(printedWarnings, ['config warning', 'commitlint warning']);
+});
+
+test('run builds prompts from the repository template and reports template warnings', async () => {
+  let seenTemplate;
+  let printedWarnings = null;
+  const overrides = createOverrides({
+    loadPromptTemplate: () => ({ template: 'custom {{diff}}', warnings: ['template warning'] }),
+    printConfigWarnings: (warnings) => {
+      printedWarnings = warnings;
+    },
+    buildPrompt: ({ template }) => {
+      seenTemplate = template;
+      return 'prompt';
+    },
+  });
+
+  await run('en', overrides);
+
+  assert.equal(seenTemplate, 'custom {{diff}}');
+  assert.deepEqual(printedWarnings, ['template warning']);
+});
+
+function createNonInteractiveOverrides(custom = {}) {
+  const stdout = [];
+  const overrides = createOverrides({
+    createPrompt: () => {
+      throw new Error('createPrompt should not be called');
+    },
+    selectLanguage: async () => {
+      throw new Error('selectLanguage should not be called');
+    },
+    ...custom,
+  });
+  overrides.console.log = (...args) => {
+    stdout.push(args.join(' '));
+  };
+
+  return { overrides, stdout };
+}
+
+test('execute --print-only writes only the message to stdout', async () => {
+  let seenContext = null;
+  let committed = false;
+  const { overrides, stdout } = createNonInteractiveOverrides({
+    buildPrompt: ({ userContext }) => {
+      seenContext = userContext;
+      return 'prompt';
+    },
+    generateCommitMessage: async () => ({
+      message: 'feat: add login',
+      valid: true,
+      blockingIssues: [],
+      warnings: [],
+      attempts: 1,
+    }),
+    commitWithMessage: async () => {
+      committed = true;
+    },
+  });
+
+  await execute(['--print-only', '--context', 'login work'], overrides);
+
+  assert.deepEqual(stdout, ['feat: add login']);
+  assert.equal(seenContext, 'login work');
+  assert.equal(committed, false);
+  assert.equal(overrides.process.exitCode, 0);
+});
+
+test('execute --yes commits a valid message without prompting', async () => {
+  let seenLang = null;
+  let committedMessage = null;
+  const { overrides } = createNonInteractiveOverrides({
+    buildPrompt: ({ t }) => {
+      seenLang = t.promptLang;
+      return 'prompt';
+    },
+    generateCommitMessage: async () => ({
+      message: 'feat: add login',
+      valid: true,
+      blockingIssues: [],
+      warnings: [],
+      attempts: 1,
+    }),
+    commitWithMessage: async (gitRoot, message) => {
+      committedMessage = message;
+    },
+  });
+
+  await execute(['--yes', '--lang', 'ko'], overrides);
+
+  assert.equal(seenLang, 'KOREAN (한국어)');
+  assert.equal(committedMessage, 'feat: add login');
+  assert.equal(overrides.process.exitCode, 0);
+});
+
+test('execute --yes uses distinct exit codes for each failure', async () => {
+  const cases = [
+    {
+      expected: 2,
+      custom: { collectStagedChanges: stubStagedChanges({ summary: NO_STAGED_CHANGES }) },
+    },
+    {
+      expected: 3,
+      custom: {
+        generateCommitMessage: async () => ({
+          message: '',
+          valid: false,
+          blockingIssues: [{ code: 'empty-message' }],
+          warnings: [],
+          attempts: 2,
+        }),
+      },
+    },
+    {
+      expected: 4,
+      custom: { getBranchPointerStatus: async () => ({ status: 'behind' }) },
+    },
+    {
+      expected: 5,
+      custom: {
+        generateCommitMessage: async () => {
+          throw new Error('provider failed');
+        },
+      },
+    },
+  ];
+
+  for (const { expected, custom } of cases) {
+    let committed = false;
+    const { overrides } = createNonInteractiveOverrides({
+      ...custom,
+      commitWithMessage: async () => {
+        committed = true;
+      },
+    });
+
+    await execute(['--yes'], overrides);
+
+    assert.equal(overrides.process.exitCode, expected);
+    assert.equal(committed, false);
+  }
+});
+
+test('execute warns about masked secrets and blocks them when blockOnSecrets is set', async () => {
+  const secrets = [{ file: '.env', line: 2, detector: 'aws-access-key' }];
+  const collectStagedChanges = stubStagedChanges({ diffContext: { files: ['.env'], diff: 'diff', truncated: false, secrets } });
+
+  for (const blockOnSecrets of [false, true]) {
+    let committed = false;
+    let printed = null;
+    const { overrides } = createNonInteractiveOverrides({
+      collectStagedChanges,
+      loadConfig: () => ({
+        config: { historyCount: 5, strictBranchCheck: false, notifyOnComplete: false, blockOnSecrets },
+        warnings: [],
+      }),
+      commitWithMessage: async () => {
+        committed = true;
+      },
+    });
+    overrides.printSecretFindings = (findings) => {
+      printed = findings;
+    };
+
+    await execute(['--yes'], overrides);
+
+    assert.deepEqual(printed, secrets);
+    assert.equal(overrides.process.exitCode, blockOnSecrets ? 6 : 0);
+    assert.equal(committed, !blockOnSecrets);
+  }
+});
+
+test('execute installs the hook into the resolved hooks directory', async () => {
+  let seenHooksDir = null;
+  const overrides = createOverrides({
+    getHooksDir: async (gitRoot) => `${gitRoot}/.githooks`,
+    installHook: (hooksDir) => {
+      seenHooksDir = hooksDir;
+      return { status: 'chained', hookPath: `${hooksDir}/prepare-commit-msg`, chainedPath: `${hooksDir}/prepare-commit-msg.pre-gcg` };
+    },
+  });
+
+  await execute(['hook', 'install'], overrides);
+
+  assert.equal(seenHooksDir, '/repo/.githooks');
+  assert.match(overrides.console.lines.join('\n'), /existing hook was moved/);
+  assert.equal(overrides.process.exitCode, 0);
+});
+
+test('execute hook run reports failures without failing the commit', async () => {
+  let seenArgs = null;
+  const overrides = createOverrides({
+    runPrepareCommitMsg: async (args) => {
+      seenArgs = args;
+      const error = new Error('spawn gemini ENOENT');
+      throw error;
+    },
+  });
+
+  await execute(['hook', 'run', '.git/COMMIT_EDITMSG'], overrides);
+
+  assert.deepEqual(seenArgs, { messageFile: '.git/COMMIT_EDITMSG', source: null, cwd: '/repo' });
+  assert.match(overrides.console.lines.join('\n'), /gcg: spawn gemini ENOENT/);
+  assert.equal(overrides.process.exitCode, 0);
+});
+
+test('execute hook run exits with the secrets status when the hook blocks', async () => {
+  const secrets = [{ file: '.env', line: 3, detector: 'aws-access-key' }];
+  let printed = null;
+  const overrides = createOverrides({
+    runPrepareCommitMsg: async () => ({ status: 'blocked', reason: 'secrets', secrets }),
+  });
+  overrides.printSecretFindings = (findings) => {
+    printed = findings;
+  };
+
+  await execute(['hook', 'run', '.git/COMMIT_EDITMSG'], overrides);
+
+  assert.deepEqual(printed, secrets);
+  assert.match(overrides.console.lines.join('\n'), /Commit blocked/);
+  assert.equal(overrides.process.exitCode, 6);
+});
+
+test('execute --json prints one structured result without colors', async () => {
+  const { overrides, stdout } = createNonInteractiveOverrides({
+    startSpinner: () => {
+      throw new Error('startSpinner should not be called');
+    },
+    getBranchPointerStatus: async () => ({ status: 'up-to-date', branch: 'main' }),
+    generateCommitMessage: async () => ({
+      message: 'feat: add login',
+      valid: true,
+      blockingIssues: [],
+      warnings: [{ code: 'title-too-long', max: 50 }],
+      attempts: 2,
+    }),
+  });
+
+  await execute(['--json'], overrides);
+
+  assert.equal(stdout.length, 1);
+  assert.doesNotMatch(stdout[0], /\x1b\[/);
+  const result = JSON.parse(stdout[0]);
+  assert.equal(result.status, 'generated');
+  assert.equal(result.message, 'feat: add login');
+  assert.equal(result.valid, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.committed, false);
+  assert.deepEqual(result.summary, { added: 1, modified: 0, deleted: 0, total: 1 });
+  assert.deepEqual(result.sync, { status: 'up-to-date', branch: 'main' });
+  assert.equal(typeof result.durationMs, 'number');
+  assert.deepEqual(result.warnings, [{ code: 'title-too-long', max: 50, text: 'Title is longer than 50 characters.' }]);
+  assert.equal(overrides.process.exitCode, 0);
+});
+
+test('execute --json --yes reports commits and failures in the result', async () => {
+  const committed = createNonInteractiveOverrides();
+  await execute(['--json', '--yes'], committed.overrides);
+  assert.equal(JSON.parse(committed.stdout[0]).status, 'committed');
+  assert.equal(JSON.parse(committed.stdout[0]).committed, true);
+
+  const failed = createNonInteractiveOverrides({
+    createProvider: () => ({
+      name: 'ollama',
+      ensureAvailable: async () => {
+        const error = new Error('connect ECONNREFUSED');
+        error.detail = 'Connection refused by http://localhost:11434. Is the server running?';
+        throw error;
+      },
+      generate: async () => '',
+      classifyError: () => 'generic',
+    }),
+  });
+  await execute(['--json', '--yes'], failed.overrides);
+
+  const result = JSON.parse(failed.stdout[0]);
+  assert.equal(result.status, 'providerFailed');
+  assert.match(result.error.message, /AI provider "ollama" is not available/);
+  assert.match(result.error.detail, /Connection refused/);
+  assert.equal(failed.overrides.process.exitCode, 5);
+});
+
+test('gcg --json --yes keeps git output out of the JSON on stdout', () => {
+  const gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-index-'));
+  const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-home-'));
+  const env = {
+    ...process.env,
+    HOME: homeDir,
+    GIT_AUTHOR_NAME: 'gcg',
+    GIT_AUTHOR_EMAIL: 'gcg@example.com',
+    GIT_COMMITTER_NAME: 'gcg',
+    GIT_COMMITTER_EMAIL: 'gcg@example.com',
+  };
+  const git = (...args) => spawnSync('git', args, { cwd: gitRoot, env, encoding: 'utf8' });
+
+  try {
+    git('init', '-q');
+    git('commit', '-q', '--allow-empty', '-m', 'base');
+    fs.writeFileSync(path.join(gitRoot, '.gcgrc.json'), JSON.stringify({
+      provider: 'command',
+      notifyOnComplete: false,
+      command: {
+        executable: process.execPath,
+        args: ['-e', 'process.stdin.resume(); process.stdin.on("end", () => process.stdout.write("Add the readme"));'],
+      },
+    }));
+    fs.writeFileSync(path.join(gitRoot, 'readme.md'), '# Demo\n');
+    git('add', '.');
+
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), '--json', '--yes'], {
+      cwd: gitRoot,
+      env,
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.status, 'committed');
+    assert.equal(result.status, 0);
+    assert.equal(git('log', '-1', '--format=%s').stdout, 'Add the readme\n');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  }
+});
+
+test('execute serve --stdio starts the server with the saved language', async () => {
+  let seen = null;
+  const overrides = createOverrides({
+    loadGlobalSettings: () => ({ settings: { language: 'ko' } }),
+  });
+  overrides.serveStdio = async (options) => {
+    seen = options;
+  };
+
+  await execute(['serve', '--stdio'], overrides);
+
+  assert.equal(seen.cwd, '/repo');
+  assert.equal(seen.lang, 'ko');
+  assert.deepEqual(overrides.console.lines, []);
+});
+
+function createCandidateOverrides(custom = {}) {
+  let generatedCount = 0;
+  const committed = [];
+  const shown = [];
+  const overrides = createOverrides({
+    loadConfig: () => ({
+      config: {
+        autoStage: false,
+        historyCount: 5,
+        strictBranchCheck: false,
+        candidates: 2,
+      },
+      warnings: [],
+    }),
+    generateCommitMessage: async () => {
+      generatedCount += 1;
+      return {
+        message: `feat: candidate ${generatedCount}`,
+        valid: generatedCount !== 1,
+        blockingIssues: generatedCount === 1 ? [{ code: 'missing-title' }] : [],
+        warnings: [],
+        attempts: 1,
+      };
+    },
+    commitWithMessage: async (gitRoot, message) => {
+      committed.push(message);
+    },
+    ...custom,
+  });
+  overrides.printCandidates = (candidates, selectedIndex) => {
+    shown.push({ messages: candidates.map((candidate) => candidate.message), selectedIndex });
+  };
+
+  return { overrides, committed, shown };
+}
+
+test('run keeps earlier candidates after regenerating and commits the picked one', async () => {
+  const { overrides, committed, shown } = createCandidateOverrides({
+    answers: ['', '2', '5', '2', '1'],
+  });
+
+  await run('en', overrides);
+
+  assert.deepEqual(shown[0], { messages: ['feat: candidate 1', 'feat: candidate 2'], selectedIndex: 1 });
+  assert.deepEqual(shown[1].messages, [
+    'feat: candidate 1',
+    'feat: candidate 2',
+    'feat: candidate 3',
+    'feat: candidate 4',
+  ]);
+  assert.equal(shown[1].selectedIndex, 2);
+  assert.equal(shown[2].selectedIndex, 1);
+  assert.deepEqual(committed, ['feat: candidate 2']);
+  assert.match(overrides.console.lines.join('\n'), /5\) 🔢 Choose another candidate/);
+});
+
+test('run combines candidates in the editor without their comment lines', async () => {
+  let editorCall = null;
+  const { overrides, committed } = createCandidateOverrides({
+    answers: ['', '6'],
+    editInEditor: async (content, promptControl, options) => {
+      editorCall = { content, options };
+      return { status: 'saved', message: 'feat: combined candidates' };
+    },
+  });
+
+  await run('en', overrides);
+
+  assert.match(editorCall.content, /^feat: candidate 1\n\nfeat: candidate 2\n\n# /);
+  assert.deepEqual(editorCall.options, { stripComments: true });
+  assert.deepEqual(committed, ['feat: combined candidates']);
+});
+
+test('run refines the message with instructions and steps back through revisions', async () => {
+  const prompts = [];
+  const committed = [];
+  const overrides = createOverrides({
+    answers: ['', '5', '', '5', 'shorter', '5', 'past tense', '6', '1'],
+    generateCommitMessage: async ({ prompt }) => {
+      prompts.push(prompt);
+      return {
+        message: `feat: revision ${prompts.length}`,
+        valid: true,
+        blockingIssues: [],
+        warnings: [],
+        attempts: 1,
+      };
+    },
+    commitWithMessage: async (gitRoot, message) => {
+      committed.push(message);
+    },
+  });
+
+  await run('en', overrides);
+
+  const output = overrides.console.lines.join('\n');
+  assert.equal(prompts.length, 3);
+  assert.match(prompts[1], /\[CURRENT MESSAGE\]\nfeat: revision 1\n[\s\S]*instruction: shorter/);
+  assert.match(prompts[2], /\[CURRENT MESSAGE\]\nfeat: revision 2\n[\s\S]*instruction: past tense/);
+  assert.match(output, /No instruction given/);
+  assert.match(output, /6\) ↩️ {2}Back to the previous revision/);
+  assert.deepEqual(committed, ['feat: revision 2']);
+});
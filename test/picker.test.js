@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { STRINGS } = require('../src/ui');
+const { collectUnstagedChanges } = require('../src/git');
+const {
+  buildPickerItems,
+  buildStagingPlan,
+  parseTargets,
+  pickChanges,
+  splitHunks,
+  toggleTargets,
+} = require('../src/picker');
+
+const GIT_IDENTITY = ['-c', 'user.name=gcg', '-c', 'user.email=gcg@example.com'];
+
+const FILE_DIFF = [
+  'diff --git a/app.js b/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/app.js',
+  '+++ b/app.js',
+  '@@ -1,2 +1,2 @@',
+  '-one',
+  '+ONE',
+  ' two',
+  '@@ -9,2 +9,2 @@',
+  ' nine',
+  '-ten',
+  '+TEN',
+  '',
+].join('\n');
+
+function createRepo() {
+  const gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-picker-'));
+  const git = (...args) => spawnSync('git', [...GIT_IDENTITY, ...args], { cwd: gitRoot, encoding: 'utf8' });
+  const lines = Array.from({ length: 12 }, (_, index) => `line ${index + 1}`);
+
+  git('init', '-q');
+  fs.writeFileSync(path.join(gitRoot, 'app.js'), `${lines.join('\n')}\n`);
+  git('add', '.');
+  git('commit', '-q', '-m', 'base');
+
+  lines[0] = 'line 1 changed';
+  lines[11] = 'line 12 changed';
+  fs.writeFileSync(path.join(gitRoot, 'app.js'), `${lines.join('\n')}\n`);
+  fs.writeFileSync(path.join(gitRoot, 'notes.md'), 'notes\n');
+
+  return { gitRoot, git };
+}
+
+test('splitHunks separates the file header from each hunk', () => {
+  const { header, hunks } = splitHunks(FILE_DIFF);
+
+  assert.match(header, /^diff --git a\/app\.js b\/app\.js\n[\s\S]*\+\+\+ b\/app\.js\n$/);
+  assert.deepEqual(hunks, ['@@ -1,2 +1,2 @@\n-one\n+ONE\n two\n', '@@ -9,2 +9,2 @@\n nine\n-ten\n+TEN\n']);
+  assert.deepEqual(splitHunks('diff --git a/x.png b/x.png\nBinary files a/x.png and b/x.png differ\n').hunks, []);
+});
+
+test('parseTargets accepts files, hunks, and ranges and rejects anything else', () => {
+  const items = buildPickerItems({ changes: [{ status: 'M', file: 'app.js', diff: FILE_DIFF }], untracked: ['a.md', 'b.md'] });
+
+  assert.deepEqual(parseTargets('1.2, 2-3', items), [
+    { item: 0, hunk: 1 },
+    { item: 1, hunk: null },
+    { item: 2, hunk: null },
+  ]);
+  assert.equal(parseTargets('4', items), null);
+  assert.equal(parseTargets('1.3', items), null);
+  assert.equal(parseTargets('2.1', items), null);
+  assert.equal(parseTargets('3-2', items), null);
+  assert.equal(parseTargets('x', items), null);
+});
+
+test('buildStagingPlan stages whole files by path and partial files by patch', () => {
+  const items = buildPickerItems({ changes: [{ status: 'M', file: 'app.js', diff: FILE_DIFF }], untracked: ['a.md', 'b.md'] });
+
+  toggleTargets(items, [{ item: 0, hunk: 1 }, { item: 2, hunk: null }]);
+  const plan = buildStagingPlan(items);
+
+  assert.deepEqual(plan.paths, ['b.md']);
+  assert.equal(plan.fileCount, 2);
+  assert.equal(plan.patch, `${splitHunks(FILE_DIFF).header}@@ -9,2 +9,2 @@\n nine\n-ten\n+TEN\n`);
+
+  toggleTargets(items, [{ item: 0, hunk: null }]);
+  assert.deepEqual(buildStagingPlan(items).paths, ['app.js', 'b.md']);
+  assert.equal(buildStagingPlan(items).patch, '');
+});
+
+test('pickChanges stages one hunk and an untracked file in a real repository', async () => {
+  const { gitRoot, git } = createRepo();
+  const lines = [];
+  const answers = ['v 1.2', '1.2', '9', '2', ''];
+
+  try {
+    const count = await pickChanges(gitRoot, STRINGS.en, {
+      question: async () => (answers.length > 0 ? answers.shift() : 'q'),
+      consoleRef: { log: (line) => lines.push(line) },
+    });
+
+    assert.equal(count, 2);
+    assert.equal(git('diff', '--cached', '--name-only').stdout, 'app.js\nnotes.md\n');
+    assert.match(git('diff', '--cached', 'app.js').stdout, /\+line 12 changed/);
+    assert.doesNotMatch(git('diff', '--cached', 'app.js').stdout, /line 1 changed/);
+    assert.match(git('diff', 'app.js').stdout, /\+line 1 changed/);
+    assert.ok(lines.some((line) => /\+line 12 changed/.test(line)));
+    assert.ok(lines.some((line) => /Invalid selection/.test(line)));
+    assert.ok(lines.some((line) => /1\) \[~\] app\.js/.test(line)));
+    assert.ok(lines.some((line) => /Staged the selected changes in 2 files/.test(line)));
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('pickChanges leaves the index alone when the user skips or selects nothing', async () => {
+  const { gitRoot, git } = createRepo();
+
+  try {
+    for (const answer of ['q', '']) {
+      const count = await pickChanges(gitRoot, STRINGS.en, {
+        question: async () => answer,
+        consoleRef: { log: () => {} },
+      });
+      assert.equal(count, 0);
+    }
+
+    assert.equal(git('diff', '--cached', '--name-only').stdout, '');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('pickChanges stages the right hunk of a file listed after a typechange', async () => {
+  const { gitRoot, git } = createRepo();
+  fs.writeFileSync(path.join(gitRoot, 'link.txt'), 'plain file\n');
+  git('add', 'link.txt');
+  git('commit', '-q', '-m', 'add link.txt');
+  fs.rmSync(path.join(gitRoot, 'link.txt'));
+  fs.symlinkSync('app.js', path.join(gitRoot, 'link.txt'));
+  const answers = ['1.2', ''];
+
+  try {
+    const items = buildPickerItems(await collectUnstagedChanges(gitRoot));
+    assert.deepEqual(items.map((item) => [item.file, item.hunks.length]), [['app.js', 2], ['link.txt', 0], ['notes.md', 0]]);
+
+    const count = await pickChanges(gitRoot, STRINGS.en, {
+      question: async () => (answers.length > 0 ? answers.shift() : 'q'),
+      consoleRef: { log: () => {} },
+    });
+
+    assert.equal(count, 1);
+    assert.equal(git('diff', '--cached', '--name-only').stdout, 'app.js\n');
+    assert.match(git('diff', '--cached', 'app.js').stdout, /\+line 12 changed/);
+    assert.equal(git('ls-files', '-s', 'link.txt').stdout.split(' ')[0], '100644');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
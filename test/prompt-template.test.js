@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  findUnknownPlaceholders,
+  loadPromptTemplate,
+  renderPromptTemplate,
+} = require('../src/prompt-template');
+const { STRINGS } = require('../src/ui');
+
+function makeTempRepo(template) {
+  const gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-template-'));
+  if (template !== undefined) {
+    fs.mkdirSync(path.join(gitRoot, '.gcg'));
+    fs.writeFileSync(path.join(gitRoot, '.gcg', 'prompt.md'), template);
+  }
+  return gitRoot;
+}
+
+test('renderPromptTemplate fills placeholders in a single pass', () => {
+  const rendered = renderPromptTemplate('Diff:\n{{ diff }}\nFiles: {{files}}', {
+    diff: 'literal {{files}} in the diff',
+    files: '- a.js',
+  });
+
+  assert.equal(rendered, 'Diff:\nliteral {{files}} in the diff\nFiles: - a.js');
+});
+
+test('findUnknownPlaceholders reports each unknown name once', () => {
+  assert.deepEqual(findUnknownPlaceholders('{{diff}} {{glossary}} {{tone}} {{glossary}}'), ['glossary', 'tone']);
+});
+
+test('loadPromptTemplate returns no template when the file is missing', () => {
+  const gitRoot = makeTempRepo();
+
+  try {
+    const result = loadPromptTemplate(gitRoot, STRINGS.en);
+    assert.equal(result.template, null);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.templatePath, path.join(gitRoot, '.gcg', 'prompt.md'));
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadPromptTemplate reads a repository template', () => {
+  const gitRoot = makeTempRepo('Glossary: "tenant" means customer account.\n\n{{diff}}\n\n{{format}}\n');
+
+  try {
+    const result = loadPromptTemplate(gitRoot, STRINGS.en);
+    assert.equal(result.template, 'Glossary: "tenant" means customer account.\n\n{{diff}}\n\n{{format}}');
+    assert.deepEqual(result.warnings, []);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('loadPromptTemplate falls back with a warning for unknown placeholders or empty files', () => {
+  const unknownRoot = makeTempRepo('{{diff}} {{glossary}}');
+  const emptyRoot = makeTempRepo('  \n');
+
+  try {
+    const unknown = loadPromptTemplate(unknownRoot, STRINGS.en);
+    assert.equal(unknown.template, null);
+    assert.equal(unknown.warnings.length, 1);
+    assert.match(unknown.warnings[0], /Unknown placeholder \{\{glossary\}\}/);
+
+    const empty = loadPromptTemplate(emptyRoot, STRINGS.en);
+    assert.equal(empty.template, null);
+    assert.match(empty.warnings[0], /is empty/);
+  } finally {
+    fs.rmSync(unknownRoot, { recursive: true, force: true });
+    fs.rmSync(emptyRoot, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,254 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  classifyCliError,
+  createProvider,
+  resolveExecutable,
+  runCommand,
+} = require('../src/providers');
+
+test('classifyCliError detects authentication failures', () => {
+  assert.equal(classifyCliError(new Error('Unauthorized: please login')), 'auth');
+  assert.equal(classifyCliError({ message: 'Permission denied', stderr: '' }), 'auth');
+  assert.equal(classifyCliError({ message: 'network timeout', stderr: 'socket hang up' }), 'generic');
+});
+
+test('createProvider defaults to the Gemini CLI provider', () => {
+  const provider = createProvider({});
+
+  assert.equal(provider.name, 'gemini');
+  assert.equal(provider.defaultModel, 'flash');
+  assert.equal(typeof provider.ensureAvailable, 'function');
+  assert.equal(typeof provider.generate, 'function');
+  assert.equal(provider.classifyError(new Error('login required')), 'auth');
+});
+
+test('providers declare whether candidates can be generated in parallel', () => {
+  assert.equal(createProvider({ provider: 'gemini' }).supportsParallel, true);
+  assert.equal(createProvider({ provider: 'openai' }).supportsParallel, true);
+  assert.equal(createProvider({ provider: 'ollama' }).supportsParallel, false);
+  assert.equal(createProvider({ provider: 'command' }).supportsParallel, false);
+});
+
+test('createProvider rejects unknown providers', () => {
+  assert.throws(() => createProvider({ provider: 'unknown' }), /Unknown AI provider: unknown/);
+});
+
+function createFetchStub(responses, calls) {
+  return async (url, init) => {
+    calls.push({ url, init });
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+
+    return {
+      ok: next.status >= 200 && next.status < 300,
+      status: next.status,
+      text: async () => next.body,
+    };
+  };
+}
+
+test('ollama provider posts to /api/generate and returns the response text', async () => {
+  const calls = [];
+  const provider = createProvider({
+    provider: 'ollama',
+    http: { model: 'llama3' },
+  }, {
+    fetchImpl: createFetchStub([
+      { status: 200, body: JSON.stringify({ response: ' feat: local model \n' }) },
+    ], calls),
+  });
+
+  const message = await provider.generate('prompt text', {});
+
+  assert.equal(message, 'feat: local model');
+  assert.equal(calls[0].url, 'http://localhost:11434/api/generate');
+  assert.deepEqual(JSON.parse(calls[0].init.body), { model: 'llama3', prompt: 'prompt text', stream: false });
+});
+
+test('openai provider posts chat completions with the configured API key', async () => {
+  const calls = [];
+  const provider = createProvider({
+    provider: 'openai',
+    http: { baseUrl: 'http://127.0.0.1:1234/v1/', model: 'qwen', apiKeyEnv: 'GCG_LOCAL_LLM_KEY' },
+  }, {
+    env: { GCG_LOCAL_LLM_KEY: 'secret' },
+    fetchImpl: createFetchStub([
+      { status: 200, body: JSON.stringify({ choices: [{ message: { content: 'fix: use chat api' } }] }) },
+    ], calls),
+  });
+
+  const message = await provider.generate('prompt text', { model: 'override' });
+
+  assert.equal(message, 'fix: use chat api');
+  assert.equal(calls[0].url, 'http://127.0.0.1:1234/v1/chat/completions');
+  assert.equal(calls[0].init.headers.authorization, 'Bearer secret');
+  assert.equal(JSON.parse(calls[0].init.body).model, 'override');
+});
+
+test('http providers map status codes onto auth and generic errors', async () => {
+  for (const [status, expected] of [[401, 'auth'], [403, 'auth'], [429, 'generic'], [503, 'generic']]) {
+    const provider = createProvider({
+      provider: 'ollama',
+      http: { model: 'llama3' },
+    }, {
+      fetchImpl: createFetchStub([{ status, body: 'nope' }], []),
+    });
+
+    const error = await provider.generate('prompt', {}).catch((caught) => caught);
+    assert.equal(error.status, status);
+    assert.equal(provider.classifyError(error), expected);
+    assert.match(error.detail, new RegExp(`HTTP ${status}`));
+  }
+});
+
+test('http providers describe refused connections', async () => {
+  const refused = new TypeError('fetch failed');
+  refused.cause = { code: 'ECONNREFUSED' };
+  const provider = createProvider({
+    provider: 'ollama',
+    http: { model: 'llama3' },
+  }, {
+    fetchImpl: createFetchStub([refused], []),
+  });
+
+  await assert.rejects(provider.ensureAvailable(), (error) => {
+    assert.equal(provider.classifyError(error), 'generic');
+    assert.match(error.detail, /Connection refused/);
+    return true;
+  });
+});
+
+test('http providers require a model and base URL before generating', async () => {
+  const missingModel = createProvider({ provider: 'ollama', http: {} }, { fetchImpl: createFetchStub([], []) });
+  await assert.rejects(missingModel.ensureAvailable(), /model or http\.model is required/);
+
+  const missingBaseUrl = createProvider({ provider: 'openai', http: { model: 'qwen' } }, { fetchImpl: createFetchStub([], []) });
+  await assert.rejects(missingBaseUrl.ensureAvailable(), /http\.baseUrl is required/);
+});
+
+test('command provider expands {model} and pipes the prompt through runCommand', async () => {
+  const calls = [];
+  const provider = createProvider({
+    provider: 'command',
+    command: {
+      executable: 'llm-wrapper',
+      args: ['generate', '--model={model}', '--quiet'],
+      model: 'house-model',
+    },
+  }, {
+    runCommand: async (command, args, prompt, cwd) => {
+      calls.push({ command, args, prompt, cwd });
+      return 'chore: run wrapper';
+    },
+  });
+
+  const message = await provider.generate('prompt text', { cwd: '/repo' });
+
+  assert.equal(message, 'chore: run wrapper');
+  assert.deepEqual(calls, [{
+    command: 'llm-wrapper',
+    args: ['generate', '--model=house-model', '--quiet'],
+    prompt: 'prompt text',
+    cwd: '/repo',
+  }]);
+});
+
+test('command provider requires an executable that can be resolved', async () => {
+  const missingExecutable = createProvider({ provider: 'command', command: {} });
+  await assert.rejects(missingExecutable.ensureAvailable('/repo'), /command\.executable is required/);
+
+  const missingModel = createProvider({
+    provider: 'command',
+    command: { executable: 'tool', args: ['-m', '{model}'] },
+  });
+  await assert.rejects(missingModel.ensureAvailable('/repo'), /model or command\.model is required/);
+
+  const notOnPath = createProvider({
+    provider: 'command',
+    command: { executable: 'tool' },
+  }, {
+    resolveExecutable: () => null,
+  });
+  await assert.rejects(notOnPath.ensureAvailable('/repo'), /tool was not found on PATH/);
+});
+
+test('resolveExecutable searches PATH entries', () => {
+  const existing = new Set([path.join('/opt/tools', 'llm-wrapper')]);
+  const options = {
+    env: { PATH: ['/usr/bin', '/opt/tools'].join(path.delimiter) },
+    platform: 'linux',
+    existsSync: (candidate) => existing.has(candidate),
+  };
+
+  assert.equal(resolveExecutable('llm-wrapper', options), path.join('/opt/tools', 'llm-wrapper'));
+  assert.equal(resolveExecutable('missing-tool', options), null);
+});
+
+test('runCommand stops a hung process after the timeout', async () => {
+  const startedAt = Date.now();
+
+  await assert.rejects(
+    runCommand(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], 'prompt', process.cwd(), { timeoutMs: 200 }),
+    (error) => {
+      assert.equal(error.timedOut, true);
+      assert.equal(classifyCliError(error), 'timeout');
+      assert.match(error.detail, /did not respond within/);
+      return true;
+    },
+  );
+
+  assert.ok(Date.now() - startedAt < 5000);
+});
+
+test('gemini provider uses the configured model and timeout', async () => {
+  const calls = [];
+  const provider = createProvider({ model: 'pro' }, {
+    runGemini: async (prompt, cwd, model, options) => {
+      calls.push({ model, options });
+      return 'feat: configured model';
+    },
+  });
+
+  await provider.generate('prompt', { cwd: '/repo', timeoutMs: 1000 });
+
+  assert.equal(provider.defaultModel, 'pro');
+  assert.deepEqual(calls, [{ model: 'pro', options: { timeoutMs: 1000 } }]);
+});
+
+test('http providers abort requests that exceed the timeout', async () => {
+  const provider = createProvider({
+    provider: 'ollama',
+    model: 'llama3',
+  }, {
+    fetchImpl: (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }),
+  });
+
+  await assert.rejects(provider.generate('prompt', { timeoutMs: 50 }), (error) => {
+    assert.equal(provider.classifyError(error), 'timeout');
+    return true;
+  });
+});
+
+test('http providers stop the availability check after generationTimeoutMs', async () => {
+  const provider = createProvider({
+    provider: 'ollama',
+    model: 'llama3',
+    generationTimeoutMs: 50,
+  }, {
+    fetchImpl: (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }),
+  });
+
+  await assert.rejects(provider.ensureAvailable(), (error) => {
+    assert.equal(provider.classifyError(error), 'timeout');
+    return true;
+  });
+});
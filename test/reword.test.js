@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES } = require('../src/cli');
+const { parseRewordRange, runReword } = require('../src/reword');
+const { createOverrides, createRepo } = require('./helpers');
+
+// Four commits by another author, the last three with messages worth rewording.
+function setUpRewordRepo({ git, commit }) {
+  const ada = ['-c', 'user.name=Ada', '-c', 'user.email=ada@example.com'];
+  git('init', '-q');
+  commit('readme.md', '# Demo\n', 'Add readme', ada);
+  commit('parser.js', 'module.exports = (input) => input.split(",");\n', 'wip', ada);
+  commit('parser.js', 'module.exports = (input) => input.split(",").map((part) => part.trim());\n', 'fix', ada);
+  commit('parser.test.js', 'require("./parser")("a, b");\n', 'wip 2', ada);
+}
+
+// rewriteCommitMessages records the current user as committer, which a CI runner without a
+// configured git identity does not have.
+async function withCommitter(callback) {
+  const saved = { name: process.env.GIT_COMMITTER_NAME, email: process.env.GIT_COMMITTER_EMAIL };
+  process.env.GIT_COMMITTER_NAME = 'gcg';
+  process.env.GIT_COMMITTER_EMAIL = 'gcg@example.com';
+
+  try {
+    await callback();
+  } finally {
+    for (const [key, value] of [['GIT_COMMITTER_NAME', saved.name], ['GIT_COMMITTER_EMAIL', saved.email]]) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+// The stub provider and prompt settings every reword run starts from.
+const REWORD_RUN = {
+  cancelAnswer: '5',
+  response: 'Generated message',
+};
+
+test('parseRewordRange reads a base with an optional tip', () => {
+  assert.deepEqual(parseRewordRange('main'), { base: 'main', tip: 'HEAD' });
+  assert.deepEqual(parseRewordRange('origin/main..'), { base: 'origin/main', tip: 'HEAD' });
+  assert.deepEqual(parseRewordRange('HEAD~3..HEAD'), { base: 'HEAD~3', tip: 'HEAD' });
+  assert.equal(parseRewordRange('main...HEAD'), null);
+  assert.equal(parseRewordRange('..HEAD'), null);
+  assert.equal(parseRewordRange('a..b..c'), null);
+});
+
+test('runReword rewrites approved messages and keeps trees and authors', async () => {
+  const { gitRoot, git } = createRepo('reword', setUpRewordRepo);
+  const treeBefore = git('rev-parse', 'HEAD^{tree}').stdout;
+  const overrides = createOverrides({
+    ...REWORD_RUN,
+    answers: ['', '1', '4', '1'],
+    responses: ['Add a comma parser', 'Trim parsed parts', 'Test the parser'],
+  });
+
+  try {
+    await withCommitter(() => runReword({ cwd: gitRoot, lang: 'en', range: 'HEAD~3' }, overrides));
+
+    assert.equal(overrides.process.exitCode, undefined);
+    assert.equal(git('log', '--format=%s').stdout, 'Test the parser\nfix\nAdd a comma parser\nAdd readme\n');
+    assert.equal(git('rev-parse', 'HEAD^{tree}').stdout, treeBefore);
+    assert.equal(git('log', '--format=%an <%ae>').stdout.split('\n').filter(Boolean).every((line) => line === 'Ada <ada@example.com>'), true);
+    assert.equal(git('status', '--porcelain').stdout, '');
+    assert.match(overrides.prompts[0], /- This message replaces the one of an existing commit whose content stays the same\.[^\n]*\n  > wip\n/);
+    assert.doesNotMatch(overrides.prompts[0], /commit being amended|newly staged changes/);
+    assert.match(overrides.prompts[2], /> wip 2/);
+    assert.match(overrides.prompts[2], /fix\nAdd a comma parser\nAdd readme/);
+    assert.ok(overrides.lines.some((line) => /Reworded 2 commits/.test(line)));
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runReword refuses a dirty tree, merge commits, and pushed commits', async () => {
+  const { gitRoot, git } = createRepo('reword', setUpRewordRepo);
+  const headBefore = git('rev-parse', 'HEAD').stdout;
+
+  try {
+    fs.appendFileSync(path.join(gitRoot, 'readme.md'), 'dirty\n');
+    const dirty = createOverrides(REWORD_RUN);
+    await runReword({ cwd: gitRoot, lang: 'en', range: 'HEAD~3', options: { yes: true } }, dirty);
+    assert.equal(dirty.process.exitCode, EXIT_CODES.error);
+    assert.ok(dirty.lines.some((line) => /uncommitted changes/.test(line)));
+    git('checkout', '-q', '--', 'readme.md');
+
+    git('branch', 'remote-main', 'HEAD~1');
+    const pushed = createOverrides({
+      ...REWORD_RUN,
+      getBranchPointerStatus: async () => ({ status: 'ahead', upstream: 'remote-main', ahead: 1, behind: 0 }),
+    });
+    await runReword({ cwd: gitRoot, lang: 'en', range: 'HEAD~3', options: { yes: true } }, pushed);
+    assert.equal(pushed.process.exitCode, EXIT_CODES.syncBlocked);
+    assert.ok(pushed.lines.some((line) => /already on remote-main/.test(line)));
+    assert.equal(pushed.prompts.length, 0);
+
+    git('checkout', '-q', '-b', 'side', 'HEAD~2');
+    fs.writeFileSync(path.join(gitRoot, 'side.md'), 'side\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'side');
+    git('checkout', '-q', '-');
+    git('merge', '-q', '--no-ff', '-m', 'merge side', 'side');
+    const merged = createOverrides(REWORD_RUN);
+    await runReword({ cwd: gitRoot, lang: 'en', range: 'HEAD~2', options: { yes: true } }, merged);
+    assert.equal(merged.process.exitCode, EXIT_CODES.error);
+    assert.ok(merged.lines.some((line) => /is a merge commit/.test(line)));
+
+    assert.equal(git('rev-parse', 'HEAD~1').stdout, headBefore);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runReword --yes rewrites nothing when a message fails validation', async () => {
+  const { gitRoot, git } = createRepo('reword', setUpRewordRepo);
+  const headBefore = git('rev-parse', 'HEAD').stdout;
+  const overrides = createOverrides({ ...REWORD_RUN, responses: ['Add a comma parser', '', ''] });
+
+  try {
+    await withCommitter(() => runReword({ cwd: gitRoot, lang: 'en', range: 'HEAD~2..', options: { yes: true } }, overrides));
+
+    assert.equal(overrides.process.exitCode, EXIT_CODES.validationFailed);
+    assert.equal(git('rev-parse', 'HEAD').stdout, headBefore);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compilePattern, evaluateRules, isValidRule } = require('../src/rules');
+
+test('evaluateRules keeps the default title length warning', () => {
+  const result = evaluateRules('this title is intentionally longer than fifty characters for coverage');
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings.map((issue) => [issue.code, issue.max]), [['title-too-long', 50]]);
+});
+
+test('evaluateRules splits issues by rule level', () => {
+  const result = evaluateRules('Fix login flow.\n\nThis body line is definitely longer than twenty chars.', {
+    titleMaxLength: { level: 'off', value: 5 },
+    bodyMaxLineLength: { level: 'warning', value: 20 },
+    titleCase: { level: 'error', value: 'lower' },
+    titleTrailingPeriod: { level: 'error', value: 'forbid' },
+  });
+
+  assert.deepEqual(result.errors.map((issue) => issue.code), ['title-case', 'title-trailing-period']);
+  assert.deepEqual(result.warnings.map((issue) => issue.code), ['body-line-too-long']);
+});
+
+test('evaluateRules checks the Conventional Commits subject for title case', () => {
+  const rules = { titleCase: { level: 'error', value: 'lower' } };
+
+  assert.deepEqual(evaluateRules('feat(API): add login', rules).errors, []);
+  assert.deepEqual(evaluateRules('feat: Add login', rules).errors.map((issue) => issue.code), ['title-case']);
+});
+
+test('evaluateRules matches forbidden words as whole words and regex literals', () => {
+  const rules = { forbiddenPatterns: { level: 'error', value: ['wip', '/\\bTODO\\b/'] } };
+
+  assert.deepEqual(evaluateRules('fix: wipe cache', rules).errors, []);
+  assert.deepEqual(
+    evaluateRules('WIP: add login\n\nTODO finish', rules).errors.map((issue) => issue.pattern),
+    ['wip', '/\\bTODO\\b/'],
+  );
+});
+
+test('evaluateRules requires trailers in the last paragraph', () => {
+  const rules = { requiredTrailers: { level: 'error', value: ['^Signed-off-by: .+'] } };
+
+  assert.deepEqual(evaluateRules('fix: add login\n\nbody\n\nSigned-off-by: Dev <dev@example.com>', rules).errors, []);
+  assert.deepEqual(evaluateRules('fix: add login', rules).errors.map((issue) => issue.code), ['missing-trailer']);
+});
+
+test('isValidRule validates levels and values per rule', () => {
+  assert.equal(isValidRule('titleMaxLength', { level: 'error', value: 72 }), true);
+  assert.equal(isValidRule('titleMaxLength', { level: 'fatal', value: 72 }), false);
+  assert.equal(isValidRule('titleCase', { level: 'warning', value: 'camel' }), false);
+  assert.equal(isValidRule('requiredTrailers', { level: 'error', value: ['('] }), false);
+  assert.equal(isValidRule('bodyMaxLineLength', { level: 'off' }), true);
+});
+
+test('compilePattern escapes plain words', () => {
+  assert.equal(compilePattern('a.b').test('axb'), false);
+  assert.equal(compilePattern('a.b').test('see a.b now'), true);
+});
@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { spawnSync } = require('child_process');
+
+const { DEFAULT_CONFIG } = require('../src/config');
+const { RPC_ERRORS, createRpcHandler, serveStdio } = require('../src/server');
+
+const STAGED_CHANGES = {
+  summary: { added: 1, modified: 0, deleted: 0, total: 1 },
+  diffContext: { files: ['src/a.js'], diff: 'diff', truncated: false },
+  snapshot: 'snap-1',
+};
+
+// A collectStagedChanges stub that returns STAGED_CHANGES with the given parts replaced.
+function stubStagedChanges(parts = {}) {
+  return async () => ({ ...STAGED_CHANGES, ...parts });
+}
+
+function createServerDeps(custom = {}) {
+  const calls = [];
+
+  return {
+    calls,
+    deps: {
+      getGitRoot: async () => '/repo',
+      loadConfig: () => ({ config: { ...DEFAULT_CONFIG, commitlint: false }, warnings: [] }),
+      loadPromptTemplate: () => ({ template: null, warnings: [] }),
+      createProvider: () => ({
+        name: 'gemini',
+        ensureAvailable: async () => {},
+        classifyError: () => 'generic',
+      }),
+      getBranchPointerStatus: async () => ({ status: 'up-to-date' }),
+      stageAllChanges: async () => {},
+      getRecentHistory: async () => '',
+      getBranchContext: async () => ({ branch: 'main', issueHints: [] }),
+      collectStagedChanges: stubStagedChanges(),
+      getStagedSnapshot: async () => 'snap-1',
+      buildPrompt: ({ userContext }) => `prompt:${userContext}`,
+      generateCommitMessage: async ({ prompt }) => {
+        calls.push(['generate', prompt]);
+        return { message: 'feat: add login', valid: true, blockingIssues: [], warnings: [], attempts: 1 };
+      },
+      commitWithMessage: async (gitRoot, message) => {
+        calls.push(['commit', gitRoot, message]);
+      },
+      ...custom,
+    },
+  };
+}
+
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+test('rpc handler generates with extra context and commits the generated message', async () => {
+  const { calls, deps } = createServerDeps();
+  const handler = createRpcHandler({ cwd: '/repo' }, deps);
+
+  const generated = await handler.handle(request(1, 'generate', { context: 'login work' }));
+  assert.equal(generated.id, 1);
+  assert.equal(generated.result.message, 'feat: add login');
+  assert.equal(generated.result.valid, true);
+  assert.deepEqual(generated.result.files, ['src/a.js']);
+
+  const status = await handler.handle(request(2, 'status'));
+  assert.equal(status.result.analyzed, true);
+  assert.equal(status.result.stagedChanged, false);
+  assert.equal(status.result.generated.message, 'feat: add login');
+
+  const committed = await handler.handle(request(3, 'commit'));
+  assert.equal(committed.result.committed, true);
+  assert.deepEqual(calls, [
+    ['generate', 'prompt:login work'],
+    ['commit', '/repo', 'feat: add login'],
+  ]);
+
+  const after = await handler.handle(request(4, 'status'));
+  assert.equal(after.result.analyzed, false);
+});
+
+test('rpc handler commit applies the terminal safety checks', async () => {
+  let snapshot = 'snap-1';
+  let syncStatus = 'up-to-date';
+  const { calls, deps } = createServerDeps({
+    getStagedSnapshot: async () => snapshot,
+    getBranchPointerStatus: async () => ({ status: syncStatus }),
+  });
+  const handler = createRpcHandler({ cwd: '/repo' }, deps);
+
+  const notAnalyzed = await handler.handle(request(1, 'commit', { message: 'feat: add login' }));
+  assert.equal(notAnalyzed.error.code, RPC_ERRORS.operationFailed);
+  assert.equal(notAnalyzed.error.data.reason, 'notAnalyzed');
+
+  await handler.handle(request(2, 'generate'));
+
+  const invalid = await handler.handle(request(3, 'commit', { message: '   ' }));
+  assert.equal(invalid.error.data.reason, 'validationFailed');
+  assert.ok(invalid.error.data.blockingIssues[0].text);
+
+  snapshot = 'snap-2';
+  const changed = await handler.handle(request(4, 'commit'));
+  assert.equal(changed.error.data.reason, 'stagedChanged');
+
+  snapshot = 'snap-1';
+  syncStatus = 'behind';
+  const blocked = await handler.handle(request(5, 'commit'));
+  assert.equal(blocked.error.data.reason, 'syncBlocked');
+  assert.equal(blocked.error.data.sync.status, 'behind');
+
+  assert.equal(calls.some(([name]) => name === 'commit'), false);
+});
+
+test('rpc handler reports analysis and provider failures with reasons', async () => {
+  const empty = createRpcHandler({ cwd: '/repo' }, createServerDeps({
+    collectStagedChanges: stubStagedChanges({ summary: { added: 0, modified: 0, deleted: 0, total: 0 } }),
+  }).deps);
+  const noChanges = await empty.handle(request(1, 'analyze'));
+  assert.equal(noChanges.error.data.reason, 'noChanges');
+
+  const outsideRepo = createRpcHandler({ cwd: '/tmp', lang: 'ko' }, createServerDeps({
+    getGitRoot: async () => {
+      throw new Error('not a git repository');
+    },
+  }).deps);
+  const notGit = await outsideRepo.handle(request(2, 'analyze'));
+  assert.equal(notGit.error.data.reason, 'notGitRepo');
+  assert.match(notGit.error.message, /Git 저장소/);
+
+  const failing = createRpcHandler({ cwd: '/repo' }, createServerDeps({
+    generateCommitMessage: async () => {
+      const error = new Error('boom');
+      error.detail = 'provider detail';
+      throw error;
+    },
+  }).deps);
+  const providerFailed = await failing.handle(request(3, 'generate'));
+  assert.equal(providerFailed.error.data.reason, 'providerFailed');
+  assert.equal(providerFailed.error.data.detail, 'provider detail');
+});
+
+test('rpc handler validates messages with the repository rules', async () => {
+  const handler = createRpcHandler({ cwd: '/repo' }, createServerDeps().deps);
+
+  const valid = await handler.handle(request(1, 'validate', { message: 'feat: add login' }));
+  assert.equal(valid.result.valid, true);
+
+  const missing = await handler.handle(request(2, 'validate', {}));
+  assert.equal(missing.error.code, RPC_ERRORS.invalidParams);
+});
+
+test('serveStdio answers newline-delimited requests in order', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', (chunk) => {
+    written += chunk;
+  });
+
+  const serving = serveStdio({ input, output, cwd: '/repo' }, createServerDeps().deps);
+  input.write(`${JSON.stringify(request(1, 'analyze'))}\n`);
+  input.write('{not json\n');
+  input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'status' })}\n`);
+  input.write(`${JSON.stringify(request(2, 'unknown'))}\n`);
+  input.write(`${JSON.stringify({ id: 3, method: 'status' })}\n`);
+  input.end();
+  await serving;
+
+  const responses = written.trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(responses.length, 4);
+  assert.equal(responses[0].id, 1);
+  assert.equal(responses[0].result.summary.total, 1);
+  assert.equal(responses[1].error.code, RPC_ERRORS.parseError);
+  assert.equal(responses[2].error.code, RPC_ERRORS.methodNotFound);
+  assert.equal(responses[3].error.code, RPC_ERRORS.invalidRequest);
+});
+
+test('rpc handler reports masked secrets and refuses them when blockOnSecrets is set', async () => {
+  const secrets = [{ file: '.env', line: 2, detector: 'aws-access-key' }];
+  const collectStagedChanges = stubStagedChanges({ diffContext: { files: ['.env'], diff: 'diff', truncated: false, secrets } });
+
+  const warning = createRpcHandler({ cwd: '/repo' }, createServerDeps({ collectStagedChanges }).deps);
+  const analyzed = await warning.handle(request(1, 'analyze'));
+  assert.deepEqual(analyzed.result.secrets, secrets);
+
+  const { calls, deps } = createServerDeps({
+    collectStagedChanges,
+    loadConfig: () => ({ config: { ...DEFAULT_CONFIG, commitlint: false, blockOnSecrets: true }, warnings: [] }),
+  });
+  const blocking = createRpcHandler({ cwd: '/repo' }, deps);
+  const blocked = await blocking.handle(request(2, 'generate'));
+  assert.equal(blocked.error.data.reason, 'secretsBlocked');
+  assert.deepEqual(blocked.error.data.secrets, secrets);
+  assert.deepEqual(calls, []);
+});
+
+test('gcg serve --stdio keeps git output out of the protocol stream when committing', () => {
+  const gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-serve-'));
+  const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcg-home-'));
+  const env = {
+    ...process.env,
+    HOME: homeDir,
+    GIT_AUTHOR_NAME: 'gcg',
+    GIT_AUTHOR_EMAIL: 'gcg@example.com',
+    GIT_COMMITTER_NAME: 'gcg',
+    GIT_COMMITTER_EMAIL: 'gcg@example.com',
+  };
+  const git = (...args) => spawnSync('git', args, { cwd: gitRoot, env, encoding: 'utf8' });
+
+  try {
+    git('init', '-q');
+    git('commit', '-q', '--allow-empty', '-m', 'base');
+    fs.writeFileSync(path.join(gitRoot, '.gcgrc.json'), JSON.stringify({
+      provider: 'command',
+      notifyOnComplete: false,
+      command: {
+        executable: process.execPath,
+        args: ['-e', 'process.stdin.resume(); process.stdin.on("end", () => process.stdout.write("Add the readme"));'],
+      },
+    }));
+    fs.writeFileSync(path.join(gitRoot, 'readme.md'), '# Demo\n');
+    git('add', '.');
+
+    const requests = [request(1, 'generate'), request(2, 'commit'), request(3, 'status')];
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), 'serve', '--stdio', '--lang', 'en'], {
+      cwd: gitRoot,
+      env,
+      input: requests.map((entry) => `${JSON.stringify(entry)}\n`).join(''),
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+
+    const frames = result.stdout.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(frames.map((frame) => [frame.jsonrpc, frame.id]), [['2.0', 1], ['2.0', 2], ['2.0', 3]]);
+    assert.equal(frames[1].result.committed, true);
+    assert.equal(git('log', '-1', '--format=%s').stdout, 'Add the readme\n');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  }
+});
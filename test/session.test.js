@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPromptFromState, generateCandidates, summarizeLargeDiff } = require('../src/session');
+
+function createCandidateSession(candidates, supportsParallel) {
+  return {
+    gitRoot: '/repo',
+    config: { candidates, maxAttempts: 1 },
+    validationOptions: {},
+    provider: { supportsParallel },
+  };
+}
+
+test('generateCandidates runs candidates in parallel when the provider allows it', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const prompts = [];
+  const deps = {
+    generateCommitMessage: async ({ prompt }) => {
+      prompts.push(prompt);
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setImmediate(resolve));
+      running -= 1;
+      return { message: `feat: ${prompts.length}`, valid: true, blockingIssues: [], warnings: [], attempts: 1 };
+    },
+  };
+
+  const parallel = await generateCandidates(createCandidateSession(3, true), 'prompt', deps);
+  assert.equal(parallel.candidates.length, 3);
+  assert.equal(maxRunning, 3);
+  assert.equal(prompts[0], 'prompt');
+  assert.match(prompts[1], /\[ALTERNATIVE 1\]/);
+
+  maxRunning = 0;
+  await generateCandidates(createCandidateSession(3, false), 'prompt', deps);
+  assert.equal(maxRunning, 1);
+});
+
+test('generateCandidates keeps successful candidates and fails only when all fail', async () => {
+  let calls = 0;
+  const flaky = {
+    generateCommitMessage: async () => {
+      calls += 1;
+      if (calls === 2) {
+        throw new Error('provider failed');
+      }
+      return { message: `feat: ${calls}`, valid: true, blockingIssues: [], warnings: [], attempts: 1 };
+    },
+  };
+
+  const result = await generateCandidates(createCandidateSession(3, false), 'prompt', flaky);
+  assert.deepEqual(result.candidates.map((candidate) => candidate.message), ['feat: 1', 'feat: 3']);
+  assert.equal(result.failed, 1);
+
+  const broken = {
+    generateCommitMessage: async () => {
+      throw new Error('provider down');
+    },
+  };
+  await assert.rejects(generateCandidates(createCandidateSession(2, true), 'prompt', broken), /provider down/);
+});
+
+function createLargeDiffState(snapshot) {
+  const section = (name) => `diff --git a/${name} b/${name}\n@@ -0,0 +1 @@\n+${'x'.repeat(7000)}\n`;
+  return {
+    history: '',
+    branchContext: { branch: null, issueHints: [] },
+    stagedSnapshot: snapshot,
+    summary: { added: 3, modified: 0, deleted: 0, total: 3 },
+    diffContext: {
+      files: ['a.js', 'b.js', 'c.js'],
+      diff: 'budgeted diff',
+      stat: 'a.js | +1 -0\nb.js | +1 -0 (patch trimmed)\nc.js | +1 -0 (patch omitted)',
+      fullDiff: `${section('a.js')}${section('b.js')}${section('c.js')}`,
+      truncated: true,
+      omitted: [],
+    },
+  };
+}
+
+test('summarizeLargeDiff summarizes each chunk and builds the prompt from the summaries', async () => {
+  const session = {
+    gitRoot: '/repo',
+    config: { summarizeLargeDiffs: true },
+    provider: { supportsParallel: false },
+    diffSummaryCache: null,
+  };
+  const prompts = [];
+  const progress = [];
+  const deps = {
+    summarizeDiffChunk: async ({ prompt }) => {
+      prompts.push(prompt);
+      return `- summary ${prompts.length}`;
+    },
+    buildPrompt: (input) => input,
+  };
+
+  const state = createLargeDiffState('snap-1');
+  assert.equal(await summarizeLargeDiff(session, state, deps, (done, total) => progress.push(`${done}/${total}`)), true);
+  assert.equal(prompts.length, 3);
+  assert.match(prompts[0], /part 1 of 3/);
+  assert.deepEqual(progress, ['0/3', '1/3', '2/3', '3/3']);
+
+  const input = buildPromptFromState(session, state, '', deps);
+  assert.equal(input.diffSummarized, true);
+  assert.match(input.diff, /^a\.js \| \+1 -0\n/);
+  assert.match(input.diff, /\[PART 3\/3\]\n- summary 3$/);
+
+  const regenerated = createLargeDiffState('snap-1');
+  await summarizeLargeDiff(session, regenerated, deps);
+  assert.equal(prompts.length, 3);
+  assert.deepEqual(regenerated.diffSummaries, state.diffSummaries);
+});
+
+test('summarizeLargeDiff keeps at most three summaries in flight for parallel providers', async () => {
+  const session = {
+    gitRoot: '/repo',
+    config: { summarizeLargeDiffs: true },
+    provider: { supportsParallel: true },
+    diffSummaryCache: null,
+  };
+  let inFlight = 0;
+  let peak = 0;
+  const deps = {
+    summarizeDiffChunk: async ({ prompt }) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight -= 1;
+      return `- ${/part (\d+) of/.exec(prompt)[1]}`;
+    },
+  };
+
+  const state = createLargeDiffState('snap-1');
+  const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+  state.diffContext.fullDiff = names
+    .map((name) => `diff --git a/${name}.js b/${name}.js\n@@ -0,0 +1 @@\n+${'x'.repeat(7000)}\n`)
+    .join('');
+
+  await summarizeLargeDiff(session, state, deps);
+
+  assert.equal(peak, 3);
+  assert.deepEqual(state.diffSummaries.summaries, names.map((name, index) => `- ${index + 1}`));
+});
+
+test('summarizeLargeDiff does nothing when the mode is off or the diff fit', async () => {
+  const deps = {
+    summarizeDiffChunk: async () => {
+      throw new Error('should not summarize');
+    },
+  };
+  const session = { gitRoot: '/repo', config: { summarizeLargeDiffs: false }, provider: {} };
+  const state = createLargeDiffState('snap-1');
+  assert.equal(await summarizeLargeDiff(session, state, deps), false);
+
+  state.diffContext.truncated = false;
+  assert.equal(await summarizeLargeDiff({ ...session, config: { summarizeLargeDiffs: true } }, state, deps), false);
+  assert.equal(state.diffSummaries, undefined);
+});
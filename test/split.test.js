@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { STRINGS } = require('../src/ui');
+const { createValidationOptions } = require('../src/ai');
+const {
+  applySplitPlan,
+  buildSplitPrompt,
+  generateSplitPlan,
+  parseSplitPlan,
+  runSplit,
+} = require('../src/split');
+const {
+  resetIndexToHead,
+  restoreIndexState,
+  saveIndexState,
+  stageFromTree,
+} = require('../src/git');
+const { commitWithIdentity, createOverrides, createRepo } = require('./helpers');
+
+// A staged rename, an edited readme, and a new test file: three files to split.
+function setUpSplitRepo({ gitRoot, git, commit }) {
+  git('init', '-q');
+  fs.writeFileSync(path.join(gitRoot, 'old.js'), 'module.exports = 1;\n');
+  commit('readme.md', '# Demo\n', 'base');
+
+  git('mv', 'old.js', 'lib.js');
+  fs.writeFileSync(path.join(gitRoot, 'readme.md'), '# Demo\n\nUsage notes.\n');
+  fs.writeFileSync(path.join(gitRoot, 'lib.test.js'), 'require("./lib");\n');
+  git('add', '-A');
+}
+
+const indexDeps = { saveIndexState, restoreIndexState, resetIndexToHead, stageFromTree };
+
+test('parseSplitPlan keeps known files once and adds forgotten ones to the last commit', () => {
+  const raw = '```json\n{"commits": [{"files": ["a.js", "nope.js"], "message": "feat: a"}, {"files": ["a.js"], "message": "dup"}, {"files": ["b.js"], "message": "docs: b"}]}\n```';
+
+  assert.deepEqual(parseSplitPlan(raw, ['a.js', 'b.js', 'c.js']), [
+    { files: ['a.js'], message: 'feat: a' },
+    { files: ['b.js', 'c.js'], message: 'docs: b' },
+  ]);
+  assert.equal(parseSplitPlan('not json', ['a.js']), null);
+  assert.equal(parseSplitPlan('{"commits": [{"files": ["x.js"], "message": "x"}]}', ['a.js']), null);
+});
+
+test('buildSplitPrompt lists the exact paths and asks for JSON', () => {
+  const prompt = buildSplitPrompt({
+    t: STRINGS.ko,
+    history: '',
+    userContext: '',
+    diff: 'lib.js | +0 -0 (renamed from old.js)',
+    branchContext: { branch: 'main', issueHints: [] },
+    files: ['src/lib.js', 'docs/readme.md'],
+    validationOptions: createValidationOptions(),
+  });
+
+  assert.match(prompt, /\[FILES\]\n- src\/lib\.js\n- docs\/readme\.md/);
+  assert.match(prompt, /KOREAN/);
+  assert.match(prompt, /\{"commits": \[\{"files": \["path\/to\/file"\], "message": "title\\n\\nbody"\}\]\}/);
+});
+
+test('generateSplitPlan retries unreadable plans and invalid messages', async () => {
+  const prompts = [];
+  const responses = [
+    'Sure! Here is the plan.',
+    '{"commits": [{"files": ["a.js"], "message": ""}, {"files": ["b.js"], "message": "docs: b"}]}',
+    '{"commits": [{"files": ["a.js"], "message": "feat: a"}, {"files": ["b.js"], "message": "docs: b"}]}',
+  ];
+  const provider = {
+    generate: async (prompt) => {
+      prompts.push(prompt);
+      return responses.shift();
+    },
+  };
+
+  const plan = await generateSplitPlan({ prompt: 'plan', files: ['a.js', 'b.js'], maxAttempts: 3, provider });
+
+  assert.equal(plan.valid, true);
+  assert.equal(plan.attempts, 3);
+  assert.deepEqual(plan.commits.map((commit) => commit.message), ['feat: a', 'docs: b']);
+  assert.match(prompts[1], /not a JSON object/);
+  assert.match(prompts[2], /commit 1 message: empty-message/);
+
+  await assert.rejects(
+    generateSplitPlan({ prompt: 'plan', files: ['a.js'], maxAttempts: 1, provider: { generate: async () => 'nope' } }),
+    (error) => error.code === 'invalid-plan',
+  );
+});
+
+test('applySplitPlan commits each group and keeps a rename in one commit', async () => {
+  const { gitRoot, git } = createRepo('split', setUpSplitRepo);
+
+  try {
+    await applySplitPlan(gitRoot, [
+      { files: ['lib.js', 'lib.test.js'], message: 'refactor: rename old to lib' },
+      { files: ['readme.md'], message: 'docs: add usage notes' },
+    ], [{ status: 'R', oldFile: 'old.js', file: 'lib.js' }], {
+      ...indexDeps,
+      commitWithMessage: commitWithIdentity,
+    });
+
+    assert.equal(git('log', '--format=%s').stdout, 'docs: add usage notes\nrefactor: rename old to lib\nbase\n');
+    assert.equal(git('show', '--name-status', '--format=', 'HEAD~1').stdout, 'R100\told.js\tlib.js\nA\tlib.test.js\n');
+    assert.equal(git('status', '--porcelain').stdout, '');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('applySplitPlan restores HEAD and the index when a commit fails', async () => {
+  const { gitRoot, git } = createRepo('split', setUpSplitRepo);
+  const headBefore = git('rev-parse', 'HEAD').stdout;
+  const statusBefore = git('status', '--porcelain').stdout;
+  let commits = 0;
+
+  try {
+    await assert.rejects(applySplitPlan(gitRoot, [
+      { files: ['lib.js'], message: 'refactor: rename' },
+      { files: ['readme.md', 'lib.test.js'], message: 'docs: notes' },
+    ], [{ status: 'R', oldFile: 'old.js', file: 'lib.js' }], {
+      ...indexDeps,
+      commitWithMessage: (cwd, message) => {
+        commits += 1;
+        if (commits === 2) {
+          throw new Error('git commit failed');
+        }
+        commitWithIdentity(cwd, message);
+      },
+    }), /git commit failed/);
+
+    assert.equal(git('rev-parse', 'HEAD').stdout, headBefore);
+    assert.equal(git('status', '--porcelain').stdout, statusBefore);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runSplit plans, asks, and applies the split', async () => {
+  const { gitRoot, git } = createRepo('split', setUpSplitRepo);
+  const plan = {
+    commits: [
+      { files: ['lib.js', 'lib.test.js'], message: 'Rename old module to lib' },
+      { files: ['readme.md'], message: 'Add usage notes' },
+    ],
+  };
+  const overrides = createOverrides({
+    answers: ['', '1'],
+    cancelAnswer: '3',
+    response: JSON.stringify(plan),
+    getRecentHistory: async () => 'base',
+  });
+
+  try {
+    await runSplit({ cwd: gitRoot, lang: 'en' }, overrides);
+
+    assert.equal(overrides.process.exitCode, undefined);
+    assert.equal(git('log', '--format=%s').stdout, 'Add usage notes\nRename old module to lib\nbase\n');
+    assert.ok(overrides.lines.some((line) => /Proposed commits \(2\)/.test(line)));
+    assert.ok(overrides.lines.some((line) => /Created 2 commits/.test(line)));
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runSplit stops without an error when only one file is staged', async () => {
+  const { gitRoot, git } = createRepo('split', setUpSplitRepo);
+  const overrides = createOverrides({ cancelAnswer: '3', response: '{"commits": []}' });
+
+  try {
+    git('reset', '-q');
+    git('add', 'readme.md');
+    await runSplit({ cwd: gitRoot, lang: 'en', options: { yes: true } }, overrides);
+
+    assert.equal(overrides.process.exitCode, undefined);
+    assert.equal(overrides.prompts.length, 0);
+    assert.ok(overrides.lines.some((line) => /nothing to split/.test(line)));
+    assert.equal(git('diff', '--cached', '--name-only').stdout, 'readme.md\n');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runSplit exits like gcg when nothing is staged', async () => {
+  const { gitRoot, git } = createRepo('split', setUpSplitRepo);
+
+  try {
+    git('reset', '-q');
+    for (const [options, exitCode] of [[{}, undefined], [{ yes: true }, 2]]) {
+      const overrides = createOverrides({ cancelAnswer: '3', response: '{"commits": []}' });
+      await runSplit({ cwd: gitRoot, lang: 'en', options }, overrides);
+
+      assert.equal(overrides.process.exitCode, exitCode);
+      assert.equal(overrides.prompts.length, 0);
+      assert.ok(overrides.lines.some((line) => /No staged changes/.test(line)));
+    }
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runSplit skips the branch check when strictBranchCheck is off', async () => {
+  const { gitRoot } = createRepo('split', setUpSplitRepo);
+  const steps = [];
+  const overrides = createOverrides({
+    response: '{"commits": []}',
+    startSpinner: (label) => {
+      steps.push(label);
+      return { update: (next) => steps.push(next), stop: () => {} };
+    },
+    getBranchPointerStatus: async () => {
+      throw new Error('branch status should not be read');
+    },
+  });
+
+  try {
+    fs.writeFileSync(path.join(gitRoot, '.gcgrc.json'), JSON.stringify({ strictBranchCheck: false }));
+    await runSplit({ cwd: gitRoot, lang: 'en' }, overrides);
+
+    assert.deepEqual(steps, [STRINGS.en.step2, STRINGS.en.step2UsingStaged, STRINGS.en.splitPlanning]);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
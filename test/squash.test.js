@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES } = require('../src/cli');
+const { runSquash } = require('../src/squash');
+const { createOverrides, createRepo } = require('./helpers');
+
+// A parser branch of three commits off a main that moved on after it.
+function setUpSquashRepo({ git, commit }) {
+  git('init', '-q', '-b', 'main');
+  commit('readme.md', '# Demo\n', 'Add readme');
+  git('checkout', '-q', '-b', 'parser');
+  commit('parser.js', 'module.exports = (input) => input.split(",");\n', 'wip');
+  commit('parser.js', 'module.exports = (input) => input.split(",").map((part) => part.trim());\n', 'fix');
+  commit('parser.test.js', 'require("./parser")("a, b");\n', 'wip 2');
+  git('checkout', '-q', 'main');
+  commit('changelog.md', '# Changes\n', 'Start a changelog');
+  git('checkout', '-q', 'parser');
+}
+
+// The stub provider and prompt settings every squash run starts from.
+const SQUASH_RUN = {
+  cancelAnswer: '4',
+  response: 'Add a comma parser with tests',
+};
+
+test('runSquash folds the commits after the merge base into one with a summary message', async () => {
+  const { gitRoot, git } = createRepo('squash', setUpSquashRepo);
+  const treeBefore = git('rev-parse', 'HEAD^{tree}').stdout;
+  const overrides = createOverrides({ ...SQUASH_RUN, answers: ['', '1'] });
+
+  try {
+    await runSquash({ cwd: gitRoot, lang: 'en', base: 'main' }, overrides);
+
+    assert.equal(overrides.process.exitCode, undefined);
+    assert.equal(git('log', '--format=%s').stdout, 'Add a comma parser with tests\nAdd readme\n');
+    assert.equal(git('rev-parse', 'HEAD^{tree}').stdout, treeBefore);
+    assert.equal(git('status', '--porcelain').stdout, '');
+    assert.match(overrides.prompts[0], /combines several commits[^\n]*\n  > wip 2\n  > fix\n  > wip\n/);
+    assert.match(overrides.prompts[0], /parser\.test\.js/);
+    assert.doesNotMatch(overrides.prompts[0], /changelog\.md/);
+    assert.ok(overrides.lines.some((line) => /Squashed 3 commits into one/.test(line)));
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runSquash refuses a dirty tree, pushed commits, and too few commits', async () => {
+  const { gitRoot, git } = createRepo('squash', setUpSquashRepo);
+  const headBefore = git('rev-parse', 'HEAD').stdout;
+
+  try {
+    fs.appendFileSync(path.join(gitRoot, 'readme.md'), 'dirty\n');
+    const dirty = createOverrides(SQUASH_RUN);
+    await runSquash({ cwd: gitRoot, lang: 'en', base: 'main', options: { yes: true } }, dirty);
+    assert.equal(dirty.process.exitCode, EXIT_CODES.error);
+    assert.ok(dirty.lines.some((line) => /uncommitted changes/.test(line)));
+    git('checkout', '-q', '--', 'readme.md');
+
+    git('branch', 'remote-parser', 'HEAD~1');
+    const pushed = createOverrides({
+      ...SQUASH_RUN,
+      getBranchPointerStatus: async () => ({ status: 'ahead', upstream: 'remote-parser', ahead: 1, behind: 0 }),
+    });
+    await runSquash({ cwd: gitRoot, lang: 'en', base: 'main', options: { yes: true } }, pushed);
+    assert.equal(pushed.process.exitCode, EXIT_CODES.syncBlocked);
+    assert.ok(pushed.lines.some((line) => /already on remote-parser/.test(line)));
+    assert.equal(pushed.prompts.length, 0);
+
+    const single = createOverrides(SQUASH_RUN);
+    await runSquash({ cwd: gitRoot, lang: 'en', base: 'HEAD~1', options: { yes: true } }, single);
+    assert.equal(single.process.exitCode, EXIT_CODES.noChanges);
+
+    const unknown = createOverrides(SQUASH_RUN);
+    await runSquash({ cwd: gitRoot, lang: 'en', base: 'no-such-branch', options: { yes: true } }, unknown);
+    assert.equal(unknown.process.exitCode, EXIT_CODES.error);
+
+    assert.equal(git('rev-parse', 'HEAD').stdout, headBefore);
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
+
+test('runSquash restores the branch when the commit fails', async () => {
+  const { gitRoot, git } = createRepo('squash', setUpSquashRepo);
+  const headBefore = git('rev-parse', 'HEAD').stdout;
+  const overrides = createOverrides({
+    ...SQUASH_RUN,
+    commitWithMessage: async () => {
+      throw new Error('hook rejected the commit');
+    },
+  });
+
+  try {
+    await runSquash({ cwd: gitRoot, lang: 'en', base: 'main', options: { yes: true } }, overrides);
+
+    assert.equal(overrides.process.exitCode, EXIT_CODES.error);
+    assert.ok(overrides.lines.some((line) => /hook rejected the commit/.test(line)));
+    assert.equal(git('rev-parse', 'HEAD').stdout, headBefore);
+    assert.equal(git('status', '--porcelain').stdout, '');
+  } finally {
+    fs.rmSync(gitRoot, { recursive: true, force: true });
+  }
+});
@@ -1,7 +1,14 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { STRINGS, selectLanguage } = require('../src/ui');
+const {
+  STRINGS,
+  formatValidationEntry,
+  printOmittedFiles,
+  printPicker,
+  printSummary,
+  selectLanguage,
+} = require('../src/ui');
 
 function createConsoleSpy() {
   const lines = [];
@@ -49,3 +56,104 @@ test('localized UI strings do not contain numbered step labels', () => {
     assert.doesNotMatch(value, /\bStep [1-4]\b/);
   }
 });
+
+test('formatValidationEntry renders parameterized localized issues', () => {
+  const issue = { code: 'conventional-type', type: 'feature', allowed: ['feat', 'fix'] };
+
+  assert.match(formatValidationEntry(STRINGS.en.validationIssue, issue), /Type "feature" is not allowed\. Use one of: feat, fix\./);
+  assert.match(formatValidationEntry(STRINGS.ko.validationIssue, issue), /"feature" 타입은 허용되지 않습니다/);
+  assert.equal(formatValidationEntry(STRINGS.en.validationIssue, { code: 'unknown-code' }), 'unknown-code');
+});
+
+test('printOmittedFiles lists shortened patches but not ignored files', () => {
+  const lines = [];
+  const consoleRef = { log: (line) => lines.push(line) };
+
+  printOmittedFiles([{ file: 'yarn.lock', reason: 'ignored' }], STRINGS.en, consoleRef);
+  assert.deepEqual(lines, []);
+
+  printOmittedFiles([
+    { file: 'src/big.js', reason: 'trimmed' },
+    { file: 'yarn.lock', reason: 'ignored' },
+    { file: 'dist/app.js', reason: 'omitted' },
+  ], STRINGS.ko, consoleRef);
+  assert.equal(lines.length, 3);
+  assert.match(lines[1], /src\/big\.js \(일부 포함\)/);
+  assert.match(lines[2], /dist\/app\.js \(포함 안 됨\)/);
+});
+
+test('printSummary shows rename, mode, and binary counts with a per-file table', () => {
+  const lines = [];
+  const consoleRef = { log: (line) => lines.push(line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')) };
+
+  printSummary({
+    added: 1,
+    modified: 1,
+    deleted: 0,
+    renamed: 1,
+    copied: 0,
+    typeChanged: 0,
+    modeChanged: 1,
+    binary: 1,
+    insertions: 13,
+    deletions: 3,
+    total: 3,
+    files: [
+      { status: 'M', file: 'run.sh', oldFile: null, added: 12, deleted: 3, binary: false, modeChange: { from: '100644', to: '100755' } },
+      { status: 'R', file: 'src/new.js', oldFile: 'src/old.js', added: 1, deleted: 0, binary: false, modeChange: null },
+      { status: 'A', file: 'logo.png', oldFile: null, added: 0, deleted: 0, binary: true, modeChange: null },
+    ],
+  }, STRINGS.en, consoleRef);
+
+  assert.deepEqual(lines.slice(1), [
+    '  + 1 new files',
+    '  ~ 1 modified files',
+    '  → 1 renamed files',
+    '  ~ 1 files changed mode',
+    '  • 1 binary files',
+    '  13 insertions(+), 3 deletions(-)',
+    '  M  run.sh                   +12 -3  mode 100644 → 100755',
+    '  R  src/old.js → src/new.js  +1 -0',
+    '  A  logo.png                 binary',
+  ]);
+});
+
+test('printSummary lists only the first files of a large staged set', () => {
+  const lines = [];
+  const files = Array.from({ length: 25 }, (_, index) => ({
+    status: 'M', file: `src/file${index}.js`, oldFile: null, added: 1, deleted: 1, binary: false, modeChange: null,
+  }));
+
+  printSummary({ added: 0, modified: 25, deleted: 0, insertions: 25, deletions: 25, total: 25, files }, STRINGS.ko, {
+    log: (line) => lines.push(line),
+  });
+
+  assert.equal(lines.filter((line) => line.includes('src/file')).length, 20);
+  assert.match(lines[lines.length - 1], /\.\.\. 외 5개 파일/);
+});
+
+test('printPicker marks whole, partial, and untracked selections with hunk line counts', () => {
+  const lines = [];
+  const strip = (line) => line.replace(/\x1b\[[0-9;]*m/g, '');
+
+  printPicker([
+    {
+      file: 'app.js',
+      untracked: false,
+      state: 'some',
+      hunks: [
+        { text: '@@ -1,2 +1,2 @@ start\n-one\n+ONE\n two\n', selected: true },
+        { text: '@@ -9 +9,2 @@\n nine\n+ten\n', selected: false },
+      ],
+    },
+    { file: 'notes.md', untracked: true, state: 'none', hunks: [] },
+  ], STRINGS.en, { log: (line) => lines.push(strip(line)) });
+
+  assert.deepEqual(lines, [
+    '\n📂 Unstaged changes:',
+    '1) [~] app.js',
+    '    1.1 [x] @@ -1,2 +1,2 @@ start (+1 -1)',
+    '    1.2 [ ] @@ -9 +9,2 @@ (+1 -0)',
+    '2) [ ] notes.md (untracked)',
+  ]);
+});